@@ -0,0 +1,116 @@
+/**
+ * Scene Fold - Boundary Detector
+ *
+ * Scans the unsummarized tail of a chat and proposes scene boundaries from
+ * textual and timing signals. Pure functions: the caller supplies token counts
+ * and turns proposals into scenes.
+ */
+
+/** Phrases that usually open a new scene after a jump in time */
+const TIME_SKIP_PATTERN = /\b(later that (day|night|evening|morning|afternoon)|the (next|following) (morning|day|evening|night|week)|(hours|days|weeks|months|years) later|an? (hour|day|week|month|year) later|a (few|couple of) (hours|days|weeks|months) later|some time later|sometime later|meanwhile|time ?skip)\b/i;
+
+/** Phrases that suggest the characters moved somewhere else */
+const LOCATION_CHANGE_PATTERN = /\b(arriv(e|es|ed|ing) (at|in)|(step|walk|head|move)(s|ed|ing)? (into|inside|out of|toward|towards|back to)|return(s|ed|ing)? to|make (their|his|her|our|my) way to|(travel|ride|drive|fly)(s|ed|ing)? to)\b/i;
+
+/** Explicit scene separators such as "***", "---" or "###" on their own line */
+const SEPARATOR_PATTERN = /^\s*(\*\s*){3,}\s*$|^\s*(-\s*){3,}\s*$|^\s*(#\s*){3,}\s*$/m;
+
+/**
+ * Parse a message send_date into epoch milliseconds.
+ * Handles numbers, ISO strings and ST's humanized "January 1, 2024 10:00am" form.
+ * @param {string|number|undefined} sendDate
+ * @returns {number|null}
+ */
+export function parseSendDate(sendDate) {
+    if (typeof sendDate === 'number') return sendDate;
+    if (typeof sendDate !== 'string' || !sendDate) return null;
+
+    let time = Date.parse(sendDate);
+    if (!isNaN(time)) return time;
+
+    // "January 1, 2024 10:00am" -> "January 1, 2024 10:00 am"
+    time = Date.parse(sendDate.replace(/(\d)(am|pm)\b/i, '$1 $2'));
+    return isNaN(time) ? null : time;
+}
+
+/**
+ * Find the boundary signals that make `chat[index]` look like the start of a new scene.
+ * @param {Array} chat
+ * @param {number} index - Candidate first message of the next scene
+ * @param {object} options
+ * @param {number} options.timeGapHours - Minimum send_date gap that counts as a time skip
+ * @returns {{ strong: string[], weak: string[] }}
+ */
+export function getBoundarySignals(chat, index, { timeGapHours }) {
+    const strong = [];
+    const weak = [];
+    const msg = chat[index];
+    const prev = chat[index - 1];
+    const text = msg?.mes || '';
+
+    if (SEPARATOR_PATTERN.test(text)) strong.push('scene separator');
+    if (TIME_SKIP_PATTERN.test(text)) strong.push('time skip');
+
+    const prevTime = parseSendDate(prev?.send_date);
+    const time = parseSendDate(msg?.send_date);
+    if (timeGapHours > 0 && prevTime !== null && time !== null) {
+        const gapHours = (time - prevTime) / 3600000;
+        if (gapHours >= timeGapHours) {
+            strong.push(`${Math.round(gapHours)}h gap`);
+        }
+    }
+
+    if (LOCATION_CHANGE_PATTERN.test(text)) weak.push('location change');
+
+    return { strong, weak };
+}
+
+/**
+ * Propose scene boundaries for the messages from `startIndex` to the end of the chat.
+ * A segment is closed before a message with a strong signal once it holds at least
+ * `minMessages` messages, before a weak signal once it holds twice that, and
+ * whenever it reaches `tokenThreshold` tokens. The open segment at the end of the
+ * chat is not proposed — that scene is still in progress.
+ * @param {Array} chat
+ * @param {number} startIndex - First unsummarized message
+ * @param {object} options
+ * @param {number[]} options.tokenCounts - Token count per message, indexed like `chat`
+ * @param {number} options.tokenThreshold - Close a segment at this many tokens (0 disables)
+ * @param {number} options.timeGapHours - send_date gap treated as a time skip (0 disables)
+ * @param {number} options.minMessages - Minimum messages per proposed scene
+ * @returns {Array<{ start: number, end: number, reasons: string[] }>}
+ */
+export function suggestSceneBoundaries(chat, startIndex, { tokenCounts, tokenThreshold, timeGapHours, minMessages }) {
+    const proposals = [];
+    const minLength = Math.max(1, minMessages || 1);
+    let segmentStart = startIndex;
+    let segmentTokens = 0;
+
+    for (let i = startIndex; i < chat.length; i++) {
+        // Stop at anything already assigned to a scene
+        if (chat[i]?.extra?.scene_fold_scenes?.length) break;
+
+        const length = i - segmentStart;
+        if (i > segmentStart) {
+            const { strong, weak } = getBoundarySignals(chat, i, { timeGapHours });
+            let reasons = null;
+            if (strong.length && length >= minLength) {
+                reasons = strong;
+            } else if (weak.length && length >= minLength * 2) {
+                reasons = weak;
+            } else if (tokenThreshold > 0 && segmentTokens >= tokenThreshold && length >= minLength) {
+                reasons = [`${segmentTokens} tokens`];
+            }
+
+            if (reasons) {
+                proposals.push({ start: segmentStart, end: i - 1, reasons });
+                segmentStart = i;
+                segmentTokens = 0;
+            }
+        }
+
+        segmentTokens += tokenCounts[i] || 0;
+    }
+
+    return proposals;
+}
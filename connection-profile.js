@@ -0,0 +1,107 @@
+/**
+ * Scene Fold - Connection Profile Switching
+ *
+ * Lets summarization run against a separate Connection Manager profile
+ * (API, model, preset). Switching goes through the /profile slash command so
+ * the Connection Manager applies the profile exactly as it would for the user.
+ */
+
+/** Connection Manager's placeholder for "no profile selected" */
+const NO_PROFILE = '<None>';
+
+/**
+ * List the profiles defined in the Connection Manager extension.
+ * @param {object} context - SillyTavern.getContext() result
+ * @returns {Array<{ id: string, name: string }>}
+ */
+export function getConnectionProfiles(context) {
+    const profiles = context.extensionSettings?.connectionManager?.profiles;
+    if (!Array.isArray(profiles)) return [];
+    return profiles
+        .filter(p => p?.name)
+        .map(p => ({ id: p.id, name: p.name }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Quote a value for use as a slash command argument.
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteArg(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Get the name of the currently selected connection profile.
+ * @param {object} context
+ * @returns {Promise<string|null>} Profile name, or null if none is selected
+ */
+export async function getActiveProfileName(context) {
+    const result = await context.executeSlashCommandsWithOptions('/profile', { handleParserErrors: false, handleExecutionErrors: false });
+    const name = typeof result?.pipe === 'string' ? result.pipe.trim() : '';
+    return name && name !== NO_PROFILE ? name : null;
+}
+
+/**
+ * Switch to a connection profile by name and wait for it to apply.
+ * @param {object} context
+ * @param {string} name
+ */
+export async function switchProfile(context, name) {
+    const result = await context.executeSlashCommandsWithOptions(`/profile await=true ${quoteArg(name)}`, {
+        handleParserErrors: false,
+        handleExecutionErrors: false,
+    });
+    if (result?.isError) {
+        throw new Error(result.errorMessage || `Could not switch to connection profile "${name}"`);
+    }
+}
+
+/**
+ * Create a batch-scoped profile switcher: `enter()` switches to the summary
+ * profile and remembers the user's profile, `exit()` switches back. `exit()` is
+ * safe to call when `enter()` did nothing or failed. With no profile selected
+ * there would be nothing to switch back to, so the batch runs on the user's
+ * current connection instead.
+ * @param {() => object} getContext - Returns a fresh SillyTavern context
+ * @param {() => string} getProfileName - Returns the configured summary profile ('' = none)
+ * @returns {{ enter: () => Promise<void>, exit: () => Promise<void> }}
+ */
+export function createProfileSwitcher(getContext, getProfileName) {
+    /** @type {string|undefined} Profile to restore; undefined when not switched */
+    let previousProfile;
+
+    return {
+        async enter() {
+            previousProfile = undefined;
+            const target = getProfileName();
+            if (!target) return;
+
+            const context = getContext();
+            if (!getConnectionProfiles(context).some(p => p.name === target)) {
+                throw new Error(`Summary connection profile "${target}" no longer exists`);
+            }
+
+            const current = await getActiveProfileName(context);
+            if (current === target) return;
+            if (current === null) {
+                console.warn(`[Scene Fold] No connection profile is selected, so "${target}" can't be switched back from; summarizing with the current connection`);
+                toastr.warning(`Scene Fold: select a connection profile first to summarize with "${target}"; using the current connection for now.`);
+                return;
+            }
+
+            await switchProfile(context, target);
+            previousProfile = current;
+            console.log(`[Scene Fold] Switched to summary profile "${target}" (was "${current}")`);
+        },
+
+        async exit() {
+            if (previousProfile === undefined) return;
+            const restore = previousProfile;
+            previousProfile = undefined;
+            await switchProfile(getContext(), restore);
+            console.log(`[Scene Fold] Restored connection profile "${restore}"`);
+        },
+    };
+}
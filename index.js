@@ -4,6 +4,7 @@
  * Manual scene-based summarization with hierarchical folding.
  * Users define scenes (contiguous message ranges), generate summaries via LLM,
  * and fold source messages under their summary to save prompt context.
+ * Adjacent completed scenes can be folded again into chapter summaries.
  */
 
 import {
@@ -18,9 +19,33 @@ import {
     getAutoStartIndex,
     getDefaultSummarizationPrompt,
     getSceneFoldData,
-    ensureMessageUUID,
     reconcileScenesAfterDeletion,
     reconcileDuplicatedMessages,
+    getAutoSummarizeRange,
+    getChatTokenSavings,
+    addSummaryVersion,
+    syncActiveSummaryVersion,
+    createSummaryMessage,
+    getDefaultChapterPrompt,
+    getDefaultTitlePrompt,
+    findSceneByTitle,
+    createChapter,
+    getChapterCandidates,
+    syncChapterSources,
+    isChapter,
+    isSceneStale,
+    recordSourceHashes,
+    evaluateStaleness,
+    getSceneHeight,
+    getSceneSummaryText,
+    resizeScene,
+    splitScene,
+    mergeScenes,
+    getNextScene,
+    getContinuityContext,
+    recoverInterruptedScenes,
+    getSceneAncestors,
+    getSceneMessageUUIDs,
 } from './scene-data.js';
 
 import {
@@ -33,15 +58,71 @@ import {
     injectMessageButtons,
     injectSingleMessageButtons,
     updateToolbar,
+    toggleQueuePanel,
+    buildDraftReviewHtml,
+    buildSummaryDiffHtml,
+    renderOutlinePanel,
+    updateStreamPreview,
+    clearStreamPreview,
     toggleFold,
+    setGhostProposals,
+    getGhostProposals,
+    removeGhostProposal,
+    clearGhostProposals,
+    pruneGhostProposals,
+    resolveGhostProposal,
+    nudgeGhostProposal,
+    describeCompression,
+    describeStaleness,
+    buildTemplateOptions,
+    describeSceneTemplate,
+    buildFactsViewHtml,
+    buildLorePreviewHtml,
 } from './scene-ui.js';
 
 import { SummarizationQueue } from './summarization-queue.js';
+import { getStreamingProfile, generateStreaming } from './summary-stream.js';
+import { suggestSceneBoundaries } from './boundary-detector.js';
+import { getConnectionProfiles, createProfileSwitcher } from './connection-profile.js';
+import { exportScenes, importScenes, validateBundle } from './scene-export.js';
+import { migrateSceneFoldData } from './scene-migrations.js';
+import { convertRememoryScenes } from './rememory-convert.js';
+import { injectSummaries, hasInjectedScenes } from './prompt-injection.js';
+import {
+    getStructuredInstructions,
+    getRepairPrompt,
+    parseStructuredSummary,
+    aggregateFacts,
+} from './structured-summary.js';
+import {
+    classifyGenerationError,
+    blankReplyClassification,
+    getRetryDelay,
+    describeFailure,
+    describeAttempts,
+    sleep,
+} from './retry-policy.js';
+import { planLoreSync, applyLoreSync, isLorePlanEmpty, isSceneInLore } from './lorebook-sync.js';
+import {
+    DEFAULT_TEMPLATE_ID,
+    CHAPTER_TEMPLATE_ID,
+    getDefaultPromptTemplates,
+    findTemplate,
+    resolveSceneTemplate,
+    getCharacterKey,
+    exportTemplates,
+    importTemplates,
+    mergeTemplates,
+    expandContinuityMacros,
+    usesContinuityMacros,
+} from './prompt-templates.js';
 
 import { SlashCommandParser } from '../../../../scripts/slash-commands/SlashCommandParser.js';
 import { SlashCommand } from '../../../../scripts/slash-commands/SlashCommand.js';
 import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../../scripts/slash-commands/SlashCommandArgument.js';
-import { addOneMessage, updateViewMessageIds, substituteParamsExtended } from '../../../../script.js';
+import { addOneMessage, updateViewMessageIds, substituteParamsExtended, updateMessageBlock, showMoreMessages } from '../../../../script.js';
+import { download, getFileText, escapeHtml } from '../../../utils.js';
+import { METADATA_KEY, createWorldInfoEntry, createNewWorldInfo } from '../../../world-info.js';
 
 const MODULE_NAME = 'scene_fold';
 const EXTENSION_NAME = new URL(import.meta.url).pathname.split('/').slice(-2, -1)[0];
@@ -49,6 +130,24 @@ const EXTENSION_NAME = new URL(import.meta.url).pathname.split('/').slice(-2, -1
 /** @type {SummarizationQueue} */
 let queue;
 
+/** @type {boolean} Whether the user's own generation is in progress */
+let userGenerating = false;
+
+/** @type {Set<() => void>} Called once the user's generation ends or stops */
+const generationWaiters = new Set();
+
+/** @type {boolean} Guards against overlapping auto-summarize checks */
+let autoCheckRunning = false;
+
+/** @type {Set<string>} Queued scenes whose old summary must be undone before summarizing */
+const retrySceneIds = new Set();
+
+/** @type {Set<string>} Retried scenes whose new summary is compared with the one it replaces */
+const compareSceneIds = new Set();
+
+/** @type {Set<string>} Scenes drafted for review during the current queue batch */
+const draftedInBatch = new Set();
+
 /** Default extension settings */
 const DEFAULT_GUIDANCE_PREFIX = 'Additional guidance for this scene:';
 
@@ -56,9 +155,31 @@ const DEFAULT_SETTINGS = {
     enabled: true,
     smartAutoStart: true,
     defaultPrompt: getDefaultSummarizationPrompt(),
+    chapterPrompt: getDefaultChapterPrompt(),
     guidancePrefix: DEFAULT_GUIDANCE_PREFIX,
     maxRetries: 2,
+    concurrency: 1, // scenes summarized at the same time
+    requestsPerMinute: 0, // LLM requests allowed per minute across the queue; 0 = unlimited
     debugOverlay: false,
+    suggestTokenThreshold: 2000,
+    suggestTimeGapHours: 6,
+    suggestMinMessages: 4,
+    autoSummarize: false,
+    autoTokenBudget: 6000,
+    autoMessageBudget: 0,
+    autoKeepRaw: 10,
+    summaryProfile: '',
+    foldMode: 'messages', // 'messages' inserts summary messages; 'inject' leaves the chat untouched
+    autoTitle: false,
+    titlePrompt: getDefaultTitlePrompt(),
+    reviewBeforeFold: false, // keep new summaries as drafts until accepted
+    streamPreview: false, // show the summary as it streams in, when a connection profile is selected
+    autoResumeQueue: false, // resume an interrupted batch on chat load without asking
+    outlineOpen: false, // scene outline panel shown
+    outlineDock: 'right', // 'left' | 'right' edge of the window for the outline panel
+    structuredSummaries: false, // ask for JSON with extracted facts alongside the summary
+    promptTemplates: getDefaultPromptTemplates(), // named library: { id, name, prompt }
+    characterTemplates: {}, // character avatar (or group:<id>) -> default template ID
 };
 
 /**
@@ -70,7 +191,11 @@ function getSettings(extensionSettings) {
     if (!extensionSettings[MODULE_NAME]) {
         extensionSettings[MODULE_NAME] = structuredClone(DEFAULT_SETTINGS);
     }
-    return extensionSettings[MODULE_NAME];
+    const settings = extensionSettings[MODULE_NAME];
+    // Installs from before the template library get the starter templates once
+    if (!Array.isArray(settings.promptTemplates)) settings.promptTemplates = getDefaultPromptTemplates();
+    if (!settings.characterTemplates || typeof settings.characterTemplates !== 'object') settings.characterTemplates = {};
+    return settings;
 }
 
 /**
@@ -82,17 +207,120 @@ function loadSettingsUI(context) {
     $('#scene_fold_enabled').prop('checked', settings.enabled);
     $('#scene_fold_smart_auto_start').prop('checked', settings.smartAutoStart);
     $('#scene_fold_default_prompt').val(settings.defaultPrompt);
+    $('#scene_fold_chapter_prompt').val(settings.chapterPrompt ?? getDefaultChapterPrompt());
     $('#scene_fold_guidance_prefix').val(settings.guidancePrefix ?? DEFAULT_GUIDANCE_PREFIX);
     $('#scene_fold_max_retries').val(settings.maxRetries ?? DEFAULT_SETTINGS.maxRetries);
+    $('#scene_fold_concurrency').val(settings.concurrency ?? DEFAULT_SETTINGS.concurrency);
+    $('#scene_fold_rpm').val(settings.requestsPerMinute ?? DEFAULT_SETTINGS.requestsPerMinute);
     $('#scene_fold_debug_overlay').prop('checked', settings.debugOverlay);
+    $('#scene_fold_suggest_tokens').val(settings.suggestTokenThreshold ?? DEFAULT_SETTINGS.suggestTokenThreshold);
+    $('#scene_fold_suggest_gap').val(settings.suggestTimeGapHours ?? DEFAULT_SETTINGS.suggestTimeGapHours);
+    $('#scene_fold_suggest_min').val(settings.suggestMinMessages ?? DEFAULT_SETTINGS.suggestMinMessages);
+    $('#scene_fold_auto_summarize').prop('checked', !!settings.autoSummarize);
+    $('#scene_fold_auto_tokens').val(settings.autoTokenBudget ?? DEFAULT_SETTINGS.autoTokenBudget);
+    $('#scene_fold_auto_messages').val(settings.autoMessageBudget ?? DEFAULT_SETTINGS.autoMessageBudget);
+    $('#scene_fold_auto_keep').val(settings.autoKeepRaw ?? DEFAULT_SETTINGS.autoKeepRaw);
+    $('#scene_fold_fold_mode').val(settings.foldMode || DEFAULT_SETTINGS.foldMode);
+    $('#scene_fold_auto_title').prop('checked', !!settings.autoTitle);
+    $('#scene_fold_title_prompt').val(settings.titlePrompt ?? getDefaultTitlePrompt());
+    $('#scene_fold_structured').prop('checked', !!settings.structuredSummaries);
+    $('#scene_fold_auto_resume').prop('checked', !!settings.autoResumeQueue);
+    $('#scene_fold_review_before_fold').prop('checked', !!settings.reviewBeforeFold);
+    $('#scene_fold_stream_preview').prop('checked', settings.streamPreview ?? DEFAULT_SETTINGS.streamPreview);
+    renderProfileOptions(context);
+    renderTemplateLibrary(context);
+}
+
+/**
+ * Fill the summary connection profile dropdown from the Connection Manager.
+ * @param {object} context
+ */
+function renderProfileOptions(context) {
+    const settings = getSettings(context.extensionSettings);
+    const select = $('#scene_fold_summary_profile');
+    if (!select.length) return;
+
+    const profiles = getConnectionProfiles(context);
+    select.empty().append($('<option>').val('').text('(Use the current connection)'));
+    for (const profile of profiles) {
+        select.append($('<option>').val(profile.name).text(profile.name));
+    }
+
+    // Keep a configured profile visible even if it was renamed or removed
+    if (settings.summaryProfile && !profiles.some(p => p.name === settings.summaryProfile)) {
+        select.append($('<option>').val(settings.summaryProfile).text(`${settings.summaryProfile} (missing)`));
+    }
+    select.val(settings.summaryProfile || '');
+}
+
+/**
+ * Fill the template library editor and the current character's default template picker.
+ * @param {object} context
+ * @param {string} [selectedId] - Template to open in the editor; defaults to the one already open
+ */
+function renderTemplateLibrary(context, selectedId) {
+    const settings = getSettings(context.extensionSettings);
+    const select = $('#scene_fold_template_select');
+    if (!select.length) return;
+
+    const current = selectedId ?? select.val();
+    select.empty();
+    for (const template of settings.promptTemplates) {
+        select.append($('<option>').val(template.id).text(template.name));
+    }
+    const shown = findTemplate(settings, current) || settings.promptTemplates[0] || null;
+    select.val(shown?.id ?? '');
+    $('#scene_fold_template_name').val(shown?.name ?? '').prop('disabled', !shown);
+    $('#scene_fold_template_prompt').val(shown?.prompt ?? '').prop('disabled', !shown);
+
+    const characterKey = getCharacterKey(context);
+    $('#scene_fold_character_template')
+        .html(buildTemplateOptions(settings, characterKey ? settings.characterTemplates[characterKey] : null, '(Summarization prompt)'))
+        .prop('disabled', !characterKey);
+    $('#scene_fold_character_name').text(!characterKey
+        ? 'the current character (no chat open)'
+        : context.groupId ? 'this group' : (context.name2 || 'this character'));
+}
+
+/**
+ * Let the user pick a template export file and merge it into the library.
+ */
+function pickAndImportTemplates() {
+    const input = $('<input type="file" accept=".json,application/json" style="display:none">');
+    input.on('change', async function () {
+        const file = this.files?.[0];
+        input.remove();
+        if (!file) return;
+
+        const ctx = SillyTavern.getContext();
+        const settings = getSettings(ctx.extensionSettings);
+        let result;
+        try {
+            result = importTemplates(settings, JSON.parse(await getFileText(file)), ctx.uuidv4);
+        } catch (err) {
+            toastr.error(`Template import: invalid JSON (${err.message})`);
+            return;
+        }
+        if (result.error) {
+            toastr.error(`Template import: ${result.error}`);
+            return;
+        }
+        ctx.saveSettingsDebounced();
+        renderTemplateLibrary(ctx);
+        toastr.success(`Imported templates: ${result.added} added, ${result.updated} updated`, 'Scene Fold');
+    });
+    $('body').append(input);
+    input.trigger('click');
 }
 
 /**
- * Render the scene list in the settings panel.
+ * Render the scene list in the settings panel, and the outline panel with it.
  * @param {object} context
  */
 function renderSceneList(context) {
     const { chat, chatMetadata } = context;
+    const settings = getSettings(context.extensionSettings);
+    renderOutlinePanel(context);
     const container = $('#scene_fold_scene_list');
     if (!container.length) return;
 
@@ -108,14 +336,40 @@ function renderSceneList(context) {
     const items = scenes.map(scene => {
         const firstIdx = findMessageIndexByUUID(chat, scene.sourceMessageUUIDs[0], uuidIndex);
         const lastIdx = findMessageIndexByUUID(chat, scene.sourceMessageUUIDs[scene.sourceMessageUUIDs.length - 1], uuidIndex);
-        const rangeText = firstIdx >= 0 && lastIdx >= 0
+        let rangeText = firstIdx >= 0 && lastIdx >= 0
             ? `Messages ${firstIdx}-${lastIdx} (${scene.sourceMessageUUIDs.length})`
             : `${scene.sourceMessageUUIDs.length} messages`;
+        if (isChapter(scene)) {
+            rangeText = `Chapter: ${scene.childSceneIds.length} scenes`;
+        }
+        if (scene.parentSceneId) {
+            rangeText = `↳ ${rangeText}`;
+        }
+
+        const compression = scene.status === 'completed' ? describeCompression(scene) : null;
+        if (compression) {
+            rangeText += ` · ${compression}`;
+        }
+        const templateName = describeSceneTemplate(settings, scene);
+        if (templateName) {
+            rangeText += ` · ${escapeHtml(templateName)}`;
+        }
+
+        const titleHtml = scene.title
+            ? `<span class="scene-fold-scene-title">${escapeHtml(scene.title)}</span> · `
+            : '';
 
         const statusClass = scene.status;
         let statusLabel = scene.status.charAt(0).toUpperCase() + scene.status.slice(1);
-        if (scene.status === 'completed' && scene.stale) {
-            statusLabel += ' <span class="scene-fold-stale-indicator">(stale)</span>';
+        if (isSceneStale(scene)) {
+            statusLabel += ` <span class="scene-fold-stale-indicator" title="${describeStaleness(chat, scene)}">(stale)</span>`;
+        }
+        if (scene.status === 'error' && scene.attempts?.length) {
+            const lastAttempt = scene.attempts[scene.attempts.length - 1];
+            statusLabel += ` <span class="scene-fold-failure-indicator" title="${escapeHtml(describeAttempts(scene.attempts))}">(${describeFailure(lastAttempt)})</span>`;
+        }
+        if (scene.interrupted) {
+            statusLabel += ' <span class="scene-fold-interrupted-indicator" title="Was still queued or summarizing when the chat was closed; /scene-resume queues it again">(interrupted)</span>';
         }
 
         let actions = '';
@@ -140,6 +394,15 @@ function renderSceneList(context) {
                     <i class="fa-solid fa-rotate-right"></i>
                 </button>
             `;
+        } else if (scene.status === 'review') {
+            actions = `
+                <button class="menu_button scene-fold-draft-accept-btn" data-scene-id="${scene.id}" title="Fold the scene with its draft summary">
+                    <i class="fa-solid fa-check"></i>
+                </button>
+                <button class="menu_button scene-fold-draft-discard-btn" data-scene-id="${scene.id}" title="Discard the draft">
+                    <i class="fa-solid fa-xmark"></i>
+                </button>
+            `;
         } else if (scene.status === 'error') {
             actions = `
                 <button class="menu_button scene-fold-retry-btn" data-scene-id="${scene.id}" title="Retry summarization">
@@ -163,7 +426,7 @@ function renderSceneList(context) {
 
         return `
             <div class="scene-fold-scene-item" data-scene-id="${scene.id}">
-                <div class="scene-fold-scene-info">${rangeText}</div>
+                <div class="scene-fold-scene-info">${titleHtml}${rangeText}</div>
                 <span class="scene-fold-scene-status ${statusClass}">${statusLabel}</span>
                 <div class="scene-fold-scene-actions">${actions}</div>
             </div>
@@ -175,15 +438,43 @@ function renderSceneList(context) {
 
 // ─── Summarization ───────────────────────────────────────────────────────────
 
+/**
+ * Validate a structured summary reply, asking the LLM once to repair it if needed.
+ * @param {Function} generateRaw
+ * @param {string} reply
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{ summary: string, facts: object }>}
+ */
+async function parseWithRepair(generateRaw, reply, signal) {
+    let parsed = parseStructuredSummary(reply);
+    if (!parsed.error) return parsed;
+
+    console.warn(`[Scene Fold] Structured summary rejected (${parsed.error}), asking for a repair...`);
+    toastr.info('Summary was not valid JSON, asking the model to fix it...');
+    const repaired = await generateRaw({ prompt: getRepairPrompt(reply, parsed.error) });
+    if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+
+    parsed = parseStructuredSummary(repaired);
+    if (parsed.error) {
+        throw new Error(`Structured summary was still invalid after a repair attempt: ${parsed.error}`);
+    }
+    return parsed;
+}
+
 /**
  * Summarize a single scene: build prompt, call LLM, insert summary message.
+ * When run from the queue alongside other scenes, every LLM request goes
+ * through the queue's rate limit and the chat is only touched on this scene's
+ * turn, so summaries land in queue order against fresh indices.
  * @param {object} context
  * @param {string} sceneId
  * @param {AbortSignal} [signal] - Optional signal for cancellation
+ * @param {object} [hooks] - From the summarization queue (see WorkerHooks)
  */
-async function summarizeScene(context, sceneId, signal = null) {
+async function summarizeScene(context, sceneId, signal = null, hooks = {}) {
     console.log(`[Scene Fold] summarizeScene called for scene ${sceneId}`);
-    const { chat, chatMetadata, generateRaw, saveChat, saveMetadataDebounced, uuidv4 } = context;
+    const { chat, chatMetadata, generateRaw, saveMetadataDebounced } = context;
+    const { waitTurn = async () => {}, releaseTurn = () => {}, throttle = async () => {} } = hooks;
 
     // Validate critical APIs exist on the context
     if (typeof generateRaw !== 'function') {
@@ -202,20 +493,55 @@ async function summarizeScene(context, sceneId, signal = null) {
         return;
     }
 
+    // A chapter folds its children's summaries, so every child must be summarized first
+    const chapter = isChapter(scene);
+    if (chapter) {
+        const pendingChild = scene.childSceneIds.find(id => getScene(chatMetadata, id)?.status !== 'completed');
+        if (pendingChild) {
+            updateScene(chatMetadata, sceneId, {
+                status: 'error',
+                lastError: 'Every scene in the chapter must be summarized first',
+            });
+            saveMetadataDebounced();
+            renderSceneList(context);
+            applyAllFoldVisuals(context);
+            toastr.warning('Scene Fold: summarize every scene in the chapter first');
+            return;
+        }
+    }
+
     console.log(`[Scene Fold] Scene ${sceneId}: ${scene.sourceMessageUUIDs.length} source messages, status=${scene.status}`);
-    updateScene(chatMetadata, sceneId, { status: 'summarizing', lastError: null });
+    updateScene(chatMetadata, sceneId, { status: 'summarizing', lastError: null, interrupted: false });
     renderSceneList(context);
 
+    const generate = async (options) => {
+        await throttle();
+        return generateRaw(options);
+    };
+
     try {
         // Check for cancellation before starting work
         if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
 
+        // An automatic scene doesn't compete with the user's generation for the
+        // backend; it starts once that generation is over
+        await holdAutoScene(scene, signal);
+
         // Build the message text for the prompt
         const uuidIndex = buildUUIDIndex(chat);
         const sourceTexts = [];
         const sourceIndices = [];
 
-        for (const uuid of scene.sourceMessageUUIDs) {
+        if (chapter) {
+            // Child summaries are already narration; no speaker prefix. Read them
+            // from the children so summaries kept out of the chat are included too.
+            for (const childId of scene.childSceneIds) {
+                const text = getSceneSummaryText(chat, getScene(chatMetadata, childId), uuidIndex);
+                if (text) sourceTexts.push(text);
+            }
+        }
+
+        for (const uuid of chapter ? [] : scene.sourceMessageUUIDs) {
             const idx = findMessageIndexByUUID(chat, uuid, uuidIndex);
             if (idx === -1) {
                 console.warn(`[Scene Fold] Source UUID ${uuid} not found in chat`);
@@ -235,6 +561,7 @@ async function summarizeScene(context, sceneId, signal = null) {
 
         // Compose the prompt from the template.
         // {{content}} = scene messages, {{additional_guidance}} = per-scene custom prompt,
+        // {{previous_summary}}/{{previous_summaries:N}}/{{story_so_far}} = earlier summaries,
         // {{user}}/{{char}}/etc. are handled by ST's substituteParamsExtended.
         const sceneText = sourceTexts.join('\n\n');
         const prefix = settings.guidancePrefix || DEFAULT_GUIDANCE_PREFIX;
@@ -242,84 +569,246 @@ async function summarizeScene(context, sceneId, signal = null) {
             ? `\n${prefix}\n${scene.customPrompt}\n`
             : '';
 
-        const prompt = substituteParamsExtended(settings.defaultPrompt, {
+        const template = resolveSceneTemplate(settings, scene, getCharacterKey(context), chapter
+            ? { id: CHAPTER_TEMPLATE_ID, name: 'Chapter prompt', prompt: settings.chapterPrompt || getDefaultChapterPrompt() }
+            : { id: DEFAULT_TEMPLATE_ID, name: 'Default prompt', prompt: settings.defaultPrompt });
+        console.log(`[Scene Fold] Using prompt template "${template.name}"`);
+        // Earlier scenes may still be generating in parallel; wait for their
+        // summaries so the continuity macros don't skip or misplace them
+        // (their inserts shifted the chat, so the index is rebuilt)
+        const waitsForEarlier = usesContinuityMacros(template.prompt);
+        if (waitsForEarlier) {
+            await waitTurn();
+        }
+        const continuity = getContinuityContext(chatMetadata, chat, sceneId, waitsForEarlier ? buildUUIDIndex(chat) : uuidIndex);
+        let prompt = substituteParamsExtended(expandContinuityMacros(template.prompt, continuity), {
             content: sceneText,
             additional_guidance: additionalGuidance,
         });
+        const structured = !!settings.structuredSummaries;
+        if (structured) {
+            prompt += `\n\n${getStructuredInstructions()}`;
+        }
 
-        console.log(`[Scene Fold] Calling generateRaw (prompt length: ${prompt.length})...`);
+        // Stream into the scene's inline preview when a connection profile allows it
+        const streamProfile = settings.streamPreview ? await getStreamingProfile(context) : null;
+        const generateSummary = streamProfile
+            ? async () => {
+                await throttle();
+                updateStreamPreview(sceneId, '');
+                return generateStreaming(context, streamProfile, prompt, {
+                    signal,
+                    onText: text => updateStreamPreview(sceneId, text),
+                });
+            }
+            : () => generate({ prompt });
+
+        console.log(`[Scene Fold] Calling ${streamProfile ? `profile "${streamProfile.name}" with streaming` : 'generateRaw'} (prompt length: ${prompt.length})...`);
 
-        // Call LLM with retries for transient failures (blank responses, timeouts).
-        // Content-filter refusals and auth errors are not retried.
+        // Call LLM with retries for transient failures, backing off between
+        // attempts. Each failure is classified and kept on the scene; auth,
+        // bad requests and content-filter refusals are not retried.
         const maxAttempts = 1 + (settings.maxRetries ?? DEFAULT_SETTINGS.maxRetries);
         let summary = null;
+        scene.attempts = [];
 
         for (let attempt = 1; attempt <= maxAttempts; attempt++) {
             if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
 
             let result;
+            let failure = null;
+            let failureError = null;
             try {
                 console.log(`[Scene Fold] generateRaw attempt ${attempt}/${maxAttempts}...`);
-                result = await generateRaw({ prompt });
+                result = await generateSummary();
             } catch (genError) {
                 if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+                failure = classifyGenerationError(genError);
+                failureError = genError;
+            }
 
-                // Classify the error: don't retry content filters, auth, or 4xx errors
-                const errMsg = (genError.message || String(genError)).toLowerCase();
-                const nonRetryable = /prohibit|content.?filter|refus|safety|moderat|blocked|policy|unauthorized|forbidden|400|401|403|429/.test(errMsg);
-
-                if (nonRetryable || attempt >= maxAttempts) {
-                    throw genError; // Propagate to outer catch
+            if (!failure) {
+                if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+                console.log(`[Scene Fold] generateRaw returned: ${result === null ? 'null' : result === undefined ? 'undefined' : `string(${result.length})`}`);
+
+                const trimmed = (result || '').trim();
+                if (trimmed.length > 0 && trimmed.length < 200 && /\b(i cannot|i can't|i'm unable|i am unable|not able to|content policy|violat|against my|guidelines)\b/i.test(trimmed)) {
+                    // Short reply with refusal language: a content filter, not worth retrying
+                    failureError = new Error(`LLM refused to summarize (possible content filter): "${trimmed.slice(0, 120)}..."`);
+                    failure = { kind: 'content-filter', status: null, retryable: false, retryAfterMs: null, message: failureError.message };
+                } else if (trimmed.length > 0) {
+                    summary = trimmed;
+                    break;
+                } else {
+                    failure = blankReplyClassification();
+                    failureError = new Error(`LLM returned blank summary after ${attempt} attempt${attempt !== 1 ? 's' : ''}`);
                 }
-
-                console.warn(`[Scene Fold] generateRaw threw on attempt ${attempt}, retrying: ${genError.message}`);
-                toastr.info(`Generation error, retrying (${attempt}/${maxAttempts - 1})...`);
-                continue;
             }
 
-            if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+            const delayMs = attempt < maxAttempts ? getRetryDelay(failure, attempt) : null;
+            scene.attempts.push({
+                at: Date.now(),
+                kind: failure.kind,
+                status: failure.status,
+                message: failure.message,
+                delayMs,
+            });
+            if (delayMs === null) {
+                throw failureError; // Propagate to outer catch
+            }
 
-            console.log(`[Scene Fold] generateRaw returned: ${result === null ? 'null' : result === undefined ? 'undefined' : `string(${result.length})`}`);
+            console.warn(`[Scene Fold] Attempt ${attempt} failed (${describeFailure(failure)}), retrying in ${delayMs}ms: ${failure.message}`);
+            toastr.info(`Summary attempt failed (${describeFailure(failure)}), retrying in ${Math.ceil(delayMs / 1000)}s (${attempt}/${maxAttempts - 1})...`);
+            await sleep(delayMs, signal);
+        }
 
-            // Check for non-empty result
-            if (result && result.trim().length > 0) {
-                // Detect content-filter refusal text (short response with refusal language)
-                const trimmed = result.trim();
-                if (trimmed.length < 200 && /\b(i cannot|i can't|i'm unable|i am unable|not able to|content policy|violat|against my|guidelines)\b/i.test(trimmed)) {
-                    throw new Error(`LLM refused to summarize (possible content filter): "${trimmed.slice(0, 120)}..."`);
-                }
-                summary = trimmed;
-                break;
-            }
+        let facts = null;
+        if (structured) {
+            ({ summary, facts } = await parseWithRepair(generate, summary, signal));
+        }
 
-            if (attempt < maxAttempts) {
-                console.warn(`[Scene Fold] Blank response on attempt ${attempt}, retrying...`);
-                toastr.info(`Summary was blank, retrying (${attempt}/${maxAttempts - 1})...`);
-            }
+        // Review mode keeps the result as a draft; nothing is folded until it is accepted
+        if (settings.reviewBeforeFold) {
+            updateScene(chatMetadata, sceneId, {
+                status: 'review',
+                draft: { text: summary, template: { id: template.id, name: template.name }, facts, createdAt: Date.now() },
+            });
+            saveMetadataDebounced();
+            const freshContext = SillyTavern.getContext();
+            applyAllFoldVisuals(freshContext);
+            renderSceneList(freshContext);
+            draftedInBatch.add(sceneId);
+            console.log(`[Scene Fold] Scene ${sceneId} summary drafted for review`);
+            return;
         }
 
-        if (!summary) {
-            throw new Error(`LLM returned blank summary after ${maxAttempts} attempt${maxAttempts !== 1 ? 's' : ''}`);
+        // Scenes queued earlier insert first; the chat may have changed while waiting
+        await waitTurn();
+        // An automatic scene doesn't shift message indices under a generation started since
+        await holdAutoScene(scene, signal);
+        foldSummary(context, scene, summary, template, facts);
+        releaseTurn();
+
+        await finishFold(context, scene, generate, signal);
+
+        console.log(`[Scene Fold] Scene ${sceneId} summarization complete`);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log(`[Scene Fold] Summarization cancelled for scene ${sceneId}`);
+            updateScene(chatMetadata, sceneId, { status: 'defined', lastError: null });
+            saveMetadataDebounced();
+            renderSceneList(context);
+            toastr.info('Scene summarization cancelled');
+            throw error; // Re-throw so the queue knows it was cancelled
         }
+        console.error('[Scene Fold] Summarization failed:', error);
+        updateScene(chatMetadata, sceneId, {
+            status: 'error',
+            lastError: error.message || String(error),
+        });
+        saveMetadataDebounced();
+        renderSceneList(context);
+        applyAllFoldVisuals(context);
+        const lastAttempt = scene.attempts?.at(-1);
+        toastr.error(`Scene summarization failed${lastAttempt ? ` (${describeFailure(lastAttempt)})` : ''}: ${error.message}`);
+    } finally {
+        clearStreamPreview(sceneId);
+    }
+}
+
+/**
+ * Hold an automatically created scene while the user's generation runs.
+ * Manually queued scenes go ahead.
+ * @param {object} scene
+ * @param {AbortSignal|null} signal
+ * @returns {Promise<void>} Rejects with AbortError when aborted first
+ */
+async function holdAutoScene(scene, signal) {
+    while (scene.auto && userGenerating) {
+        console.log(`[Scene Fold] Holding auto scene ${scene.id} until the current generation ends`);
+        await waitForUserGeneration(signal);
+    }
+}
+
+/**
+ * Wait for the user's own generation, if one is running, to end or stop.
+ * @param {AbortSignal|null} [signal]
+ * @returns {Promise<void>} Rejects with AbortError when aborted first
+ */
+function waitForUserGeneration(signal = null) {
+    if (!userGenerating) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            generationWaiters.delete(waiter);
+            reject(new DOMException('Aborted', 'AbortError'));
+        };
+        const waiter = () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        };
+        if (signal?.aborted) return onAbort();
+        generationWaiters.add(waiter);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Mark the user's generation finished and release scenes waiting on it.
+ */
+function endUserGeneration() {
+    userGenerating = false;
+    const waiters = [...generationWaiters];
+    generationWaiters.clear();
+    waiters.forEach(waiter => waiter());
+}
+
+/**
+ * Put a finished summary into effect: insert its summary message and hide the
+ * sources, or keep it for prompt injection, and record it as a new version.
+ * Synchronous, so no other scene's insert can interleave with the index math.
+ * @param {object} context
+ * @param {object} scene
+ * @param {string} summary
+ * @param {{ id: string, name: string }|null} template - Prompt template it was written with
+ * @param {object|null} facts - From a structured summary
+ * @param {number|null} [versionIndex] - Stored version being restored, instead of recording a new one
+ */
+function foldSummary(context, scene, summary, template, facts, versionIndex = null) {
+    const { chat, chatMetadata, uuidv4 } = context;
+    const settings = getSettings(context.extensionSettings);
+    const sceneId = scene.id;
+    const chapter = isChapter(scene);
 
+    // Prompt-injection mode leaves the chat untouched. A chapter over injected
+    // scenes has no summary messages to fold, so it is injected as well.
+    const injected = settings.foldMode === 'inject'
+        || (chapter && scene.childSceneIds.some(id => getScene(chatMetadata, id)?.injected));
+
+    if (injected) {
+        console.log(`[Scene Fold] Keeping summary for scene ${sceneId} out of the chat (prompt injection)`);
+        updateScene(chatMetadata, sceneId, {
+            status: 'completed',
+            folded: true,
+            stale: false,
+            injected: true,
+            summaryMessageUUID: null,
+        });
+        if (versionIndex === null) addSummaryVersion(scene, summary, template, facts);
+        else scene.activeVersion = versionIndex;
+    } else {
         // Determine insertion point (before the first source message)
-        const firstSourceIdx = Math.min(...sourceIndices);
+        const freshIndex = buildUUIDIndex(chat);
+        const sourcePositions = scene.sourceMessageUUIDs
+            .map(uuid => findMessageIndexByUUID(chat, uuid, freshIndex))
+            .filter(idx => idx !== -1);
+        if (sourcePositions.length === 0) {
+            throw new Error('No source messages found for this scene — UUIDs may be stale');
+        }
+        const firstSourceIdx = Math.min(...sourcePositions);
         console.log(`[Scene Fold] Inserting summary message at index ${firstSourceIdx}`);
 
         // Create the summary message object
-        const summaryMessage = {
-            name: 'Scene Summary',
-            is_user: false,
-            is_system: false, // Included in prompts — this IS the replacement context
-            mes: summary.trim(),
-            force_avatar: '',
-            extra: {
-                type: 'narrator',
-                scene_fold_role: 'summary',
-                scene_fold_scene_id: sceneId,
-                scene_fold_uuid: uuidv4(),
-            },
-        };
+        const summaryMessage = createSummaryMessage(scene, summary, uuidv4);
 
         // Insert into chat array at the correct position
         chat.splice(firstSourceIdx, 0, summaryMessage);
@@ -345,41 +834,62 @@ async function summarizeScene(context, sceneId, signal = null) {
         updateScene(chatMetadata, sceneId, {
             status: 'completed',
             folded: true,
+            stale: false,
+            injected: false,
             summaryMessageUUID: summaryMessage.extra.scene_fold_uuid,
         });
+        if (versionIndex === null) addSummaryVersion(scene, summaryMessage.mes, template, facts);
+        else scene.activeVersion = versionIndex;
+    }
+    recordSourceHashes(chat, scene);
 
-        // Persist and apply visuals
-        await saveChat();
-        saveMetadataDebounced();
+    // A re-summarized child hands its new summary message to its chapter
+    if (scene.parentSceneId) {
+        syncChapterSources(chatMetadata, chat, scene.parentSceneId);
+    }
+}
 
-        const freshContext = SillyTavern.getContext();
-        applyAllFoldVisuals(freshContext);
-        renderSceneList(freshContext);
+/**
+ * After a summary is folded: measure it, title the scene if wanted, save, and
+ * refresh the UI.
+ * @param {object} context
+ * @param {object} scene
+ * @param {Function} generate - generateRaw, or a rate-limited wrapper around it
+ * @param {AbortSignal|null} [signal]
+ */
+async function finishFold(context, scene, generate, signal = null) {
+    const { chatMetadata, saveChat, saveMetadataDebounced } = context;
+    const settings = getSettings(context.extensionSettings);
+    const sceneId = scene.id;
 
-        console.log(`[Scene Fold] Scene ${sceneId} summarization complete`);
-    } catch (error) {
-        if (error.name === 'AbortError') {
-            console.log(`[Scene Fold] Summarization cancelled for scene ${sceneId}`);
-            updateScene(chatMetadata, sceneId, { status: 'defined', lastError: null });
-            saveMetadataDebounced();
-            renderSceneList(context);
-            toastr.info('Scene summarization cancelled');
-            throw error; // Re-throw so the queue knows it was cancelled
+    await measureSceneTokens(context, scene);
+
+    // A title is a nice-to-have: failing to get one doesn't fail the summary
+    if (settings.autoTitle && !scene.title && !signal?.aborted) {
+        try {
+            const title = await generateSceneTitle(context, scene, generate);
+            if (title) updateScene(chatMetadata, sceneId, { title });
+        } catch (titleError) {
+            console.warn(`[Scene Fold] Title generation failed for scene ${sceneId}:`, titleError);
         }
-        console.error('[Scene Fold] Summarization failed:', error);
-        updateScene(chatMetadata, sceneId, {
-            status: 'error',
-            lastError: error.message || String(error),
-        });
-        saveMetadataDebounced();
-        renderSceneList(context);
-        applyAllFoldVisuals(context);
-        toastr.error(`Scene summarization failed: ${error.message}`);
     }
+
+    // Persist and apply visuals
+    await saveChat();
+    saveMetadataDebounced();
+
+    const freshContext = SillyTavern.getContext();
+    applyAllFoldVisuals(freshContext);
+    renderSceneList(freshContext);
+
+    // A re-summarized scene may have new facts for the entries written from it
+    offerLoreSyncForScene(freshContext, sceneId);
 }
 
 /**
  * Prepare a scene for retry: remove existing summary, un-hide sources, reset state.
+ * A completed parent chapter is undone first, since its summary was built from
+ * this scene's summary.
  * @param {object} context
  * @param {string} sceneId
  */
@@ -392,8 +902,15 @@ async function prepareForRetry(context, sceneId) {
         return;
     }
 
-    // Remove existing summary message if present
+    const parent = scene.parentSceneId ? getScene(chatMetadata, scene.parentSceneId) : null;
+    if (parent?.status === 'completed') {
+        console.log(`[Scene Fold] Undoing parent chapter ${parent.id} before scene ${sceneId}`);
+        await prepareForRetry(context, parent.id);
+    }
+
+    // Remove existing summary message if present, keeping it (and any hand edits) as a version
     if (scene.summaryMessageUUID) {
+        syncActiveSummaryVersion(chat, scene);
         const summaryIdx = findMessageIndexByUUID(chat, scene.summaryMessageUUID);
         if (summaryIdx !== -1) {
             // Remove from DOM first, then from chat array
@@ -403,8 +920,8 @@ async function prepareForRetry(context, sceneId) {
         }
     }
 
-    // Un-hide source messages
-    for (const uuid of scene.sourceMessageUUIDs) {
+    // Un-hide source messages (an injected scene never hid them)
+    for (const uuid of scene.injected ? [] : scene.sourceMessageUUIDs) {
         const idx = findMessageIndexByUUID(chat, uuid);
         if (idx === -1) continue;
         chat[idx].is_system = false;
@@ -414,109 +931,892 @@ async function prepareForRetry(context, sceneId) {
     updateScene(chatMetadata, sceneId, {
         status: 'defined',
         folded: false,
+        injected: false,
         summaryMessageUUID: null,
         lastError: null,
         stale: false,
+        interrupted: false,
+        sourceHashes: null,
+        changedMessageUUIDs: [],
+        summaryTokens: null,
     });
 
+    if (parent) {
+        syncChapterSources(chatMetadata, chat, parent.id);
+    }
+
     await saveChat();
     saveMetadataDebounced();
     applyAllFoldVisuals(SillyTavern.getContext());
 }
 
-// ─── Memory Extension Conflict Detection ─────────────────────────────────────
-
 /**
- * Check if ST's built-in Summarize (memory) extension is active and warn.
+ * Switch a completed scene's summary message to another stored version.
  * @param {object} context
+ * @param {string} sceneId
+ * @param {number} delta - Step through versions (-1 previous, +1 next)
  */
-function checkMemoryExtensionConflict(context) {
-    const { extensionSettings } = context;
+async function switchSummaryVersion(context, sceneId, delta) {
+    const { chat, chatMetadata, saveChat, saveMetadataDebounced } = context;
+    const scene = getScene(chatMetadata, sceneId);
+    if (!scene || scene.status !== 'completed') return;
 
-    const isDisabled = extensionSettings.disabledExtensions?.includes('memory');
-    const hasMemorySettings = extensionSettings.memory
-        && Object.keys(extensionSettings.memory).length > 0;
+    // An injected scene's summary is only the active version; there's no message to update
+    const summaryIdx = findMessageIndexByUUID(chat, scene.summaryMessageUUID);
+    if (summaryIdx === -1 && !scene.injected) return;
 
-    if (!isDisabled && hasMemorySettings) {
-        // Inject warning into settings panel if not already present
-        const warningId = 'scene_fold_memory_warning';
-        if (!$(`#${warningId}`).length) {
-            const warningHtml = `
-                <div id="${warningId}" class="scene-fold-memory-warning">
-                    <i class="fa-solid fa-triangle-exclamation"></i>
-                    <span>The built-in <b>Summarize</b> extension is also active.
-                    Both extensions modify message visibility, which may cause conflicts.
-                    Consider disabling one.</span>
-                </div>
-            `;
-            $('.scene-fold-settings .inline-drawer-content').prepend(warningHtml);
-        }
+    // Keep any hand edits to the current version before switching away
+    syncActiveSummaryVersion(chat, scene);
 
-        // One-time toast per session
-        const toastKey = 'scene_fold_memory_warning_shown';
-        if (!sessionStorage.getItem(toastKey)) {
-            toastr.warning(
-                'The built-in Summarize extension is active alongside Scene Fold. They may conflict.',
-                'Scene Fold Warning',
-                { timeOut: 8000 },
-            );
-            sessionStorage.setItem(toastKey, 'true');
-        }
+    const current = scene.activeVersion ?? scene.summaryVersions.length - 1;
+    const target = current + delta;
+    if (target < 0 || target >= scene.summaryVersions.length) return;
+
+    scene.activeVersion = target;
+    if (summaryIdx !== -1) {
+        chat[summaryIdx].mes = scene.summaryVersions[target].text;
+        updateMessageBlock(summaryIdx, chat[summaryIdx]);
     }
-}
+    console.log(`[Scene Fold] Scene ${sceneId}: switched to summary version ${target + 1}/${scene.summaryVersions.length}`);
 
-// ─── Event Handlers ──────────────────────────────────────────────────────────
+    await measureSceneTokens(context, scene);
+    await saveChat();
+    saveMetadataDebounced();
+
+    const freshContext = SillyTavern.getContext();
+    applyAllFoldVisuals(freshContext);
+    renderSceneList(freshContext);
+    updateToolbar(freshContext, queue);
+    offerLoreSyncForScene(freshContext, sceneId);
+}
 
 /**
- * Handle CHAT_CHANGED: restore fold visuals from metadata.
+ * Show how a retried scene's new summary differs from the one it replaced,
+ * and let the user keep the old one. Closing the popup without choosing
+ * leaves the new summary (or draft) in place; the old one stays a version.
+ * @param {object} context
+ * @param {string} sceneId
+ * @param {number} previousVersion - Index of the replaced summary in summaryVersions
  */
-function onChatChanged() {
-    const context = SillyTavern.getContext();
-    const settings = getSettings(context.extensionSettings);
-    if (!settings.enabled) return;
-
-    // Cancel any in-progress queue work (switched chats)
-    if (queue?.isProcessing) {
-        queue.cancelAll();
-    }
-
-    // Exit selection mode if active
-    if (isSelectionModeActive()) {
-        exitSelectionMode();
-    }
+async function offerSummaryDiff(context, sceneId, previousVersion) {
+    const scene = getScene(context.chatMetadata, sceneId);
+    const previous = scene?.summaryVersions?.[previousVersion];
+    if (!previous) return;
+
+    const drafted = scene.status === 'review' && !!scene.draft;
+    const current = scene.activeVersion ?? scene.summaryVersions.length - 1;
+    if (!drafted && (scene.status !== 'completed' || current === previousVersion)) return;
+    const newText = drafted ? scene.draft.text : scene.summaryVersions[current].text;
+    if (newText.trim() === previous.text.trim()) return;
+
+    const chatId = context.getCurrentChatId?.();
+    const answer = await context.callGenericPopup(
+        buildSummaryDiffHtml(previous.text, newText, {
+            old: `Previous summary (version ${previousVersion + 1})`,
+            new: drafted ? 'New draft' : `New summary (version ${current + 1})`,
+        }),
+        context.POPUP_TYPE.CONFIRM,
+        '',
+        { wide: true, allowVerticalScrolling: true, okButton: 'Use new', cancelButton: 'Keep old' },
+    );
+
+    // The user may have switched chats while the popup was open
+    const ctx = SillyTavern.getContext();
+    if (ctx.getCurrentChatId?.() !== chatId) return;
 
-    // Reset any scenes stuck in transient states (summarizing/queued) — these
-    // can't still be in-progress after a chat load, so they failed silently
-    const { chatMetadata } = context;
-    const data = chatMetadata.scene_fold;
-    if (data?.scenes) {
-        let resetCount = 0;
-        for (const scene of Object.values(data.scenes)) {
-            if (scene.status === 'summarizing' || scene.status === 'queued') {
-                scene.status = 'error';
-                scene.lastError = scene.lastError || 'Interrupted — scene was still in progress when chat reloaded';
-                resetCount++;
-            }
-        }
-        if (resetCount > 0) {
-            console.log(`[Scene Fold] Reset ${resetCount} stuck scene(s) to error state`);
-            context.saveMetadataDebounced();
+    if (answer === ctx.POPUP_RESULT.AFFIRMATIVE) {
+        if (scene.status === 'review') {
+            await acceptDraft(ctx, sceneId);
+            updateToolbar(SillyTavern.getContext(), queue);
         }
+        return;
+    }
+    // Only the Keep old button restores; Escape leaves the new summary in place
+    if (answer !== ctx.POPUP_RESULT.NEGATIVE) return;
+
+    if (scene.status === 'review') {
+        // The draft never folded, so the old summary goes back in as it was
+        updateScene(ctx.chatMetadata, sceneId, { draft: null });
+        foldSummary(ctx, scene, previous.text, previous.template, previous.facts, previousVersion);
+        await finishFold(ctx, scene, ctx.generateRaw);
+    } else if (scene.status === 'completed') {
+        const active = scene.activeVersion ?? scene.summaryVersions.length - 1;
+        await switchSummaryVersion(ctx, sceneId, previousVersion - active);
     }
+    updateToolbar(SillyTavern.getContext(), queue);
+    toastr.info('Kept the previous summary; the new one stays available as a version');
+}
 
-    // Apply fold visuals and message buttons from persisted state
-    applyAllFoldVisuals(context);
-    injectMessageButtons(context);
-    renderSceneList(context);
-    updateToolbar(context, queue);
-    checkMemoryExtensionConflict(context);
+/**
+ * Order scenes for a batch so children are summarized before the chapters
+ * that fold them. Stable with respect to chat order.
+ * @param {object} chatMetadata
+ * @param {Array<object>} scenes - Scenes in chat order
+ * @returns {string[]} Scene IDs
+ */
+function orderForBatch(chatMetadata, scenes) {
+    return scenes
+        .map((scene, i) => ({ id: scene.id, height: getSceneHeight(chatMetadata, scene), i }))
+        .sort((a, b) => a.height - b.height || a.i - b.i)
+        .map(entry => entry.id);
 }
 
 /**
- * Handle MESSAGE_DELETED: reconcile scene data with current chat state.
- * The event fires AFTER the message is removed from chat[].
+ * Whether a queue order puts a chapter ahead of a scene it folds, which would
+ * make the chapter fail for want of that scene's summary.
+ * @param {object} chatMetadata
+ * @param {string[]} sceneIds - Queue order
+ * @returns {boolean}
  */
-async function onMessageDeleted() {
+function breaksChapterOrder(chatMetadata, sceneIds) {
+    return sceneIds.some((id, i) => {
+        const scene = getScene(chatMetadata, id);
+        const ancestors = scene ? getSceneAncestors(chatMetadata, scene).map(a => a.id) : [];
+        return ancestors.some(ancestorId => sceneIds.indexOf(ancestorId) > -1 && sceneIds.indexOf(ancestorId) < i);
+    });
+}
+
+/**
+ * Unsummarized scenes for Summarize All, in chat order. With review before
+ * fold, a chapter waits until its scenes' drafts are accepted, since it is
+ * built from their summaries.
+ * @param {object} context
+ * @returns {Array<object>}
+ */
+function getPendingScenesForBatch(context) {
+    const { chatMetadata, chat } = context;
+    const reviewing = !!getSettings(context.extensionSettings).reviewBeforeFold;
+    return getScenesInOrder(chatMetadata, chat).filter(scene => {
+        if (scene.status !== 'defined' && scene.status !== 'error') return false;
+        if (!reviewing || !isChapter(scene)) return true;
+        return scene.childSceneIds.every(id => getScene(chatMetadata, id)?.status === 'completed');
+    });
+}
+
+// ─── Draft Review ────────────────────────────────────────────────────────────
+
+/**
+ * Fold a scene with its reviewed draft.
+ * @param {object} context
+ * @param {string} sceneId
+ * @returns {Promise<boolean>} Whether the scene was folded
+ */
+async function acceptDraft(context, sceneId) {
+    const scene = getScene(context.chatMetadata, sceneId);
+    if (scene?.status !== 'review' || !scene.draft) return false;
+
+    const summary = scene.draft.text.trim();
+    if (!summary) {
+        toastr.warning('Scene Fold: the draft is empty; edit it or discard it');
+        return false;
+    }
+    try {
+        foldSummary(context, scene, summary, scene.draft.template, scene.draft.facts);
+    } catch (err) {
+        console.error(`[Scene Fold] Could not fold draft for scene ${sceneId}:`, err);
+        toastr.error(`Scene Fold: could not fold the draft: ${err.message}`);
+        return false;
+    }
+    updateScene(context.chatMetadata, sceneId, { draft: null });
+    await finishFold(context, scene, context.generateRaw);
+    return true;
+}
+
+/**
+ * Throw a draft away, leaving the scene unsummarized.
+ * @param {object} context
+ * @param {string} sceneId
+ */
+function discardDraft(context, sceneId) {
+    const scene = getScene(context.chatMetadata, sceneId);
+    if (scene?.status !== 'review') return;
+    updateScene(context.chatMetadata, sceneId, { status: 'defined', draft: null });
+    context.saveMetadataDebounced();
+}
+
+/**
+ * Review every draft in the chat at once. Checked drafts are folded, with any
+ * edits; the rest stay in review.
+ * @param {object} context
+ * @returns {Promise<number>} Drafts accepted
+ */
+async function reviewDrafts(context) {
+    const drafts = getScenesInOrder(context.chatMetadata, context.chat)
+        .filter(scene => scene.status === 'review' && scene.draft);
+    if (drafts.length === 0) {
+        toastr.info('No drafts to review');
+        return 0;
+    }
+
+    const skipped = new Set();
+    $(document).on('change.sceneFoldReview', '.scene-fold-review-accept', function () {
+        const id = String($(this).data('scene-id'));
+        if ($(this).prop('checked')) skipped.delete(id);
+        else skipped.add(id);
+    });
+    let confirmed;
+    try {
+        confirmed = await context.callGenericPopup(buildDraftReviewHtml(context, drafts), context.POPUP_TYPE.CONFIRM, '', {
+            wide: true,
+            allowVerticalScrolling: true,
+            okButton: 'Accept checked',
+            cancelButton: 'Later',
+        });
+    } finally {
+        $(document).off('change.sceneFoldReview');
+    }
+    if (!confirmed) return 0;
+
+    let accepted = 0;
+    for (const scene of drafts) {
+        if (skipped.has(scene.id)) continue;
+        if (await acceptDraft(SillyTavern.getContext(), scene.id)) accepted++;
+    }
+    if (accepted > 0) {
+        toastr.success(`Folded ${accepted} reviewed scene${accepted !== 1 ? 's' : ''}`);
+    }
+    updateToolbar(SillyTavern.getContext(), queue);
+    return accepted;
+}
+
+// ─── Scene Boundary Suggestions ──────────────────────────────────────────────
+
+/**
+ * Count tokens with ST's tokenizer, falling back to a character estimate
+ * when the tokenizer isn't exposed on the context.
+ * @param {object} context
+ * @param {string} text
+ * @returns {Promise<number>}
+ */
+async function countTokens(context, text) {
+    if (!text) return 0;
+    if (typeof context.getTokenCountAsync === 'function') {
+        return await context.getTokenCountAsync(text);
+    }
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * Count the prompt tokens of a scene's source messages and summary message
+ * and store them on the scene.
+ * @param {object} context
+ * @param {object} scene
+ */
+async function measureSceneTokens(context, scene) {
+    const { chat } = context;
+    const uuidIndex = buildUUIDIndex(chat);
+
+    // A chapter's sources are its children's summaries, wherever those are kept
+    const sourceTexts = isChapter(scene)
+        ? scene.childSceneIds.map(id => getSceneSummaryText(chat, getScene(context.chatMetadata, id), uuidIndex))
+        : scene.sourceMessageUUIDs.map(uuid => chat[findMessageIndexByUUID(chat, uuid, uuidIndex)]?.mes);
+
+    let sourceTokens = 0;
+    for (const text of sourceTexts) {
+        if (text) sourceTokens += await countTokens(context, text);
+    }
+
+    const summaryText = getSceneSummaryText(chat, scene, uuidIndex);
+    const summaryTokens = summaryText !== null ? await countTokens(context, summaryText) : null;
+
+    updateScene(context.chatMetadata, scene.id, { sourceTokens, summaryTokens });
+}
+
+/**
+ * Ask the LLM for a short title for a summarized scene.
+ * @param {object} context - SillyTavern context
+ * @param {object} scene - A completed scene
+ * @param {Function} [generate] - generateRaw, or a rate-limited wrapper around it
+ * @returns {Promise<string|null>} The title, or null if the model returned nothing usable
+ */
+async function generateSceneTitle(context, scene, generate = context.generateRaw) {
+    const settings = getSettings(context.extensionSettings);
+    const summaryText = getSceneSummaryText(context.chat, scene);
+    if (!summaryText) return null;
+
+    const prompt = substituteParamsExtended(settings.titlePrompt || getDefaultTitlePrompt(), {
+        content: summaryText,
+    });
+    const result = await generate({ prompt, responseLength: 32 });
+
+    // Keep the first line, without wrapping quotes, a "Title:" label or trailing punctuation
+    const title = (result || '').trim().split('\n')[0]
+        .replace(/^title:\s*/i, '')
+        .replace(/^["'*#\s]+|["'*\s.]+$/g, '')
+        .slice(0, 80);
+    return title || null;
+}
+
+/**
+ * Measure completed scenes that have no token counts yet (summarized before
+ * token accounting existed, or converted from ReMemory).
+ * @param {object} context
+ */
+async function backfillTokenCounts(context) {
+    const { chat, chatMetadata } = context;
+    const pending = getScenesInOrder(chatMetadata, chat).filter(scene =>
+        scene.status === 'completed' && (typeof scene.sourceTokens !== 'number' || typeof scene.summaryTokens !== 'number'));
+    if (pending.length === 0) return;
+
+    for (const scene of pending) {
+        await measureSceneTokens(context, scene);
+        // Stop if the user switched chats mid-way
+        if (SillyTavern.getContext().chat !== chat) return;
+    }
+
+    console.log(`[Scene Fold] Measured tokens for ${pending.length} scene(s); ${getChatTokenSavings(chatMetadata).saved} tokens reclaimed`);
+    context.saveMetadataDebounced();
+    applyAllFoldVisuals(context);
+    renderSceneList(context);
+    updateToolbar(context, queue);
+}
+
+/**
+ * Scan the unsummarized tail and show boundary suggestions as ghost scenes.
+ * @param {object} context
+ * @returns {Promise<number>} Number of suggestions
+ */
+async function suggestScenes(context) {
+    const { chat, chatMetadata } = context;
+    const settings = getSettings(context.extensionSettings);
+    const startIndex = getAutoStartIndex(chatMetadata, chat);
+
+    const tokenCounts = [];
+    for (let i = startIndex; i < chat.length; i++) {
+        tokenCounts[i] = await countTokens(context, chat[i]?.mes);
+    }
+
+    const proposals = suggestSceneBoundaries(chat, startIndex, {
+        tokenCounts,
+        tokenThreshold: settings.suggestTokenThreshold ?? DEFAULT_SETTINGS.suggestTokenThreshold,
+        timeGapHours: settings.suggestTimeGapHours ?? DEFAULT_SETTINGS.suggestTimeGapHours,
+        minMessages: settings.suggestMinMessages ?? DEFAULT_SETTINGS.suggestMinMessages,
+    });
+    console.log(`[Scene Fold] Suggested ${proposals.length} scene(s) from message ${startIndex}:`, proposals);
+
+    setGhostProposals(context, proposals);
+    applyAllFoldVisuals(context);
+    updateToolbar(context, queue);
+
+    if (proposals.length === 0) {
+        toastr.info('No scene boundaries found in the unsummarized messages');
+    } else {
+        const first = document.querySelector(`#chat .mes[mesid="${proposals[0].start}"]`);
+        first?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+    return proposals.length;
+}
+
+/**
+ * Turn a ghost suggestion into a real scene.
+ * @param {object} context
+ * @param {string} ghostId
+ * @returns {object|null} The created scene, or null if it could not be created
+ */
+function acceptGhostProposal(context, ghostId) {
+    const ghost = getGhostProposals().find(p => p.id === ghostId);
+    if (!ghost) return null;
+    removeGhostProposal(ghostId);
+
+    // Summaries may have been inserted or removed since; find the messages again
+    const proposal = resolveGhostProposal(context.chat, ghost);
+    if (!proposal) {
+        toastr.warning('The suggested messages are no longer in the chat');
+        return null;
+    }
+    const overlaps = findOverlappingScenes(context.chatMetadata, context.chat, proposal.start, proposal.end);
+    if (overlaps.length > 0) {
+        toastr.warning('Suggested range overlaps with an existing scene');
+        return null;
+    }
+    return createScene(context.chatMetadata, context.chat, proposal.start, proposal.end, context.uuidv4);
+}
+
+/**
+ * Persist and redraw after ghost suggestions were accepted.
+ * @param {object} context
+ */
+function refreshAfterGhostChange(context) {
+    applyAllFoldVisuals(context);
+    injectMessageButtons(context);
+    renderSceneList(context);
+    updateToolbar(context, queue);
+}
+
+// ─── Auto-Summarize ──────────────────────────────────────────────────────────
+
+/**
+ * If the unsummarized tail is over the configured token or message budget,
+ * fold everything but the last `autoKeepRaw` messages into a new scene and
+ * queue it. Never runs while the user is generating or the queue is busy.
+ */
+async function checkAutoSummarize() {
+    const context = SillyTavern.getContext();
+    const settings = getSettings(context.extensionSettings);
+    if (!settings.enabled || !settings.autoSummarize) return;
+    if (userGenerating || autoCheckRunning || queue?.isProcessing || isSelectionModeActive()) return;
+
+    const { chat, chatMetadata } = context;
+    if (!chat?.length) return;
+
+    const range = getAutoSummarizeRange(chatMetadata, chat, settings.autoKeepRaw ?? DEFAULT_SETTINGS.autoKeepRaw);
+    if (!range) return;
+
+    autoCheckRunning = true;
+    try {
+        const messageCount = range.end - range.start + 1;
+        const messageBudget = settings.autoMessageBudget ?? DEFAULT_SETTINGS.autoMessageBudget;
+        const tokenBudget = settings.autoTokenBudget ?? DEFAULT_SETTINGS.autoTokenBudget;
+
+        // Budgets count the whole unsummarized tail, including the raw margin
+        let reason = null;
+        if (messageBudget > 0 && chat.length - range.start >= messageBudget) {
+            reason = `${chat.length - range.start} unsummarized messages`;
+        } else if (tokenBudget > 0) {
+            let tokens = 0;
+            for (let i = range.start; i < chat.length && tokens < tokenBudget; i++) {
+                tokens += await countTokens(context, chat[i]?.mes);
+            }
+            if (tokens >= tokenBudget) {
+                reason = `over ${tokenBudget} unsummarized tokens`;
+            }
+        }
+        if (!reason) return;
+
+        // The chat may have moved on while tokens were counted
+        const freshContext = SillyTavern.getContext();
+        if (userGenerating || queue.isProcessing || freshContext.chat !== chat) return;
+        if (findOverlappingScenes(chatMetadata, chat, range.start, range.end).length > 0) return;
+
+        const scene = createScene(chatMetadata, chat, range.start, range.end, context.uuidv4);
+        updateScene(chatMetadata, scene.id, { auto: true });
+        console.log(`[Scene Fold] Auto-summarize: ${reason}, created scene ${scene.id} for messages ${range.start}-${range.end}`);
+
+        context.saveChat();
+        context.saveMetadataDebounced();
+        toastr.info(`Auto-summarizing ${messageCount} message${messageCount !== 1 ? 's' : ''} (${reason})`, 'Scene Fold');
+
+        injectMessageButtons(context);
+        queue.add(scene.id);
+    } finally {
+        autoCheckRunning = false;
+    }
+}
+
+// ─── Export / Import ─────────────────────────────────────────────────────────
+
+/**
+ * Serialize the current chat's scenes to a JSON bundle.
+ * @param {object} context
+ * @returns {string} Pretty-printed JSON
+ */
+function buildSceneExport(context) {
+    const settings = getSettings(context.extensionSettings);
+    const bundle = exportScenes(context.chatMetadata, context.chat, settings);
+    return JSON.stringify(bundle, null, 2);
+}
+
+/**
+ * Download the current chat's scenes as a JSON file.
+ * @param {object} context
+ * @returns {string} The exported JSON
+ */
+function downloadSceneExport(context) {
+    const json = buildSceneExport(context);
+    const chatName = String(context.getCurrentChatId?.() || 'chat').replace(/[^\w\- ]+/g, '_');
+    download(json, `scene-fold - ${chatName}.json`, 'application/json');
+    return json;
+}
+
+/**
+ * Import a JSON bundle into the current chat, re-anchoring scenes by fingerprint.
+ * @param {object} context
+ * @param {string} text - Bundle JSON
+ * @param {object} [options]
+ * @param {boolean} [options.applyPrompts] - Also replace the prompt templates with the bundle's
+ * @returns {Promise<number>} Number of scenes imported
+ */
+async function importSceneBundle(context, text, { applyPrompts = false } = {}) {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch (err) {
+        toastr.error(`Scene Fold import: invalid JSON (${err.message})`);
+        return 0;
+    }
+    const invalid = validateBundle(bundle);
+    if (invalid) {
+        toastr.error(`Scene Fold import: ${invalid}`);
+        return 0;
+    }
+
+    const { chat, chatMetadata, uuidv4, saveChat, saveMetadataDebounced, reloadCurrentChat } = context;
+    const settings = getSettings(context.extensionSettings);
+
+    // Prompts first, so scenes can pick up templates that arrive with the bundle
+    if (applyPrompts && bundle.prompts) {
+        for (const key of ['defaultPrompt', 'chapterPrompt', 'titlePrompt', 'guidancePrefix']) {
+            if (typeof bundle.prompts[key] === 'string') settings[key] = bundle.prompts[key];
+        }
+        if (Array.isArray(bundle.prompts.templates)) {
+            mergeTemplates(settings, bundle.prompts.templates, uuidv4);
+        }
+        context.saveSettingsDebounced();
+        loadSettingsUI(context);
+    }
+
+    const result = importScenes(chatMetadata, chat, bundle, uuidv4, settings);
+    console.log('[Scene Fold] Import result:', result);
+
+    if (result.imported > 0) {
+        await saveChat();
+        saveMetadataDebounced();
+        await reloadCurrentChat();
+    }
+
+    const parts = [`Imported ${result.imported} of ${bundle.scenes.length} scene(s)`];
+    if (result.fuzzy > 0) parts.push(`${result.fuzzy} matched approximately`);
+    if (result.skipped.length > 0) {
+        const reasons = [...new Set(result.skipped.map(s => s.reason))].join(', ');
+        parts.push(`${result.skipped.length} skipped (${reasons})`);
+    }
+    const message = parts.join('; ');
+    if (result.imported > 0) {
+        toastr.success(message, 'Scene Fold');
+    } else {
+        toastr.warning(message, 'Scene Fold');
+    }
+    return result.imported;
+}
+
+/**
+ * Let the user pick a bundle file, offer to apply its prompts, and import it.
+ * Resolves with 0 when the file dialog is cancelled or the import fails.
+ * @returns {Promise<number>} Number of scenes imported
+ */
+function pickAndImportBundle() {
+    return new Promise((resolve) => {
+        const input = $('<input type="file" accept=".json,application/json" style="display:none">');
+        let settled = false;
+        const settle = (count) => {
+            if (settled) return;
+            settled = true;
+            input.remove();
+            $(window).off('focus.sceneFoldImport');
+            resolve(count);
+        };
+
+        input.on('change', async function () {
+            const file = this.files?.[0];
+            if (!file) return settle(0);
+            // Claim the promise now so the focus fallback can't resolve it mid-import
+            settled = true;
+            input.remove();
+            $(window).off('focus.sceneFoldImport');
+
+            try {
+                const ctx = SillyTavern.getContext();
+                const text = await getFileText(file);
+                let applyPrompts = false;
+                try {
+                    if (JSON.parse(text)?.prompts) {
+                        const answer = await ctx.callGenericPopup(
+                            'Also replace your Scene Fold prompt templates with the ones in this file?',
+                            ctx.POPUP_TYPE.CONFIRM,
+                        );
+                        applyPrompts = !!answer;
+                    }
+                } catch {
+                    // Invalid JSON is reported by importSceneBundle
+                }
+                resolve(await importSceneBundle(ctx, text, { applyPrompts }));
+            } catch (err) {
+                console.error('[Scene Fold] Import failed:', err);
+                toastr.error(`Scene Fold: could not import the file: ${err.message}`);
+                resolve(0);
+            }
+        });
+
+        // Cancelling the dialog fires `cancel` where supported; elsewhere the
+        // window regains focus with no file chosen. `change` can trail the
+        // focus event, so the fallback waits a moment before giving up.
+        input.on('cancel', () => settle(0));
+        $(window).one('focus.sceneFoldImport', () => {
+            setTimeout(() => {
+                if (!input[0].files?.length) settle(0);
+            }, 1000);
+        });
+
+        $('body').append(input);
+        input.trigger('click');
+    });
+}
+
+// ─── Scene Outline ───────────────────────────────────────────────────────────
+
+/**
+ * Show or hide the outline panel.
+ * @param {object} context
+ * @param {boolean} [open] - Defaults to toggling
+ */
+function setOutlineOpen(context, open = undefined) {
+    const settings = getSettings(context.extensionSettings);
+    settings.outlineOpen = open ?? !settings.outlineOpen;
+    context.saveSettingsDebounced();
+    renderOutlinePanel(context);
+}
+
+/**
+ * Load older messages until a message is rendered in the chat.
+ * @param {number} index - Chat index
+ * @returns {Promise<boolean>} Whether the message is now in the DOM
+ */
+async function loadMessagesThrough(index) {
+    // Each pass loads at least the missing span; the guard stops a chat that won't load
+    for (let pass = 0; pass < 10; pass++) {
+        if (document.querySelector(`#chat .mes[mesid="${index}"]`)) return true;
+        const firstShown = Number($('#chat .mes').first().attr('mesid'));
+        if (!Number.isFinite(firstShown) || firstShown <= index) return false;
+        await showMoreMessages(firstShown - index);
+    }
+    return !!document.querySelector(`#chat .mes[mesid="${index}"]`);
+}
+
+/**
+ * Scroll the chat to a scene. A folded scene shows its summary; a scene folded
+ * away inside a chapter shows the outermost folded chapter instead.
+ * @param {object} context
+ * @param {string} sceneId
+ * @returns {Promise<boolean>} Whether the scene could be shown
+ */
+async function jumpToScene(context, sceneId) {
+    const { chat, chatMetadata } = context;
+    const scene = getScene(chatMetadata, sceneId);
+    if (!scene) return false;
+
+    const foldedAncestors = getSceneAncestors(chatMetadata, scene).filter(a => a.status === 'completed' && a.folded);
+    const target = foldedAncestors[foldedAncestors.length - 1] ?? scene;
+    const folded = target.status === 'completed' && target.folded;
+
+    const uuid = folded && !target.injected
+        ? target.summaryMessageUUID
+        : getSceneMessageUUIDs(chatMetadata, target)[0];
+    const index = findMessageIndexByUUID(chat, uuid);
+    if (index === -1) {
+        toastr.warning('The messages of this scene are no longer in the chat');
+        return false;
+    }
+    if (!await loadMessagesThrough(index)) {
+        toastr.info(`Message ${index} could not be loaded in the current view`);
+        return false;
+    }
+
+    // An injected scene's summary is a block in the chat, not a message
+    const el = folded && target.injected
+        ? document.querySelector(`.scene-fold-injected-summary[data-scene-id="${target.id}"]`)
+        : document.querySelector(`#chat .mes[mesid="${index}"]`);
+    if (!el) return false;
+    el.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    $(el).addClass('scene-fold-outline-flash');
+    setTimeout(() => $(el).removeClass('scene-fold-outline-flash'), 1500);
+    return true;
+}
+
+// ─── Memory Extension Conflict Detection ─────────────────────────────────────
+
+/**
+ * Check if ST's built-in Summarize (memory) extension is active and warn.
+ * @param {object} context
+ */
+function checkMemoryExtensionConflict(context) {
+    const { extensionSettings } = context;
+
+    const isDisabled = extensionSettings.disabledExtensions?.includes('memory');
+    const hasMemorySettings = extensionSettings.memory
+        && Object.keys(extensionSettings.memory).length > 0;
+
+    if (!isDisabled && hasMemorySettings) {
+        // Inject warning into settings panel if not already present
+        const warningId = 'scene_fold_memory_warning';
+        if (!$(`#${warningId}`).length) {
+            const warningHtml = `
+                <div id="${warningId}" class="scene-fold-memory-warning">
+                    <i class="fa-solid fa-triangle-exclamation"></i>
+                    <span>The built-in <b>Summarize</b> extension is also active.
+                    Both extensions modify message visibility, which may cause conflicts.
+                    Consider disabling one.</span>
+                </div>
+            `;
+            $('.scene-fold-settings .inline-drawer-content').prepend(warningHtml);
+        }
+
+        // One-time toast per session
+        const toastKey = 'scene_fold_memory_warning_shown';
+        if (!sessionStorage.getItem(toastKey)) {
+            toastr.warning(
+                'The built-in Summarize extension is active alongside Scene Fold. They may conflict.',
+                'Scene Fold Warning',
+                { timeOut: 8000 },
+            );
+            sessionStorage.setItem(toastKey, 'true');
+        }
+    }
+}
+
+// ─── Event Handlers ──────────────────────────────────────────────────────────
+
+/**
+ * Bring the loaded chat's scene data, saved by an older release, up to the
+ * current schema and persist whatever the migrations rewrote.
+ * @param {object} context - SillyTavern context
+ */
+function runMigrations(context) {
+    const migration = migrateSceneFoldData(context.chatMetadata, context.chat);
+    if (migration.error) {
+        console.warn(`[Scene Fold] ${migration.error}`);
+        toastr.warning(migration.error, 'Scene Fold');
+        return;
+    }
+    if (!migration.metadataChanged) return;
+
+    console.log(`[Scene Fold] Scene data migrated from schema ${migration.from} to ${migration.to}`);
+    if (migration.chatChanged) context.saveChat();
+    context.saveMetadataDebounced();
+}
+
+/**
+ * Re-check every completed scene of the loaded chat against its recorded
+ * source hashes; messages may have been edited while the chat was closed.
+ * @param {object} context - SillyTavern context
+ */
+function refreshStaleness(context) {
+    const updated = evaluateStaleness(context.chatMetadata, context.chat);
+    if (updated.length > 0) {
+        console.log(`[Scene Fold] Staleness updated for ${updated.length} scene(s) on load`);
+        context.saveMetadataDebounced();
+    }
+}
+
+/**
+ * Handle CHAT_CHANGED: restore fold visuals from metadata.
+ */
+function onChatChanged() {
+    const context = SillyTavern.getContext();
+    const settings = getSettings(context.extensionSettings);
+    if (!settings.enabled) return;
+
+    // Stop the previous chat's queue work; it stays recorded there for resuming
+    if (queue?.isProcessing) {
+        queue.detach();
+    }
+
+    // A generation in the previous chat won't report its end to this one
+    endUserGeneration();
+
+    // Exit selection mode if active
+    if (isSelectionModeActive()) {
+        exitSelectionMode();
+    }
+
+    // Suggestions belong to the previous chat
+    clearGhostProposals();
+    retrySceneIds.clear();
+    compareSceneIds.clear();
+
+    runMigrations(context);
+    refreshStaleness(context);
+
+    // Scenes left queued or summarizing by a reload or chat switch can't still
+    // be in progress: put them back, flagged as interrupted, and offer to resume
+    const interruptedIds = context.chatMetadata.scene_fold
+        ? recoverInterruptedScenes(context.chatMetadata, context.chat)
+        : [];
+    if (interruptedIds.length > 0) {
+        console.log(`[Scene Fold] ${interruptedIds.length} scene(s) were interrupted mid-batch`);
+        context.saveMetadataDebounced();
+    }
+
+    // Apply fold visuals and message buttons from persisted state
+    applyAllFoldVisuals(context);
+    injectMessageButtons(context);
+    renderSceneList(context);
+    renderTemplateLibrary(context);
+    updateToolbar(context, queue);
+    checkMemoryExtensionConflict(context);
+    backfillTokenCounts(context);
+
+    if (interruptedIds.length > 0) {
+        offerQueueResume(context, interruptedIds);
+    }
+}
+
+/**
+ * Put interrupted scenes back in the queue. Scenes that still have their
+ * summary were queued for re-summarization, and are again.
+ * @param {object} context
+ * @param {string[]} sceneIds - In queue order
+ * @returns {number} Scenes queued
+ */
+function resumeInterruptedScenes(context, sceneIds) {
+    const scenes = sceneIds
+        .map(id => getScene(context.chatMetadata, id))
+        .filter(scene => scene?.interrupted);
+    for (const scene of scenes) {
+        if (scene.status === 'completed') retrySceneIds.add(scene.id);
+    }
+    queue.addAll(scenes.map(scene => scene.id));
+    return scenes.length;
+}
+
+/**
+ * Offer to resume a batch cut short by a reload or chat switch, or resume it
+ * straight away when the auto-resume setting is on. Declining leaves
+ * unsummarized scenes flagged as interrupted; re-summarizations are dropped,
+ * since those scenes still have their old summary.
+ * @param {object} context
+ * @param {string[]} sceneIds - Interrupted scenes, in queue order
+ */
+async function offerQueueResume(context, sceneIds) {
+    const settings = getSettings(context.extensionSettings);
+    const chatId = context.getCurrentChatId?.();
+    const count = sceneIds.length;
+
+    if (settings.autoResumeQueue) {
+        resumeInterruptedScenes(context, sceneIds);
+        toastr.info(`Resuming ${count} interrupted scene summar${count !== 1 ? 'ies' : 'y'}`);
+        return;
+    }
+
+    const confirmed = await context.callGenericPopup(
+        `<p>${count} scene${count !== 1 ? 's were' : ' was'} still queued or being summarized when this chat was last closed.</p>
+        <p>Resume the batch? Scenes that failed with an error are not included.</p>`,
+        context.POPUP_TYPE.CONFIRM,
+        '',
+        { okButton: 'Resume', cancelButton: 'Not now' },
+    );
+
+    // The user may have switched chats while the popup was open
+    const ctx = SillyTavern.getContext();
+    if (ctx.getCurrentChatId?.() !== chatId) return;
+
+    if (confirmed) {
+        resumeInterruptedScenes(ctx, sceneIds);
+        return;
+    }
+    for (const id of sceneIds) {
+        const scene = getScene(ctx.chatMetadata, id);
+        if (scene?.status === 'completed') scene.interrupted = false;
+    }
+    ctx.saveMetadataDebounced();
+    applyAllFoldVisuals(ctx);
+    renderSceneList(ctx);
+}
+
+/**
+ * Handle MESSAGE_DELETED: reconcile scene data with current chat state.
+ * The event fires AFTER the message is removed from chat[].
+ */
+async function onMessageDeleted() {
     const context = SillyTavern.getContext();
     const settings = getSettings(context.extensionSettings);
     if (!settings.enabled) return;
@@ -524,6 +1824,12 @@ async function onMessageDeleted() {
     const { chat, chatMetadata } = context;
     const result = reconcileScenesAfterDeletion(chatMetadata, chat);
 
+    // Suggestions whose first or last message was deleted are gone
+    if (pruneGhostProposals(chat)) {
+        applyAllFoldVisuals(context);
+        updateToolbar(context, queue);
+    }
+
     if (result.deletedScenes.length === 0 && result.modifiedScenes.length === 0 && result.summaryLost.length === 0) {
         return;
     }
@@ -547,32 +1853,24 @@ async function onMessageDeleted() {
 }
 
 /**
- * Handle MESSAGE_SWIPED: if the swiped message belongs to a completed scene,
- * mark that scene as stale (summary may not reflect current content).
- * @param {number} mesId - The index of the swiped message
+ * Handle edits, swipes and reasoning/attachment changes on a message: if it
+ * is a source of a completed scene, re-check that scene against the content
+ * hashes recorded at summarization. Swiping back to the summarized version
+ * clears the stale state again.
+ * @param {number} mesId - The index of the changed message
  */
-function onMessageSwiped(mesId) {
+function onSourceMessageChanged(mesId) {
     const context = SillyTavern.getContext();
     const settings = getSettings(context.extensionSettings);
     if (!settings.enabled) return;
 
     const { chat, chatMetadata } = context;
-    const msg = chat[mesId];
-    if (!msg?.extra?.scene_fold_scenes) return;
-
-    const data = getSceneFoldData(chatMetadata);
-    let anyStale = false;
-
-    for (const sceneId of msg.extra.scene_fold_scenes) {
-        const scene = data.scenes[sceneId];
-        if (scene && scene.status === 'completed' && !scene.stale) {
-            scene.stale = true;
-            anyStale = true;
-            console.log(`[Scene Fold] Scene ${sceneId} marked stale due to swipe on message ${mesId}`);
-        }
-    }
+    const sceneIds = chat[Number(mesId)]?.extra?.scene_fold_scenes;
+    if (!sceneIds?.length) return;
 
-    if (anyStale) {
+    const updated = evaluateStaleness(chatMetadata, chat, sceneIds);
+    if (updated.length > 0) {
+        console.log(`[Scene Fold] Staleness re-evaluated after change to message ${mesId}: ${updated.join(', ')}`);
         context.saveMetadataDebounced();
         applyAllFoldVisuals(context);
         renderSceneList(context);
@@ -599,9 +1897,36 @@ function onMessageRendered(messageId) {
 
 // ─── Slash Commands ──────────────────────────────────────────────────────────
 
+/**
+ * Run a boundary edit, persist it and re-render the chat, or report why it was refused.
+ * Boundary edits can move the summary message and flip is_system on sources,
+ * so the chat is reloaded rather than patched in place. The reload counts as a
+ * chat change and would detach the queue, so edits wait until it is idle.
+ * @param {object} context - SillyTavern context
+ * @param {() => { error: string|null }} edit - The scene-data operation
+ * @param {string|((result: object) => string)} successMessage
+ * @returns {Promise<{ error: string|null }>} The edit's result; error is set if it was not applied
+ */
+async function applyBoundaryEdit(context, edit, successMessage) {
+    const result = queue?.isProcessing
+        ? { error: 'Wait for the summarization queue to finish before editing scene boundaries' }
+        : edit();
+    if (result.error) {
+        toastr.warning(result.error);
+        return result;
+    }
+    clearGhostProposals();
+    await context.saveChat();
+    context.saveMetadataDebounced();
+    await context.reloadCurrentChat();
+    toastr.success(typeof successMessage === 'function' ? successMessage(result) : successMessage);
+    return result;
+}
+
 /**
  * Resolve a slash command argument to a scene ID.
- * Accepts a message index (number) or falls back to UUID lookup.
+ * Accepts a message index (number), a scene UUID, or a scene title
+ * (case-insensitive; a unique prefix is enough).
  * @param {object} chatMetadata
  * @param {Array} chat
  * @param {string} arg - The argument string (message index or scene UUID)
@@ -622,11 +1947,26 @@ function resolveSceneArg(chatMetadata, chat, arg) {
     const scene = getScene(chatMetadata, arg);
     if (scene) return arg;
 
-    return null;
+    return findSceneByTitle(chatMetadata, arg)?.id ?? null;
+}
+
+/**
+ * Resolve a template= slash argument to a template ID.
+ * @param {object} settings
+ * @param {string|undefined} arg - Template name or ID
+ * @returns {{ templateId: string|null, error: string|null }}
+ */
+function resolveTemplateArg(settings, arg) {
+    const name = arg === undefined ? '' : String(arg).trim();
+    if (!name || name.toLowerCase() === 'none') return { templateId: null, error: null };
+    const template = findTemplate(settings, name);
+    return template
+        ? { templateId: template.id, error: null }
+        : { templateId: null, error: `No prompt template named "${name}"` };
 }
 
 /**
- * /scene-create start=N end=N [prompt=...]
+ * /scene-create start=N end=N [prompt=...] [title=...] [template=...]
  */
 async function slashSceneCreate(namedArgs) {
     const ctx = SillyTavern.getContext();
@@ -666,8 +2006,16 @@ async function slashSceneCreate(namedArgs) {
         return 'Error: overlap';
     }
 
+    const { templateId, error: templateError } = resolveTemplateArg(settings, namedArgs.template);
+    if (templateError) {
+        toastr.error(templateError);
+        return `Error: ${templateError}`;
+    }
+
     const customPrompt = namedArgs.prompt?.trim() || null;
     const scene = createScene(ctx.chatMetadata, ctx.chat, start, end, ctx.uuidv4, customPrompt);
+    scene.title = namedArgs.title?.trim() || null;
+    scene.templateId = templateId;
 
     ctx.saveChat();
     ctx.saveMetadataDebounced();
@@ -683,6 +2031,66 @@ async function slashSceneCreate(namedArgs) {
     return scene.id;
 }
 
+/**
+ * /scene-chapter start=N end=N [prompt=...] [template=...]
+ */
+async function slashSceneChapter(namedArgs) {
+    const ctx = SillyTavern.getContext();
+    const settings = getSettings(ctx.extensionSettings);
+    if (!settings.enabled) return 'Scene Fold is disabled';
+
+    let start, end;
+
+    if (namedArgs.start !== undefined && namedArgs.end !== undefined) {
+        start = Number(namedArgs.start);
+        end = Number(namedArgs.end);
+        if (isNaN(start) || isNaN(end) || start < 0 || end < 0) {
+            toastr.error('Invalid start/end indices');
+            return 'Error: invalid indices';
+        }
+        if (start > end) [start, end] = [end, start];
+    } else if (isSelectionModeActive()) {
+        const range = getSelectionRange();
+        if (range.start === null || range.end === null) {
+            toastr.warning('No messages selected');
+            return 'Error: no selection';
+        }
+        start = range.start;
+        end = range.end;
+    } else {
+        toastr.warning('Provide start= and end= arguments, or enter selection mode first');
+        return 'Error: no range specified';
+    }
+
+    const { sceneIds, error } = getChapterCandidates(ctx.chatMetadata, ctx.chat, start, end);
+    if (error) {
+        toastr.warning(error);
+        return `Error: ${error}`;
+    }
+
+    const { templateId, error: templateError } = resolveTemplateArg(settings, namedArgs.template);
+    if (templateError) {
+        toastr.error(templateError);
+        return `Error: ${templateError}`;
+    }
+
+    const customPrompt = namedArgs.prompt?.trim() || null;
+    const chapter = createChapter(ctx.chatMetadata, ctx.chat, sceneIds, ctx.uuidv4, customPrompt);
+    chapter.templateId = templateId;
+
+    ctx.saveChat();
+    ctx.saveMetadataDebounced();
+
+    if (isSelectionModeActive()) exitSelectionMode();
+
+    applyAllFoldVisuals(ctx);
+    renderSceneList(ctx);
+    updateToolbar(ctx, queue);
+
+    toastr.success(`Chapter created from ${sceneIds.length} scenes`);
+    return chapter.id;
+}
+
 /**
  * /scene-summarize [messageIndex|all]
  */
@@ -694,13 +2102,12 @@ async function slashSceneSummarize(_namedArgs, unnamedArgs) {
     const arg = (typeof unnamedArgs === 'string' ? unnamedArgs : '').trim() || 'all';
 
     if (arg === 'all') {
-        const scenes = getScenesInOrder(ctx.chatMetadata, ctx.chat);
-        const pending = scenes.filter(s => s.status === 'defined' || s.status === 'error');
+        const pending = getPendingScenesForBatch(ctx);
         if (pending.length === 0) {
             toastr.info('No pending scenes to summarize');
             return '0';
         }
-        queue.addAll(pending.map(s => s.id));
+        queue.addAll(orderForBatch(ctx.chatMetadata, pending));
         return String(pending.length);
     } else {
         const sceneId = resolveSceneArg(ctx.chatMetadata, ctx.chat, arg);
@@ -751,48 +2158,294 @@ async function slashSceneExpand(_namedArgs, unnamedArgs) {
         renderSceneList(ctx);
     }
 
-    return String(count);
+    return String(count);
+}
+
+/**
+ * /scene-collapse [messageIndex|all]
+ */
+async function slashSceneCollapse(_namedArgs, unnamedArgs) {
+    const ctx = SillyTavern.getContext();
+    const settings = getSettings(ctx.extensionSettings);
+    if (!settings.enabled) return 'Scene Fold is disabled';
+
+    const arg = (typeof unnamedArgs === 'string' ? unnamedArgs : '').trim() || 'all';
+    const data = getSceneFoldData(ctx.chatMetadata);
+    let count = 0;
+
+    if (arg === 'all') {
+        for (const scene of Object.values(data.scenes)) {
+            if (scene.status === 'completed' && !scene.folded) {
+                scene.folded = true;
+                count++;
+            }
+        }
+    } else {
+        const sceneId = resolveSceneArg(ctx.chatMetadata, ctx.chat, arg);
+        if (!sceneId) {
+            toastr.error(`No scene found at message ${arg}`);
+            return 'Error: scene not found';
+        }
+        const scene = data.scenes[sceneId];
+        if (scene?.status === 'completed' && !scene.folded) {
+            scene.folded = true;
+            count = 1;
+        }
+    }
+
+    if (count > 0) {
+        ctx.saveMetadataDebounced();
+        applyAllFoldVisuals(ctx);
+        renderSceneList(ctx);
+    }
+
+    return String(count);
+}
+
+/**
+ * /scene-title [title=...] [generate=true] <message index, scene ID or title>
+ */
+async function slashSceneTitle(namedArgs, unnamedArgs) {
+    const ctx = SillyTavern.getContext();
+    const settings = getSettings(ctx.extensionSettings);
+    if (!settings.enabled) return 'Scene Fold is disabled';
+
+    const arg = (typeof unnamedArgs === 'string' ? unnamedArgs : '').trim();
+    const sceneId = resolveSceneArg(ctx.chatMetadata, ctx.chat, arg);
+    if (!sceneId) {
+        toastr.error(`No scene found for "${arg}"`);
+        return 'Error: scene not found';
+    }
+    const scene = getScene(ctx.chatMetadata, sceneId);
+
+    let title;
+    if (namedArgs.title !== undefined) {
+        title = String(namedArgs.title).trim().slice(0, 80) || null;
+    } else if (namedArgs.generate === 'true' || namedArgs.generate === true) {
+        if (scene.status !== 'completed') {
+            toastr.warning('Summarize the scene before generating a title');
+            return 'Error: scene not summarized';
+        }
+        try {
+            title = await generateSceneTitle(ctx, scene);
+        } catch (err) {
+            toastr.error(`Title generation failed: ${err.message}`);
+            return `Error: ${err.message}`;
+        }
+        if (!title) {
+            toastr.warning('The model returned no title');
+            return 'Error: no title';
+        }
+    } else {
+        return scene.title || '';
+    }
+
+    updateScene(ctx.chatMetadata, sceneId, { title });
+    ctx.saveMetadataDebounced();
+    applyAllFoldVisuals(ctx);
+    renderSceneList(ctx);
+    return title || '';
+}
+
+/**
+ * /scene-template [template=...] <message index, scene ID or title>
+ */
+function slashSceneTemplate(namedArgs, unnamedArgs) {
+    const ctx = SillyTavern.getContext();
+    const settings = getSettings(ctx.extensionSettings);
+    if (!settings.enabled) return 'Scene Fold is disabled';
+
+    const arg = (typeof unnamedArgs === 'string' ? unnamedArgs : '').trim();
+    const sceneId = resolveSceneArg(ctx.chatMetadata, ctx.chat, arg);
+    if (!sceneId) {
+        toastr.error(`No scene found for "${arg}"`);
+        return 'Error: scene not found';
+    }
+
+    if (namedArgs.template === undefined) {
+        return findTemplate(settings, getScene(ctx.chatMetadata, sceneId).templateId)?.name || '';
+    }
+
+    const { templateId, error } = resolveTemplateArg(settings, namedArgs.template);
+    if (error) {
+        toastr.error(error);
+        return `Error: ${error}`;
+    }
+    updateScene(ctx.chatMetadata, sceneId, { templateId });
+    ctx.saveMetadataDebounced();
+    applyAllFoldVisuals(ctx);
+    renderSceneList(ctx);
+    return findTemplate(settings, templateId)?.name || '';
+}
+
+/**
+ * Shared body of /scene-extend and /scene-shrink.
+ * @param {object} namedArgs - edge=start|end, count=N
+ * @param {string} unnamedArgs - Message index within the scene, or scene ID
+ * @param {number} sign - 1 to extend, -1 to shrink
+ * @returns {Promise<string>}
+ */
+async function resizeSceneFromSlash(namedArgs, unnamedArgs, sign) {
+    const ctx = SillyTavern.getContext();
+    const settings = getSettings(ctx.extensionSettings);
+    if (!settings.enabled) return 'Scene Fold is disabled';
+
+    const edge = namedArgs.edge === 'start' ? 'start' : 'end';
+    const count = namedArgs.count !== undefined ? Number(namedArgs.count) : 1;
+    if (!Number.isInteger(count) || count < 1) {
+        toastr.error('count must be a positive whole number');
+        return 'Error: invalid count';
+    }
+
+    const arg = (typeof unnamedArgs === 'string' ? unnamedArgs : '').trim();
+    const sceneId = resolveSceneArg(ctx.chatMetadata, ctx.chat, arg);
+    if (!sceneId) {
+        toastr.error(`No scene found at message ${arg}`);
+        return 'Error: scene not found';
+    }
+
+    const verb = sign > 0 ? 'Extended' : 'Shrunk';
+    const { error, changed } = await applyBoundaryEdit(ctx,
+        () => resizeScene(ctx.chatMetadata, ctx.chat, sceneId, edge, sign * count, ctx.uuidv4),
+        result => `${verb} scene by ${result.changed} message(s)`);
+    return error ? `Error: ${error}` : String(changed);
+}
+
+/**
+ * /scene-extend edge=start|end count=N <message index or scene ID>
+ */
+function slashSceneExtend(namedArgs, unnamedArgs) {
+    return resizeSceneFromSlash(namedArgs, unnamedArgs, 1);
+}
+
+/**
+ * /scene-shrink edge=start|end count=N <message index or scene ID>
+ */
+function slashSceneShrink(namedArgs, unnamedArgs) {
+    return resizeSceneFromSlash(namedArgs, unnamedArgs, -1);
+}
+
+/**
+ * /scene-split at=N — the message at N starts a new scene
+ */
+async function slashSceneSplit(namedArgs) {
+    const ctx = SillyTavern.getContext();
+    const settings = getSettings(ctx.extensionSettings);
+    if (!settings.enabled) return 'Scene Fold is disabled';
+
+    const at = Number(namedArgs.at);
+    if (!Number.isInteger(at) || at < 0 || at >= ctx.chat.length) {
+        toastr.error('Invalid split index');
+        return 'Error: invalid index';
+    }
+    const sceneId = resolveSceneArg(ctx.chatMetadata, ctx.chat, String(at));
+    if (!sceneId) {
+        toastr.error(`Message ${at} is not part of a scene`);
+        return 'Error: scene not found';
+    }
+
+    const { error, scene } = await applyBoundaryEdit(ctx,
+        () => splitScene(ctx.chatMetadata, ctx.chat, sceneId, at, ctx.uuidv4),
+        result => `Split off a new scene with ${result.scene.sourceMessageUUIDs.length} message(s)`);
+    return error ? `Error: ${error}` : scene.id;
+}
+
+/**
+ * /scene-merge <message index or scene ID> — merge with the following scene
+ */
+async function slashSceneMerge(_namedArgs, unnamedArgs) {
+    const ctx = SillyTavern.getContext();
+    const settings = getSettings(ctx.extensionSettings);
+    if (!settings.enabled) return 'Scene Fold is disabled';
+
+    const arg = (typeof unnamedArgs === 'string' ? unnamedArgs : '').trim();
+    const sceneId = resolveSceneArg(ctx.chatMetadata, ctx.chat, arg);
+    if (!sceneId) {
+        toastr.error(`No scene found at message ${arg}`);
+        return 'Error: scene not found';
+    }
+
+    const next = getNextScene(ctx.chatMetadata, ctx.chat, sceneId);
+    const { error } = await applyBoundaryEdit(ctx, () => (next
+        ? mergeScenes(ctx.chatMetadata, ctx.chat, sceneId, next.id)
+        : { error: 'There is no scene after this one to merge with' }), 'Scenes merged');
+    return error ? `Error: ${error}` : sceneId;
 }
 
 /**
- * /scene-collapse [messageIndex|all]
+ * /scene-suggest [accept|clear]
  */
-async function slashSceneCollapse(_namedArgs, unnamedArgs) {
+async function slashSceneSuggest(_namedArgs, unnamedArgs) {
     const ctx = SillyTavern.getContext();
     const settings = getSettings(ctx.extensionSettings);
     if (!settings.enabled) return 'Scene Fold is disabled';
 
-    const arg = (typeof unnamedArgs === 'string' ? unnamedArgs : '').trim() || 'all';
-    const data = getSceneFoldData(ctx.chatMetadata);
-    let count = 0;
+    const arg = (typeof unnamedArgs === 'string' ? unnamedArgs : '').trim();
 
-    if (arg === 'all') {
-        for (const scene of Object.values(data.scenes)) {
-            if (scene.status === 'completed' && !scene.folded) {
-                scene.folded = true;
-                count++;
-            }
-        }
-    } else {
-        const sceneId = resolveSceneArg(ctx.chatMetadata, ctx.chat, arg);
-        if (!sceneId) {
-            toastr.error(`No scene found at message ${arg}`);
-            return 'Error: scene not found';
+    if (arg === 'clear') {
+        clearGhostProposals();
+        applyAllFoldVisuals(ctx);
+        updateToolbar(ctx, queue);
+        return '0';
+    }
+
+    if (arg === 'accept') {
+        let created = 0;
+        for (const proposal of [...getGhostProposals()]) {
+            if (acceptGhostProposal(ctx, proposal.id)) created++;
         }
-        const scene = data.scenes[sceneId];
-        if (scene?.status === 'completed' && !scene.folded) {
-            scene.folded = true;
-            count = 1;
+        if (created > 0) {
+            ctx.saveChat();
+            ctx.saveMetadataDebounced();
         }
+        refreshAfterGhostChange(ctx);
+        return String(created);
     }
 
-    if (count > 0) {
-        ctx.saveMetadataDebounced();
-        applyAllFoldVisuals(ctx);
-        renderSceneList(ctx);
+    return String(await suggestScenes(ctx));
+}
+
+/**
+ * /scene-export [download=true]
+ */
+function slashSceneExport(namedArgs) {
+    const ctx = SillyTavern.getContext();
+    const settings = getSettings(ctx.extensionSettings);
+    if (!settings.enabled) return 'Scene Fold is disabled';
+
+    const shouldDownload = String(namedArgs.download ?? 'true') !== 'false';
+    return shouldDownload ? downloadSceneExport(ctx) : buildSceneExport(ctx);
+}
+
+/**
+ * /scene-import [prompts=false] [json]
+ */
+async function slashSceneImport(namedArgs, unnamedArgs) {
+    const ctx = SillyTavern.getContext();
+    const settings = getSettings(ctx.extensionSettings);
+    if (!settings.enabled) return 'Scene Fold is disabled';
+
+    const text = (typeof unnamedArgs === 'string' ? unnamedArgs : '').trim();
+    if (!text) {
+        return String(await pickAndImportBundle());
     }
+    const applyPrompts = String(namedArgs.prompts ?? 'false') === 'true';
+    return String(await importSceneBundle(ctx, text, { applyPrompts }));
+}
 
-    return String(count);
+/**
+ * /scene-outline — show or hide the outline panel.
+ * @param {object} _namedArgs
+ * @param {string} unnamedArgs - "on", "off", or empty to toggle
+ */
+function slashSceneOutline(_namedArgs, unnamedArgs) {
+    const ctx = SillyTavern.getContext();
+    const settings = getSettings(ctx.extensionSettings);
+    if (!settings.enabled) return 'Scene Fold is disabled';
+
+    const arg = (typeof unnamedArgs === 'string' ? unnamedArgs : '').trim().toLowerCase();
+    setOutlineOpen(ctx, arg === 'on' ? true : arg === 'off' ? false : undefined);
+    return settings.outlineOpen ? 'on' : 'off';
 }
 
 /**
@@ -818,6 +2471,142 @@ function slashSceneNext() {
     return String(autoStart);
 }
 
+/**
+ * Open the chat-level facts view. Facts come from plain scenes only; a chapter's
+ * facts restate its scenes'.
+ * @param {object} context
+ * @returns {object} The aggregated facts
+ */
+function showFactsView(context) {
+    const scenes = getScenesInOrder(context.chatMetadata, context.chat)
+        .filter(scene => scene.status === 'completed' && !isChapter(scene));
+    const aggregate = aggregateFacts(scenes);
+    context.callGenericPopup(buildFactsViewHtml(aggregate), context.POPUP_TYPE.TEXT, '', {
+        wide: true,
+        allowVerticalScrolling: true,
+    });
+    return aggregate;
+}
+
+/**
+ * Write scene facts into the chat's lorebook after a preview. Without a chat
+ * lorebook, offers to create and bind one.
+ * @param {object} context
+ * @param {object} [options]
+ * @param {string[]|null} [options.sceneIds] - Only sync entries involving these scenes
+ * @param {boolean} [options.quiet] - Stay silent when there is nothing to do
+ * @returns {Promise<number>} Number of entries created, updated or removed
+ */
+async function syncLorebook(context, { sceneIds = null, quiet = false } = {}) {
+    const { chatMetadata, chat } = context;
+    let worldName = chatMetadata[METADATA_KEY];
+
+    if (!worldName) {
+        if (quiet) return 0;
+        const chatName = String(context.getCurrentChatId?.() || 'chat').replace(/[^\w\- ]+/g, '_');
+        const newName = `Scene Fold - ${chatName}`;
+        const create = await context.callGenericPopup(
+            `This chat has no lorebook. Create “${escapeHtml(newName)}” and bind it to the chat?`,
+            context.POPUP_TYPE.CONFIRM,
+        );
+        if (!create) return 0;
+        await createNewWorldInfo(newName, { interactive: false });
+        chatMetadata[METADATA_KEY] = newName;
+        context.saveMetadataDebounced();
+        worldName = newName;
+    }
+
+    const worldData = await context.loadWorldInfo(worldName);
+    if (!worldData) {
+        toastr.error(`Could not load the lorebook "${worldName}"`);
+        return 0;
+    }
+
+    const plan = planLoreSync(chatMetadata, chat, worldName, worldData, sceneIds);
+    if (isLorePlanEmpty(plan)) {
+        if (!quiet) toastr.info('The lorebook is already up to date with the scene facts', 'Scene Fold');
+        return 0;
+    }
+
+    const confirmed = await context.callGenericPopup(buildLorePreviewHtml(plan), context.POPUP_TYPE.CONFIRM, '', {
+        wide: true,
+        allowVerticalScrolling: true,
+        okButton: 'Write to lorebook',
+    });
+    if (!confirmed) return 0;
+
+    applyLoreSync(chatMetadata, worldData, plan, data => createWorldInfoEntry(worldName, data));
+    await context.saveWorldInfo(worldName, worldData, true);
+    context.reloadWorldInfoEditor?.(worldName);
+    context.saveMetadataDebounced();
+
+    const changed = plan.create.length + plan.update.length + plan.remove.length;
+    toastr.success(`Lorebook: ${plan.create.length} added, ${plan.update.length} updated, ${plan.remove.length} removed`, 'Scene Fold');
+    return changed;
+}
+
+/**
+ * After a scene's summary changed or went away, offer to bring the lorebook
+ * entries written from it up to date. Does nothing for scenes never synced.
+ * @param {object} context
+ * @param {string} sceneId
+ */
+function offerLoreSyncForScene(context, sceneId) {
+    if (!isSceneInLore(context.chatMetadata, sceneId)) return;
+    syncLorebook(context, { sceneIds: [sceneId], quiet: true }).catch(err => {
+        console.error('[Scene Fold] Lorebook sync failed:', err);
+        toastr.error(`Lorebook sync failed: ${err.message}`);
+    });
+}
+
+/**
+ * /scene-lore — write scene facts into the chat's lorebook, after a preview.
+ */
+async function slashSceneLore() {
+    const ctx = SillyTavern.getContext();
+    const settings = getSettings(ctx.extensionSettings);
+    if (!settings.enabled) return 'Scene Fold is disabled';
+    return String(await syncLorebook(ctx));
+}
+
+/**
+ * /scene-facts — show the facts extracted from this chat's scenes.
+ */
+function slashSceneFacts() {
+    const ctx = SillyTavern.getContext();
+    const settings = getSettings(ctx.extensionSettings);
+    if (!settings.enabled) return 'Scene Fold is disabled';
+    return JSON.stringify(showFactsView(ctx));
+}
+
+/**
+ * /scene-review — review every drafted summary in one popup.
+ */
+async function slashSceneReview() {
+    const ctx = SillyTavern.getContext();
+    const settings = getSettings(ctx.extensionSettings);
+    if (!settings.enabled) return 'Scene Fold is disabled';
+    return String(await reviewDrafts(ctx));
+}
+
+/**
+ * /scene-resume — queue the scenes an earlier reload or chat switch interrupted.
+ */
+function slashSceneResume() {
+    const ctx = SillyTavern.getContext();
+    const settings = getSettings(ctx.extensionSettings);
+    if (!settings.enabled) return 'Scene Fold is disabled';
+
+    const ids = getScenesInOrder(ctx.chatMetadata, ctx.chat)
+        .filter(scene => scene.interrupted)
+        .map(scene => scene.id);
+    if (ids.length === 0) {
+        toastr.info('No interrupted scenes to resume');
+        return '0';
+    }
+    return String(resumeInterruptedScenes(ctx, ids));
+}
+
 /**
  * /scene-debug — dump all Scene Fold data to browser console.
  */
@@ -864,119 +2653,17 @@ async function slashConvertRememory() {
         return '0';
     }
 
-    // Step 1: Detect ReMemory summary messages.
-    // In MESSAGE mode, ReMemory increments mes_id, inserts a /comment at that index,
-    // then sets rmr_scene=true on chat[mes_id] — the summary message itself.
-    // So rmr_scene marks the SUMMARY, not the last source message.
-    let summaryIndices = [];
-    for (let i = 0; i < chat.length; i++) {
-        if (chat[i]?.extra?.rmr_scene === true) {
-            summaryIndices.push(i);
-        }
-    }
-
-    // Fallback: if no rmr_scene markers, look for /comment messages (extra.type === "comment")
-    // or messages named "Note" that aren't from the user
-    if (summaryIndices.length === 0) {
-        for (let i = 0; i < chat.length; i++) {
-            const msg = chat[i];
-            if (msg?.is_user) continue;
-            if (msg?.extra?.type === 'comment' || msg?.name === 'Note') {
-                summaryIndices.push(i);
-            }
-        }
-    }
-
-    if (summaryIndices.length === 0) {
+    const { detected, converted } = convertRememoryScenes(chatMetadata, chat, uuidv4);
+    if (detected === 0) {
         toastr.info('No ReMemory scenes detected in this chat');
         return '0';
     }
-
-    // Step 2: Build scene ranges.
-    // Each summary's sources are all messages between the previous summary and this one.
-    // Layout: [source...] [summary] [source...] [summary] [trailing...]
-    const scenesToConvert = [];
-    let prevSummaryIdx = -1;
-
-    for (const summaryIdx of summaryIndices) {
-        const startIdx = prevSummaryIdx + 1;
-        const sourceEnd = summaryIdx - 1;
-        prevSummaryIdx = summaryIdx;
-
-        if (sourceEnd < startIdx) {
-            console.warn(`[Scene Fold] Skipping empty scene at summary index ${summaryIdx}`);
-            continue;
-        }
-
-        // Skip if already converted to Scene Fold
-        let alreadyConverted = false;
-        for (let i = startIdx; i <= sourceEnd; i++) {
-            if (chat[i]?.extra?.scene_fold_scenes?.length > 0) {
-                alreadyConverted = true;
-                break;
-            }
-        }
-        if (alreadyConverted) {
-            console.log(`[Scene Fold] Skipping already-converted range ${startIdx}-${sourceEnd}`);
-            continue;
-        }
-
-        scenesToConvert.push({ startIdx, endIdx: sourceEnd, summaryIdx });
-    }
-
-    if (scenesToConvert.length === 0) {
+    if (converted === 0) {
         toastr.info('All ReMemory scenes are already converted or no valid scenes found');
         return '0';
     }
 
-    console.log(`[Scene Fold] Converting ${scenesToConvert.length} ReMemory scene(s):`,
-        scenesToConvert.map(s => `sources ${s.startIdx}-${s.endIdx}, summary ${s.summaryIdx}`));
-
-    // Step 3: Reorder and convert each scene.
-    // Scene Fold expects: [summary] [source1] ... [sourceN]
-    // ReMemory has:       [source1] ... [sourceN] [summary]
-    // Process in reverse order so earlier indices aren't affected by later splices.
-    let converted = 0;
-    for (let si = scenesToConvert.length - 1; si >= 0; si--) {
-        const { startIdx, endIdx, summaryIdx } = scenesToConvert[si];
-
-        // Move summary from after sources to before them
-        const [summaryMsg] = chat.splice(summaryIdx, 1);
-        chat.splice(startIdx, 0, summaryMsg);
-        // Now: chat[startIdx] = summary, sources at startIdx+1 through endIdx+1
-        // (net effect on array length is zero: one remove + one insert)
-
-        const summaryUUID = ensureMessageUUID(summaryMsg, uuidv4);
-
-        // Tag summary message with Scene Fold metadata
-        if (!summaryMsg.extra) summaryMsg.extra = {};
-        summaryMsg.extra.scene_fold_role = 'summary';
-        summaryMsg.is_system = false; // Summary must be included in prompts
-
-        // Create the scene from the source range (shifted +1 by summary insertion)
-        const sourceStart = startIdx + 1;
-        const sourceEnd = endIdx + 1;
-        const scene = createScene(chatMetadata, chat, sourceStart, sourceEnd, uuidv4);
-
-        // Link summary to the scene
-        summaryMsg.extra.scene_fold_scene_id = scene.id;
-
-        // Mark source messages as hidden from prompts
-        for (let i = sourceStart; i <= sourceEnd; i++) {
-            chat[i].is_system = true;
-        }
-
-        // Update scene to completed + folded
-        updateScene(chatMetadata, scene.id, {
-            status: 'completed',
-            folded: true,
-            summaryMessageUUID: summaryUUID,
-        });
-
-        converted++;
-    }
-
-    // Step 4: Save and reload
+    // Save and reload
     await saveChat();
     saveMetadataDebounced();
     await reloadCurrentChat();
@@ -1002,6 +2689,56 @@ function registerSlashCommands() {
             new SlashCommandNamedArgument('start', 'Start message index (inclusive)', ARGUMENT_TYPE.NUMBER, false),
             new SlashCommandNamedArgument('end', 'End message index (inclusive)', ARGUMENT_TYPE.NUMBER, false),
             new SlashCommandNamedArgument('prompt', 'Custom summarization prompt for this scene', ARGUMENT_TYPE.STRING, false),
+            new SlashCommandNamedArgument('title', 'Short title for this scene', ARGUMENT_TYPE.STRING, false),
+            new SlashCommandNamedArgument('template', 'Name of the prompt template to summarize with', ARGUMENT_TYPE.STRING, false),
+        ],
+        returns: ARGUMENT_TYPE.STRING,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scene-title',
+        callback: slashSceneTitle,
+        helpString: 'Get or set a scene\'s title. With title= sets it (an empty title clears it); with generate=true asks the LLM for one from the summary; otherwise returns the current title.',
+        namedArgumentList: [
+            new SlashCommandNamedArgument('title', 'New title', ARGUMENT_TYPE.STRING, false),
+            new SlashCommandNamedArgument('generate', 'Generate a title from the scene summary', ARGUMENT_TYPE.BOOLEAN, false, false, 'false'),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Message index within the scene, scene ID, or scene title',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        returns: ARGUMENT_TYPE.STRING,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scene-chapter',
+        callback: slashSceneChapter,
+        helpString: 'Fold the completed scenes whose summaries fall within a message range into one chapter. Uses current selection if no args provided.',
+        namedArgumentList: [
+            new SlashCommandNamedArgument('start', 'Start message index (inclusive)', ARGUMENT_TYPE.NUMBER, false),
+            new SlashCommandNamedArgument('end', 'End message index (inclusive)', ARGUMENT_TYPE.NUMBER, false),
+            new SlashCommandNamedArgument('prompt', 'Custom summarization prompt for this chapter', ARGUMENT_TYPE.STRING, false),
+            new SlashCommandNamedArgument('template', 'Name of the prompt template to summarize with', ARGUMENT_TYPE.STRING, false),
+        ],
+        returns: ARGUMENT_TYPE.STRING,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scene-template',
+        callback: slashSceneTemplate,
+        helpString: 'Get or set the prompt template a scene is summarized with. With template= sets it ("none" or empty goes back to the character or global default); otherwise returns the current template name.',
+        namedArgumentList: [
+            new SlashCommandNamedArgument('template', 'Template name', ARGUMENT_TYPE.STRING, false),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Message index within the scene, scene ID, or scene title',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
         ],
         returns: ARGUMENT_TYPE.STRING,
     }));
@@ -1037,32 +2774,163 @@ function registerSlashCommands() {
     }));
 
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
-        name: 'scene-collapse',
-        callback: slashSceneCollapse,
-        helpString: 'Collapse (fold) the scene containing the given message index, or "all" to collapse all completed scenes.',
+        name: 'scene-collapse',
+        callback: slashSceneCollapse,
+        helpString: 'Collapse (fold) the scene containing the given message index, or "all" to collapse all completed scenes.',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Message index within the scene, or "all"',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false,
+                defaultValue: 'all',
+            }),
+        ],
+        returns: ARGUMENT_TYPE.STRING,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scene-convert-rememory',
+        callback: slashConvertRememory,
+        helpString: 'Convert ReMemory extension scenes in the current chat to Scene Fold scenes.',
+        returns: ARGUMENT_TYPE.STRING,
+    }));
+
+    const sceneTargetArgument = () => SlashCommandArgument.fromProps({
+        description: 'Message index within the scene, or scene ID',
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired: true,
+    });
+    const resizeArguments = () => [
+        new SlashCommandNamedArgument('edge', 'Which end of the scene to move', ARGUMENT_TYPE.STRING, false, false, 'end', ['start', 'end']),
+        new SlashCommandNamedArgument('count', 'Number of messages', ARGUMENT_TYPE.NUMBER, false, false, '1'),
+    ];
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scene-extend',
+        callback: slashSceneExtend,
+        helpString: 'Grow a scene by pulling in adjacent unassigned messages at its start or end. A completed scene is marked stale.',
+        namedArgumentList: resizeArguments(),
+        unnamedArgumentList: [sceneTargetArgument()],
+        returns: ARGUMENT_TYPE.STRING,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scene-shrink',
+        callback: slashSceneShrink,
+        helpString: 'Release messages from the start or end of a scene. A completed scene is marked stale and the released messages are shown again.',
+        namedArgumentList: resizeArguments(),
+        unnamedArgumentList: [sceneTargetArgument()],
+        returns: ARGUMENT_TYPE.STRING,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scene-split',
+        callback: slashSceneSplit,
+        helpString: 'Split the scene containing message "at" in two; that message starts the new scene.',
+        namedArgumentList: [
+            new SlashCommandNamedArgument('at', 'Message index that starts the new scene', ARGUMENT_TYPE.NUMBER, true),
+        ],
+        returns: ARGUMENT_TYPE.STRING,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scene-merge',
+        callback: slashSceneMerge,
+        helpString: 'Merge a scene with the scene directly after it. The merged scene keeps the first scene\'s summary and is marked stale.',
+        unnamedArgumentList: [sceneTargetArgument()],
+        returns: ARGUMENT_TYPE.STRING,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scene-suggest',
+        callback: slashSceneSuggest,
+        helpString: 'Suggest scene boundaries for the unsummarized messages. "accept" creates every current suggestion, "clear" dismisses them.',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Empty to suggest, "accept" or "clear"',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false,
+                enumList: ['accept', 'clear'],
+            }),
+        ],
+        returns: ARGUMENT_TYPE.STRING,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scene-export',
+        callback: slashSceneExport,
+        helpString: 'Export the scenes, summaries and prompts of the current chat as a JSON bundle. Downloads a file unless download=false; returns the JSON.',
+        namedArgumentList: [
+            new SlashCommandNamedArgument('download', 'Download the bundle as a file', ARGUMENT_TYPE.BOOLEAN, false, false, 'true'),
+        ],
+        returns: ARGUMENT_TYPE.STRING,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scene-import',
+        callback: slashSceneImport,
+        helpString: 'Import a Scene Fold JSON bundle into the current chat. Scenes are matched to messages by content, so bundles survive re-created chats. Opens a file picker if no JSON is given.',
+        namedArgumentList: [
+            new SlashCommandNamedArgument('prompts', 'Also replace the prompt templates with the bundle\'s', ARGUMENT_TYPE.BOOLEAN, false, false, 'false'),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Bundle JSON',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false,
+            }),
+        ],
+        returns: ARGUMENT_TYPE.STRING,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scene-next',
+        callback: slashSceneNext,
+        helpString: 'Scroll to the first unsummarized message (where the next scene would start).',
+        returns: ARGUMENT_TYPE.STRING,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scene-outline',
+        callback: slashSceneOutline,
+        helpString: 'Show or hide the scene outline panel, which lists every scene in the chat and jumps to it on click. Pass "on" or "off", or nothing to toggle.',
         unnamedArgumentList: [
             SlashCommandArgument.fromProps({
-                description: 'Message index within the scene, or "all"',
+                description: 'on | off',
                 typeList: [ARGUMENT_TYPE.STRING],
                 isRequired: false,
-                defaultValue: 'all',
+                enumList: ['on', 'off'],
             }),
         ],
         returns: ARGUMENT_TYPE.STRING,
     }));
 
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
-        name: 'scene-convert-rememory',
-        callback: slashConvertRememory,
-        helpString: 'Convert ReMemory extension scenes in the current chat to Scene Fold scenes.',
+        name: 'scene-facts',
+        callback: slashSceneFacts,
+        helpString: 'Show the characters, locations, items, relationship changes and open threads extracted by structured summaries in this chat. Returns them as JSON.',
         returns: ARGUMENT_TYPE.STRING,
     }));
 
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
-        name: 'scene-next',
-        callback: slashSceneNext,
-        helpString: 'Scroll to the first unsummarized message (where the next scene would start).',
-        returns: ARGUMENT_TYPE.STRING,
+        name: 'scene-lore',
+        callback: slashSceneLore,
+        helpString: 'Write the characters, locations and items from structured summaries into the chat\'s lorebook. Shows the changes for confirmation first. Returns the number of entries changed.',
+        returns: ARGUMENT_TYPE.NUMBER,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scene-review',
+        callback: slashSceneReview,
+        helpString: 'Review the drafted summaries waiting in this chat (review before fold mode). Returns the number of drafts accepted.',
+        returns: ARGUMENT_TYPE.NUMBER,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scene-resume',
+        callback: slashSceneResume,
+        helpString: 'Queue again the scenes that were still queued or being summarized when the chat was last closed. Returns the number of scenes queued.',
+        returns: ARGUMENT_TYPE.NUMBER,
     }));
 
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
@@ -1073,6 +2941,28 @@ function registerSlashCommands() {
     }));
 }
 
+// ─── Prompt Injection ────────────────────────────────────────────────────────
+
+/**
+ * Generate interceptor (registered in manifest.json). For scenes folded by
+ * prompt injection, swaps their source messages for their summaries in the
+ * messages about to be sent. `chat` is the generation's own copy of the
+ * message list; the stored chat is never modified.
+ * @param {Array} chat - Messages for this generation, mutated in place
+ * @param {number} _contextSize
+ * @param {Function} _abort
+ * @param {string} _type
+ */
+globalThis.sceneFoldGenerateInterceptor = async function (chat, _contextSize, _abort, _type) {
+    const context = SillyTavern.getContext();
+    const settings = getSettings(context.extensionSettings);
+    if (!settings.enabled || !hasInjectedScenes(context.chatMetadata)) return;
+
+    const { messages, injected, excluded } = injectSummaries(context.chatMetadata, chat, context.chat);
+    chat.splice(0, chat.length, ...messages);
+    console.log(`[Scene Fold] Injected ${injected} summary(ies) in place of ${excluded} message(s)`);
+};
+
 // ─── Initialization ──────────────────────────────────────────────────────────
 
 jQuery(async () => {
@@ -1088,26 +2978,63 @@ jQuery(async () => {
 
     // ─── Initialize Summarization Queue ──────────────────────────────────
 
+    const profileSwitcher = createProfileSwitcher(
+        () => SillyTavern.getContext(),
+        () => getSettings(SillyTavern.getContext().extensionSettings).summaryProfile,
+    );
+
     queue = new SummarizationQueue({
-        async worker(sceneId, signal) {
+        async worker(sceneId, signal, hooks) {
             const ctx = SillyTavern.getContext();
-            const scene = getScene(ctx.chatMetadata, sceneId);
 
             // If tagged for retry, clean up first
-            if (scene?._needsRetry) {
-                delete scene._needsRetry;
+            if (retrySceneIds.delete(sceneId)) {
                 await prepareForRetry(ctx, sceneId);
-                await summarizeScene(SillyTavern.getContext(), sceneId, signal);
+                // prepareForRetry keeps the replaced summary (with hand edits) as the active version
+                const previousVersion = compareSceneIds.delete(sceneId)
+                    ? getScene(ctx.chatMetadata, sceneId)?.activeVersion ?? null
+                    : null;
+                await summarizeScene(SillyTavern.getContext(), sceneId, signal, hooks);
+                if (previousVersion !== null && !signal?.aborted) {
+                    // Not awaited: the queue moves on while the user compares
+                    offerSummaryDiff(SillyTavern.getContext(), sceneId, previousVersion);
+                }
             } else {
-                await summarizeScene(ctx, sceneId, signal);
+                await summarizeScene(ctx, sceneId, signal, hooks);
             }
         },
+        getLimits() {
+            const current = getSettings(SillyTavern.getContext().extensionSettings);
+            return {
+                concurrency: current.concurrency ?? DEFAULT_SETTINGS.concurrency,
+                requestsPerMinute: current.requestsPerMinute ?? DEFAULT_SETTINGS.requestsPerMinute,
+            };
+        },
+        // A chapter reads its scenes' summaries, so it waits for everything queued before it
+        isBarrier: (sceneId) => isChapter(getScene(SillyTavern.getContext().chatMetadata, sceneId)),
         onUpdate() {
             const ctx = SillyTavern.getContext();
             applyAllFoldVisuals(ctx);
             renderSceneList(ctx);
             updateToolbar(ctx, queue);
         },
+        onBatchStart() {
+            draftedInBatch.clear();
+            return profileSwitcher.enter();
+        },
+        async onBatchEnd() {
+            // A batch that drafted several scenes gets them reviewed together
+            if (draftedInBatch.size > 1) {
+                reviewDrafts(SillyTavern.getContext());
+            }
+            draftedInBatch.clear();
+            try {
+                await profileSwitcher.exit();
+            } catch (err) {
+                toastr.error(`Scene Fold: could not restore your connection profile: ${err.message}`);
+                throw err;
+            }
+        },
     });
 
     // ─── Register Slash Commands ─────────────────────────────────────────
@@ -1121,6 +3048,7 @@ jQuery(async () => {
         if (!settings.enabled && isSelectionModeActive()) {
             exitSelectionMode();
         }
+        renderOutlinePanel(SillyTavern.getContext());
     });
 
     $('#scene_fold_smart_auto_start').on('change', function () {
@@ -1133,6 +3061,116 @@ jQuery(async () => {
         context.saveSettingsDebounced();
     });
 
+    $('#scene_fold_chapter_prompt').on('input', function () {
+        settings.chapterPrompt = $(this).val();
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_template_select').on('change', function () {
+        renderTemplateLibrary(SillyTavern.getContext(), $(this).val());
+    });
+
+    $('#scene_fold_template_name').on('input', function () {
+        const template = findTemplate(settings, $('#scene_fold_template_select').val());
+        const name = $(this).val().trim();
+        if (!template || !name) return;
+        template.name = name;
+        $('#scene_fold_template_select option:selected').text(name);
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_template_prompt').on('input', function () {
+        const template = findTemplate(settings, $('#scene_fold_template_select').val());
+        if (!template) return;
+        template.prompt = $(this).val();
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_template_new').on('click', function () {
+        const ctx = SillyTavern.getContext();
+        const template = {
+            id: ctx.uuidv4(),
+            name: `New template ${settings.promptTemplates.length + 1}`,
+            prompt: settings.defaultPrompt,
+        };
+        settings.promptTemplates.push(template);
+        context.saveSettingsDebounced();
+        renderTemplateLibrary(ctx, template.id);
+        $('#scene_fold_template_name').trigger('focus').trigger('select');
+    });
+
+    $('#scene_fold_template_delete').on('click', async function () {
+        const ctx = SillyTavern.getContext();
+        const template = findTemplate(settings, $('#scene_fold_template_select').val());
+        if (!template) return;
+
+        const confirmed = await ctx.callGenericPopup(
+            `Delete the prompt template "${escapeHtml(template.name)}"? Scenes using it fall back to the character or global default.`,
+            ctx.POPUP_TYPE.CONFIRM,
+        );
+        if (!confirmed) return;
+
+        settings.promptTemplates = settings.promptTemplates.filter(t => t !== template);
+        for (const [key, templateId] of Object.entries(settings.characterTemplates)) {
+            if (templateId === template.id) delete settings.characterTemplates[key];
+        }
+        context.saveSettingsDebounced();
+        renderTemplateLibrary(ctx);
+        applyAllFoldVisuals(ctx);
+    });
+
+    $('#scene_fold_character_template').on('change', function () {
+        const characterKey = getCharacterKey(SillyTavern.getContext());
+        if (!characterKey) return;
+        const templateId = $(this).val();
+        if (templateId) {
+            settings.characterTemplates[characterKey] = templateId;
+        } else {
+            delete settings.characterTemplates[characterKey];
+        }
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_template_export_btn').on('click', () => {
+        download(JSON.stringify(exportTemplates(settings), null, 2), 'scene-fold templates.json', 'application/json');
+    });
+    $('#scene_fold_template_import_btn').on('click', () => pickAndImportTemplates());
+
+    $('#scene_fold_fold_mode').on('change', function () {
+        settings.foldMode = $(this).val();
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_structured').on('change', function () {
+        settings.structuredSummaries = $(this).prop('checked');
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_auto_resume').on('change', function () {
+        settings.autoResumeQueue = $(this).prop('checked');
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_review_before_fold').on('change', function () {
+        settings.reviewBeforeFold = $(this).prop('checked');
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_stream_preview').on('change', function () {
+        settings.streamPreview = $(this).prop('checked');
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_auto_title').on('change', function () {
+        settings.autoTitle = $(this).prop('checked');
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_title_prompt').on('input', function () {
+        settings.titlePrompt = $(this).val();
+        context.saveSettingsDebounced();
+    });
+
     $('#scene_fold_guidance_prefix').on('input', function () {
         settings.guidancePrefix = $(this).val();
         context.saveSettingsDebounced();
@@ -1145,12 +3183,85 @@ jQuery(async () => {
         context.saveSettingsDebounced();
     });
 
+    $('#scene_fold_concurrency').on('input', function () {
+        const val = parseInt($(this).val(), 10);
+        settings.concurrency = isNaN(val) ? DEFAULT_SETTINGS.concurrency : Math.max(1, Math.min(val, 8));
+        $(this).val(settings.concurrency);
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_rpm').on('input', function () {
+        const val = parseInt($(this).val(), 10);
+        settings.requestsPerMinute = isNaN(val) ? DEFAULT_SETTINGS.requestsPerMinute : Math.max(0, val);
+        $(this).val(settings.requestsPerMinute);
+        context.saveSettingsDebounced();
+    });
+
     $('#scene_fold_debug_overlay').on('change', function () {
         settings.debugOverlay = $(this).prop('checked');
         context.saveSettingsDebounced();
         applyAllFoldVisuals(SillyTavern.getContext());
     });
 
+    $('#scene_fold_suggest_tokens').on('input', function () {
+        const val = parseInt($(this).val(), 10);
+        settings.suggestTokenThreshold = isNaN(val) ? DEFAULT_SETTINGS.suggestTokenThreshold : Math.max(0, val);
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_suggest_gap').on('input', function () {
+        const val = parseFloat($(this).val());
+        settings.suggestTimeGapHours = isNaN(val) ? DEFAULT_SETTINGS.suggestTimeGapHours : Math.max(0, val);
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_suggest_min').on('input', function () {
+        const val = parseInt($(this).val(), 10);
+        settings.suggestMinMessages = isNaN(val) ? DEFAULT_SETTINGS.suggestMinMessages : Math.max(1, val);
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_auto_summarize').on('change', function () {
+        settings.autoSummarize = $(this).prop('checked');
+        context.saveSettingsDebounced();
+        updateToolbar(SillyTavern.getContext(), queue);
+        checkAutoSummarize();
+    });
+
+    $('#scene_fold_auto_tokens').on('input', function () {
+        const val = parseInt($(this).val(), 10);
+        settings.autoTokenBudget = isNaN(val) ? DEFAULT_SETTINGS.autoTokenBudget : Math.max(0, val);
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_auto_messages').on('input', function () {
+        const val = parseInt($(this).val(), 10);
+        settings.autoMessageBudget = isNaN(val) ? DEFAULT_SETTINGS.autoMessageBudget : Math.max(0, val);
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_auto_keep').on('input', function () {
+        const val = parseInt($(this).val(), 10);
+        settings.autoKeepRaw = isNaN(val) ? DEFAULT_SETTINGS.autoKeepRaw : Math.max(0, val);
+        context.saveSettingsDebounced();
+    });
+
+    $('#scene_fold_summary_profile').on('change', function () {
+        settings.summaryProfile = $(this).val() || '';
+        context.saveSettingsDebounced();
+    });
+
+    // Profiles can be added in the Connection Manager at any time; refresh on focus
+    $('#scene_fold_summary_profile').on('focus', () => renderProfileOptions(SillyTavern.getContext()));
+
+    $('#scene_fold_export_btn').on('click', () => downloadSceneExport(SillyTavern.getContext()));
+    $('#scene_fold_import_btn').on('click', () => pickAndImportBundle());
+    $('#scene_fold_facts_btn').on('click', () => showFactsView(SillyTavern.getContext()));
+    $('#scene_fold_outline_btn').on('click', () => setOutlineOpen(SillyTavern.getContext()));
+    $('#scene_fold_lore_btn').on('click', () => syncLorebook(SillyTavern.getContext()));
+
+    $('#scene_fold_suggest_btn').on('click', () => suggestScenes(SillyTavern.getContext()));
+
     // ─── Chat Click Handler (Selection Mode) ─────────────────────────────
 
     $(document).on('click', '#chat .mes', function (event) {
@@ -1184,11 +3295,15 @@ jQuery(async () => {
             return;
         }
 
-        // Get custom prompt from action bar
+        // Get custom prompt and title from action bar
         const customPrompt = $('#scene-fold-custom-prompt').val()?.trim() || null;
+        const title = $('#scene-fold-title-input').val()?.trim() || null;
+        $('#scene-fold-title-input').val('');
 
         // Create the scene
         const scene = createScene(ctx.chatMetadata, ctx.chat, range.start, range.end, ctx.uuidv4, customPrompt);
+        scene.title = title;
+        scene.templateId = $('#scene-fold-template-select').val() || null;
         console.log(`[Scene Fold] Scene created: id=${scene.id}, messages=${scene.sourceMessageUUIDs.length}, UUIDs=${scene.sourceMessageUUIDs.join(', ')}`);
 
         // Persist
@@ -1206,6 +3321,37 @@ jQuery(async () => {
         toastr.success(`Scene created with ${scene.sourceMessageUUIDs.length} messages`);
     });
 
+    $(document).on('click', '#scene-fold-create-chapter-btn', function () {
+        const ctx = SillyTavern.getContext();
+        const range = getSelectionRange();
+        console.log(`[Scene Fold] Create Chapter clicked, range: ${range.start}-${range.end}`);
+        if (range.start === null || range.end === null) return;
+
+        const { sceneIds, error } = getChapterCandidates(ctx.chatMetadata, ctx.chat, range.start, range.end);
+        if (error) {
+            toastr.warning(error);
+            return;
+        }
+
+        const customPrompt = $('#scene-fold-custom-prompt').val()?.trim() || null;
+        const chapter = createChapter(ctx.chatMetadata, ctx.chat, sceneIds, ctx.uuidv4, customPrompt);
+        chapter.title = $('#scene-fold-title-input').val()?.trim() || null;
+        chapter.templateId = $('#scene-fold-template-select').val() || null;
+        $('#scene-fold-title-input').val('');
+        console.log(`[Scene Fold] Chapter created: id=${chapter.id}, children=${sceneIds.join(', ')}`);
+
+        ctx.saveChat();
+        ctx.saveMetadataDebounced();
+
+        exitSelectionMode();
+
+        applyAllFoldVisuals(ctx);
+        renderSceneList(ctx);
+        updateToolbar(ctx, queue);
+
+        toastr.success(`Chapter created from ${sceneIds.length} scenes`);
+    });
+
     $(document).on('click', '#scene-fold-cancel-btn', function () {
         exitSelectionMode();
         updateToolbar(SillyTavern.getContext(), queue);
@@ -1230,6 +3376,12 @@ jQuery(async () => {
         const scene = getScene(ctx.chatMetadata, sceneId);
         if (!scene) return;
 
+        // A parent chapter's summary covers this scene, so undo it first
+        const parent = scene.parentSceneId ? getScene(ctx.chatMetadata, scene.parentSceneId) : null;
+        if (parent?.status === 'completed') {
+            await prepareForRetry(ctx, parent.id);
+        }
+
         // If the scene has a summary, remove it
         if (scene.summaryMessageUUID) {
             const summaryIdx = findMessageIndexByUUID(ctx.chat, scene.summaryMessageUUID);
@@ -1238,8 +3390,8 @@ jQuery(async () => {
             }
         }
 
-        // Un-hide source messages
-        for (const uuid of scene.sourceMessageUUIDs) {
+        // Un-hide source messages (an injected scene never hid them)
+        for (const uuid of scene.injected ? [] : scene.sourceMessageUUIDs) {
             const idx = findMessageIndexByUUID(ctx.chat, uuid);
             if (idx === -1) continue;
             ctx.chat[idx].is_system = false;
@@ -1252,6 +3404,7 @@ jQuery(async () => {
         await ctx.reloadCurrentChat();
 
         toastr.info('Scene deleted');
+        offerLoreSyncForScene(SillyTavern.getContext(), sceneId);
     });
 
     // ─── Cancel Handlers ──────────────────────────────────────────────────
@@ -1267,13 +3420,107 @@ jQuery(async () => {
         queue.cancelAll();
     });
 
+    // ─── Queue Panel Handlers ─────────────────────────────────────────────
+
+    $(document).on('click', '.scene-fold-queue-toggle', function () {
+        toggleQueuePanel(SillyTavern.getContext(), queue);
+    });
+
+    $(document).on('click', '.scene-fold-queue-pause', function () {
+        if (queue.isPaused) {
+            queue.resume();
+        } else {
+            queue.pause();
+        }
+    });
+
+    $(document).on('click', '.scene-fold-queue-skip-btn', function () {
+        const sceneId = $(this).data('scene-id');
+        console.log(`[Scene Fold] Skip clicked for scene ${sceneId}`);
+        queue.skip(sceneId);
+    });
+
+    $(document).on('click', '.scene-fold-queue-next-btn', function () {
+        const sceneId = $(this).data('scene-id');
+        const order = [sceneId, ...queue.pendingIds.filter(id => id !== sceneId)];
+        if (breaksChapterOrder(SillyTavern.getContext().chatMetadata, order)) {
+            toastr.warning('A chapter can only be summarized after the scenes it folds');
+            return;
+        }
+        queue.prioritize(sceneId);
+    });
+
+    $(document).on('scene-fold-queue-reorder', '.scene-fold-queue-panel', function (_event, order) {
+        if (breaksChapterOrder(SillyTavern.getContext().chatMetadata, order)) {
+            toastr.warning('A chapter can only be summarized after the scenes it folds');
+            // Put the rows back
+            updateToolbar(SillyTavern.getContext(), queue);
+            return;
+        }
+        queue.reorder(order);
+    });
+
     // Toolbar: Summarize All
     $(document).on('click', '.scene-fold-toolbar-summarize-all', function () {
         const ctx = SillyTavern.getContext();
-        const scenes = getScenesInOrder(ctx.chatMetadata, ctx.chat);
-        const pendingScenes = scenes.filter(s => s.status === 'defined' || s.status === 'error');
+        const pendingScenes = getPendingScenesForBatch(ctx);
         if (pendingScenes.length === 0) return;
-        queue.addAll(pendingScenes.map(s => s.id));
+        queue.addAll(orderForBatch(ctx.chatMetadata, pendingScenes));
+    });
+
+    // ─── Suggested Scene Handlers ───────────────────────────────────────
+
+    $(document).on('click', '.scene-fold-toolbar-suggest', function () {
+        suggestScenes(SillyTavern.getContext());
+    });
+
+    $(document).on('click', '.scene-fold-ghost-nudge-btn', function () {
+        const ctx = SillyTavern.getContext();
+        const ghostId = $(this).data('ghost-id');
+        const edge = $(this).data('edge');
+        const delta = Number($(this).data('delta'));
+        if (nudgeGhostProposal(ctx, ghostId, edge, delta)) {
+            applyAllFoldVisuals(ctx);
+        }
+    });
+
+    $(document).on('click', '.scene-fold-ghost-accept-btn', function () {
+        const ctx = SillyTavern.getContext();
+        const scene = acceptGhostProposal(ctx, $(this).data('ghost-id'));
+        if (scene) {
+            ctx.saveChat();
+            ctx.saveMetadataDebounced();
+            toastr.success(`Scene created with ${scene.sourceMessageUUIDs.length} messages`);
+        }
+        refreshAfterGhostChange(ctx);
+    });
+
+    $(document).on('click', '.scene-fold-ghost-reject-btn', function () {
+        const ctx = SillyTavern.getContext();
+        removeGhostProposal($(this).data('ghost-id'));
+        applyAllFoldVisuals(ctx);
+        updateToolbar(ctx, queue);
+    });
+
+    $(document).on('click', '.scene-fold-toolbar-accept-ghosts', function () {
+        const ctx = SillyTavern.getContext();
+        let created = 0;
+        for (const proposal of [...getGhostProposals()]) {
+            if (acceptGhostProposal(ctx, proposal.id)) created++;
+        }
+        if (created > 0) {
+            ctx.saveChat();
+            ctx.saveMetadataDebounced();
+            toastr.success(`Created ${created} suggested scene(s)`);
+        }
+        refreshAfterGhostChange(ctx);
+    });
+
+    $(document).on('click', '.scene-fold-toolbar-reject-ghosts', function () {
+        const ctx = SillyTavern.getContext();
+        clearGhostProposals();
+        applyAllFoldVisuals(ctx);
+        updateToolbar(ctx, queue);
     });
 
     // Toolbar: Select Scene Mode
@@ -1307,6 +3554,14 @@ jQuery(async () => {
         ctx.saveMetadataDebounced();
     });
 
+    $(document).on('change', '.scene-fold-scene-template-select', function () {
+        const sceneId = $(this).data('scene-id');
+        const ctx = SillyTavern.getContext();
+        updateScene(ctx.chatMetadata, sceneId, { templateId: $(this).val() || null });
+        ctx.saveMetadataDebounced();
+        renderSceneList(ctx);
+    });
+
     $(document).on('click', '.scene-fold-toggle-fold-btn', function () {
         const sceneId = $(this).data('scene-id');
         const ctx = SillyTavern.getContext();
@@ -1323,7 +3578,9 @@ jQuery(async () => {
         if (!scene) return;
 
         // Tag for retry so the worker knows to clean up first
-        scene._needsRetry = true;
+        retrySceneIds.add(sceneId);
+        // A summary being replaced is compared with its successor afterwards
+        if (scene.status === 'completed') compareSceneIds.add(sceneId);
         queue.add(sceneId);
     });
 
@@ -1337,6 +3594,101 @@ jQuery(async () => {
         renderSceneList(freshCtx);
         updateToolbar(freshCtx, queue);
         toastr.info('Scene unfolded — original messages restored');
+        offerLoreSyncForScene(freshCtx, sceneId);
+    });
+
+    // ─── Outline Panel Handlers ───────────────────────────────────────────
+
+    $(document).on('click', '.scene-fold-outline-item', function () {
+        jumpToScene(SillyTavern.getContext(), $(this).data('scene-id'));
+    });
+
+    $(document).on('click', '.scene-fold-outline-dock-btn', function () {
+        const ctx = SillyTavern.getContext();
+        const current = getSettings(ctx.extensionSettings);
+        current.outlineDock = current.outlineDock === 'left' ? 'right' : 'left';
+        ctx.saveSettingsDebounced();
+        renderOutlinePanel(ctx);
+    });
+
+    $(document).on('click', '.scene-fold-outline-close-btn', function () {
+        setOutlineOpen(SillyTavern.getContext(), false);
+    });
+
+    // ─── Draft Review Handlers ────────────────────────────────────────────
+
+    $(document).on('input', '.scene-fold-draft-text', function () {
+        const ctx = SillyTavern.getContext();
+        const scene = getScene(ctx.chatMetadata, $(this).data('scene-id'));
+        if (scene?.status !== 'review' || !scene.draft) return;
+        scene.draft.text = String($(this).val());
+        ctx.saveMetadataDebounced();
+    });
+
+    $(document).on('click', '.scene-fold-draft-accept-btn', async function () {
+        const ctx = SillyTavern.getContext();
+        if (await acceptDraft(ctx, $(this).data('scene-id'))) {
+            updateToolbar(SillyTavern.getContext(), queue);
+        }
+    });
+
+    $(document).on('click', '.scene-fold-draft-discard-btn', function () {
+        const ctx = SillyTavern.getContext();
+        discardDraft(ctx, $(this).data('scene-id'));
+        applyAllFoldVisuals(ctx);
+        renderSceneList(ctx);
+        updateToolbar(ctx, queue);
+    });
+
+    $(document).on('click', '.scene-fold-draft-regenerate-btn', function () {
+        const sceneId = $(this).data('scene-id');
+        discardDraft(SillyTavern.getContext(), sceneId);
+        queue.add(sceneId);
+    });
+
+    $(document).on('click', '.scene-fold-toolbar-review', function () {
+        reviewDrafts(SillyTavern.getContext());
+    });
+
+    $(document).on('click', '.scene-fold-version-btn', function () {
+        const sceneId = $(this).data('scene-id');
+        const delta = Number($(this).data('delta'));
+        switchSummaryVersion(SillyTavern.getContext(), sceneId, delta);
+    });
+
+    // ─── Boundary Editor Handlers ────────────────────────────────────────
+
+    $(document).on('click', '.scene-fold-edit-bounds-btn', function () {
+        const sceneId = $(this).data('scene-id');
+        const editor = $(this).closest('.scene-fold-inline-actions').find(`.scene-fold-bounds-editor[data-scene-id="${sceneId}"]`);
+        editor.toggleClass('scene-fold-bounds-visible');
+        $(this).toggleClass('active');
+    });
+
+    $(document).on('click', '.scene-fold-bounds-btn', async function () {
+        const sceneId = $(this).data('scene-id');
+        const edge = $(this).data('edge');
+        const delta = Number($(this).data('delta'));
+        const ctx = SillyTavern.getContext();
+        await applyBoundaryEdit(ctx,
+            () => resizeScene(ctx.chatMetadata, ctx.chat, sceneId, edge, delta, ctx.uuidv4),
+            delta > 0 ? 'Scene extended' : 'Scene shrunk');
+    });
+
+    $(document).on('click', '.scene-fold-merge-next-btn', async function () {
+        const sceneId = $(this).data('scene-id');
+        const ctx = SillyTavern.getContext();
+        const next = getNextScene(ctx.chatMetadata, ctx.chat, sceneId);
+        if (!next) {
+            toastr.warning('There is no scene after this one to merge with');
+            return;
+        }
+        const answer = await ctx.callGenericPopup(
+            'Merge this scene with the next one? The second scene\'s summary will be discarded.',
+            ctx.POPUP_TYPE.CONFIRM,
+        );
+        if (!answer) return;
+        await applyBoundaryEdit(ctx, () => mergeScenes(ctx.chatMetadata, ctx.chat, sceneId, next.id), 'Scenes merged');
     });
 
     // ─── Fold Toggle Click (in chat) ─────────────────────────────────────
@@ -1361,7 +3713,10 @@ jQuery(async () => {
         renderSceneList(ctx);
 
         // Scroll to the summary message so it's visible after collapse
-        if (scene?.summaryMessageUUID) {
+        if (scene?.injected) {
+            document.querySelector(`.scene-fold-injected-summary[data-scene-id="${sceneId}"]`)
+                ?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        } else if (scene?.summaryMessageUUID) {
             const summaryIdx = findMessageIndexByUUID(ctx.chat, scene.summaryMessageUUID);
             if (summaryIdx !== -1) {
                 const summaryEl = document.querySelector(`.mes[mesid="${summaryIdx}"]`);
@@ -1374,6 +3729,18 @@ jQuery(async () => {
 
     // ─── Message Action Button Handlers ────────────────────────────────
 
+    // "Split scene here" — this message starts a new scene
+    $(document).on('click', '.scene-fold-split-here', async function () {
+        const ctx = SillyTavern.getContext();
+        if (!getSettings(ctx.extensionSettings).enabled) return;
+
+        const mesId = Number($(this).data('mesid'));
+        const sceneId = $(this).data('scene-id');
+        await applyBoundaryEdit(ctx,
+            () => splitScene(ctx.chatMetadata, ctx.chat, sceneId, mesId, ctx.uuidv4),
+            result => `Split off a new scene with ${result.scene.sourceMessageUUIDs.length} message(s)`);
+    });
+
     // "Scene to here" — one-click scene creation from auto-start to this message
     $(document).on('click', '.scene-fold-scene-to-here', function () {
         const ctx = SillyTavern.getContext();
@@ -1456,7 +3823,22 @@ jQuery(async () => {
     eventSource.on(eventTypes.CHARACTER_MESSAGE_RENDERED, onMessageRendered);
     eventSource.on(eventTypes.USER_MESSAGE_RENDERED, onMessageRendered);
     eventSource.on(eventTypes.MESSAGE_DELETED, onMessageDeleted);
-    eventSource.on(eventTypes.MESSAGE_SWIPED, onMessageSwiped);
+    for (const eventName of ['MESSAGE_SWIPED', 'MESSAGE_EDITED', 'MESSAGE_UPDATED', 'MESSAGE_REASONING_EDITED', 'MESSAGE_REASONING_DELETED', 'MESSAGE_FILE_EMBEDDED']) {
+        // Reasoning and attachment events only exist in newer SillyTavern builds
+        if (eventTypes[eventName]) eventSource.on(eventTypes[eventName], onSourceMessageChanged);
+    }
+
+    // Auto-summarize watches the user's generations and checks once each finishes
+    eventSource.on(eventTypes.GENERATION_STARTED, (_type, _options, dryRun) => {
+        if (!dryRun) userGenerating = true;
+    });
+    eventSource.on(eventTypes.GENERATION_ENDED, () => {
+        endUserGeneration();
+        checkAutoSummarize();
+    });
+    eventSource.on(eventTypes.GENERATION_STOPPED, () => {
+        endUserGeneration();
+    });
     eventSource.on(eventTypes.MORE_MESSAGES_LOADED, () => {
         const ctx = SillyTavern.getContext();
         const s = getSettings(ctx.extensionSettings);
@@ -1551,10 +3933,13 @@ jQuery(async () => {
 
     // Initial render if a chat is already loaded
     if (context.chat && context.chat.length > 0) {
+        runMigrations(context);
+        refreshStaleness(context);
         applyAllFoldVisuals(context);
         injectMessageButtons(context);
         renderSceneList(context);
         updateToolbar(context, queue);
+        backfillTokenCounts(context);
     }
 
     checkMemoryExtensionConflict(context);
@@ -0,0 +1,210 @@
+/**
+ * Scene Fold - Lorebook Sync
+ *
+ * Turns the facts extracted by structured summaries into World Info entries:
+ * one entry per character, location and item. chat_metadata.scene_fold.lore
+ * remembers which entry came from which scenes, so a scene that is undone,
+ * re-summarized or deleted updates or removes its entries on the next sync.
+ * Pure functions over the lorebook data; index.js loads, previews and saves.
+ */
+
+import { getSceneFoldData, getScenesInOrder, isChapter, getSceneSummaryText, buildUUIDIndex } from './scene-data.js';
+import { getSceneFacts } from './structured-summary.js';
+
+/** Fact lists that become entries, with the entry type recorded in the link */
+const LORE_TYPES = [
+    { key: 'characters', type: 'character', label: 'Character' },
+    { key: 'locations', type: 'location', label: 'Location' },
+    { key: 'items', type: 'item', label: 'Item' },
+];
+
+/** Sentences of the summaries quoted in an entry, at most */
+const MAX_MENTIONS = 3;
+
+/**
+ * The chat's lorebook links, created on first use.
+ * @param {object} chatMetadata
+ * @returns {{ world: string|null, entries: Object<string, { uid: number, sceneIds: string[] }> }}
+ */
+export function getLoreLinks(chatMetadata) {
+    const data = getSceneFoldData(chatMetadata);
+    if (!data.lore) data.lore = { world: null, entries: {} };
+    return data.lore;
+}
+
+/**
+ * Whether any lorebook entry was written from a scene.
+ * @param {object} chatMetadata
+ * @param {string} sceneId
+ * @returns {boolean}
+ */
+export function isSceneInLore(chatMetadata, sceneId) {
+    return Object.values(getLoreLinks(chatMetadata).entries).some(link => link.sceneIds.includes(sceneId));
+}
+
+/**
+ * The entries the chat's facts call for, from completed plain scenes (a
+ * chapter's facts restate its scenes'). Keyed by "type:name".
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @returns {Map<string, { factKey: string, type: string, label: string, name: string, keys: string[], content: string, sceneIds: string[] }>}
+ */
+export function buildDesiredEntries(chatMetadata, chat) {
+    const uuidIndex = buildUUIDIndex(chat);
+    const entries = new Map();
+    const summaries = [];
+
+    const touch = (type, name, sceneId) => {
+        const factKey = `${type.type}:${name.toLowerCase()}`;
+        let entry = entries.get(factKey);
+        if (!entry) {
+            entry = { factKey, type: type.type, label: type.label, name, sceneIds: [], relationships: [], holds: [], lastChange: null };
+            entries.set(factKey, entry);
+        }
+        if (!entry.sceneIds.includes(sceneId)) entry.sceneIds.push(sceneId);
+        return entry;
+    };
+
+    const scenes = getScenesInOrder(chatMetadata, chat)
+        .filter(scene => scene.status === 'completed' && !isChapter(scene));
+    for (const scene of scenes) {
+        const facts = getSceneFacts(scene);
+        if (!facts) continue;
+        summaries.push(getSceneSummaryText(chat, scene, uuidIndex) || '');
+
+        for (const type of LORE_TYPES) {
+            for (const fact of facts[type.key] || []) {
+                const entry = touch(type, typeof fact === 'string' ? fact : fact.name, scene.id);
+                if (type.key === 'items') entry.lastChange = fact;
+            }
+        }
+        for (const rel of facts.relationships || []) {
+            for (const name of rel.characters) {
+                const others = rel.characters.filter(other => other !== name);
+                touch(LORE_TYPES[0], name, scene.id).relationships
+                    .push(others.length ? `with ${others.join(' & ')}: ${rel.change}` : rel.change);
+            }
+        }
+    }
+
+    // Items a character ended up holding, in the order they were gained
+    for (const entry of entries.values()) {
+        const item = entry.lastChange;
+        if (entry.type !== 'item' || item?.change !== 'gained' || !item.holder) continue;
+        const holder = entries.get(`character:${item.holder.toLowerCase()}`);
+        if (holder) holder.holds.push(entry.name);
+    }
+
+    const sentences = summaries.flatMap(text => text.split(/(?<=[.!?])\s+/)).filter(Boolean);
+    for (const entry of entries.values()) {
+        const needle = entry.name.toLowerCase();
+        const mentions = sentences.filter(sentence => sentence.toLowerCase().includes(needle)).slice(-MAX_MENTIONS);
+        entry.keys = [entry.name];
+        entry.content = formatEntryContent(entry, mentions);
+        delete entry.relationships;
+        delete entry.holds;
+        delete entry.lastChange;
+    }
+    return entries;
+}
+
+/**
+ * @param {object} entry - Entry being built by buildDesiredEntries
+ * @param {string[]} mentions - Summary sentences naming the entry
+ * @returns {string}
+ */
+function formatEntryContent(entry, mentions) {
+    const lines = [`${entry.label}: ${entry.name}.`];
+    if (entry.relationships.length) lines.push(`Relationships: ${entry.relationships.join('; ')}.`);
+    if (entry.holds.length) lines.push(`Carries: ${entry.holds.join(', ')}.`);
+    if (entry.lastChange) {
+        const holder = entry.lastChange.holder ? ` by ${entry.lastChange.holder}` : '';
+        lines.push(`Last ${entry.lastChange.change}${holder}.`);
+    }
+    if (mentions.length) lines.push(mentions.join(' '));
+    return lines.join('\n');
+}
+
+/**
+ * Work out what a sync would change in a lorebook. Links recorded for a
+ * different lorebook are ignored: entries are created afresh in this one.
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @param {string} worldName
+ * @param {object} worldData - Loaded lorebook ({ entries: { uid: entry } })
+ * @param {string[]|null} [sceneIds] - Only changes involving these scenes
+ * @returns {{ world: string, create: Array<object>, update: Array<object>, remove: Array<object> }}
+ */
+export function planLoreSync(chatMetadata, chat, worldName, worldData, sceneIds = null) {
+    const lore = getLoreLinks(chatMetadata);
+    const links = lore.world === worldName ? lore.entries : {};
+    const worldEntries = worldData?.entries || {};
+    const desired = buildDesiredEntries(chatMetadata, chat);
+    const touches = ids => !sceneIds || ids.some(id => sceneIds.includes(id));
+    const plan = { world: worldName, create: [], update: [], remove: [] };
+
+    for (const entry of desired.values()) {
+        const link = links[entry.factKey];
+        if (!touches(entry.sceneIds) && !(link && touches(link.sceneIds))) continue;
+
+        const existing = link ? worldEntries[link.uid] : null;
+        if (!existing) {
+            plan.create.push(entry);
+        } else if (existing.content !== entry.content
+            || JSON.stringify(existing.key) !== JSON.stringify(entry.keys)
+            || JSON.stringify(link.sceneIds) !== JSON.stringify(entry.sceneIds)) {
+            plan.update.push({ ...entry, uid: link.uid });
+        }
+    }
+
+    for (const [factKey, link] of Object.entries(links)) {
+        if (desired.has(factKey) || !touches(link.sceneIds)) continue;
+        plan.remove.push({ factKey, uid: link.uid, name: worldEntries[link.uid]?.comment ?? null });
+    }
+    return plan;
+}
+
+/**
+ * Whether a plan changes nothing.
+ * @param {{ create: Array, update: Array, remove: Array }} plan
+ * @returns {boolean}
+ */
+export function isLorePlanEmpty(plan) {
+    return plan.create.length === 0 && plan.update.length === 0 && plan.remove.length === 0;
+}
+
+/**
+ * Write a plan into the lorebook data and record the links. The caller saves
+ * the lorebook and the chat metadata.
+ * @param {object} chatMetadata
+ * @param {object} worldData - Loaded lorebook (mutated)
+ * @param {object} plan - From planLoreSync
+ * @param {(worldData: object) => object} createEntryFn - Adds a blank entry with a fresh uid and returns it
+ */
+export function applyLoreSync(chatMetadata, worldData, plan, createEntryFn) {
+    const lore = getLoreLinks(chatMetadata);
+    if (lore.world !== plan.world) {
+        lore.world = plan.world;
+        lore.entries = {};
+    }
+
+    const fill = (target, entry) => Object.assign(target, {
+        key: [...entry.keys],
+        comment: `${entry.name} (Scene Fold ${entry.type})`,
+        content: entry.content,
+    });
+
+    for (const entry of plan.create) {
+        const created = createEntryFn(worldData);
+        fill(created, entry);
+        lore.entries[entry.factKey] = { uid: created.uid, sceneIds: [...entry.sceneIds] };
+    }
+    for (const entry of plan.update) {
+        fill(worldData.entries[entry.uid], entry);
+        lore.entries[entry.factKey] = { uid: entry.uid, sceneIds: [...entry.sceneIds] };
+    }
+    for (const entry of plan.remove) {
+        delete worldData.entries[entry.uid];
+        delete lore.entries[entry.factKey];
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * Scene Fold - Prompt Injection
+ *
+ * In prompt-injection mode a summarized scene leaves the chat untouched: no
+ * summary message is inserted and no source is hidden with is_system.
+ * Instead, right before generation, the scene's source messages are dropped
+ * from the prompt and its summary is put where the first of them was.
+ * Pure functions: index.js registers the generate interceptor.
+ */
+
+import {
+    getSceneFoldData,
+    getSceneSummaryText,
+    getPromptRepresentative,
+    createSummaryMessage,
+} from './scene-data.js';
+
+/**
+ * Whether any scene in the chat is folded by prompt injection.
+ * @param {object} chatMetadata
+ * @returns {boolean}
+ */
+export function hasInjectedScenes(chatMetadata) {
+    return Object.values(getSceneFoldData(chatMetadata).scenes)
+        .some(scene => scene.injected && scene.status === 'completed');
+}
+
+/**
+ * Rewrite the messages about to be sent to the model: every message covered by
+ * an injected summary is dropped, and that summary takes the place of the first
+ * one. Messages already hidden by the user stay hidden; a scene whose messages
+ * are all hidden contributes no summary.
+ * @param {object} chatMetadata
+ * @param {Array} promptChat - The generation's message list (not the chat itself)
+ * @param {Array} chat - The full chat, for resolving summary messages
+ * @returns {{ messages: Array, injected: number, excluded: number }}
+ */
+export function injectSummaries(chatMetadata, promptChat, chat) {
+    const messages = [];
+    const emitted = new Set();
+    let excluded = 0;
+
+    for (const message of promptChat) {
+        const representative = getInjectedRepresentative(chatMetadata, message);
+        if (!representative) {
+            messages.push(message);
+            continue;
+        }
+
+        excluded++;
+        if (emitted.has(representative.id)) continue;
+        emitted.add(representative.id);
+
+        const text = getSceneSummaryText(chat, representative);
+        if (text) {
+            // Prompt-only copy, never stored in the chat, so it needs no UUID
+            messages.push(createSummaryMessage(representative, text, () => null));
+        }
+    }
+
+    return { messages, injected: emitted.size, excluded };
+}
+
+/**
+ * The injected scene whose summary replaces a message in the prompt, if any.
+ * @param {object} chatMetadata
+ * @param {object} message
+ * @returns {object|null}
+ */
+function getInjectedRepresentative(chatMetadata, message) {
+    for (const sceneId of message?.extra?.scene_fold_scenes || []) {
+        const representative = getPromptRepresentative(chatMetadata, sceneId);
+        if (representative?.injected) return representative;
+    }
+    return null;
+}
@@ -0,0 +1,181 @@
+/**
+ * Scene Fold - Prompt Template Library
+ *
+ * Named summarization prompts kept in the extension settings. A scene can pick
+ * one; otherwise the current character's default applies, then the global
+ * summarization prompt. Pure functions over the settings object.
+ */
+
+export const TEMPLATES_FORMAT = 'scene-fold-templates';
+export const TEMPLATES_VERSION = 1;
+
+/** Pseudo-IDs recorded when a summary came from the global prompts rather than the library */
+export const DEFAULT_TEMPLATE_ID = 'default';
+export const CHAPTER_TEMPLATE_ID = 'chapter';
+
+/**
+ * @returns {Array<{ id: string, name: string, prompt: string }>} Starter templates for new installs
+ */
+export function getDefaultPromptTemplates() {
+    return [
+        {
+            id: 'combat-recap',
+            name: 'Combat recap',
+            prompt: `Summarize the following fight from a roleplay conversation between {{user}} and {{char}}. Track who fought whom, the decisive moves, injuries, items used or lost, and how the fight ended. Present tense, third person, one concise paragraph.
+{{additional_guidance}}
+{{content}}`,
+        },
+        {
+            id: 'dialogue-heavy',
+            name: 'Dialogue-heavy',
+            prompt: `Summarize the following conversation-driven scene between {{user}} and {{char}}. Keep what each character revealed, promised, asked or refused, and how their attitudes shifted. Quote at most one short line that matters. Present tense, third person.
+{{additional_guidance}}
+{{content}}`,
+        },
+        {
+            id: 'terse-log',
+            name: 'Terse log',
+            prompt: `Write a terse bullet-point log of the events in the following scene between {{user}} and {{char}}. One short line per event, in order, no commentary.
+{{additional_guidance}}
+{{content}}`,
+        },
+        {
+            id: 'nsfw-safe',
+            name: 'NSFW-safe',
+            prompt: `Summarize the following scene between {{user}} and {{char}} for a general audience. Mention intimate or graphic content only in neutral, non-explicit terms, and keep the plot, relationships and emotional beats. Present tense, third person, one concise paragraph.
+{{additional_guidance}}
+{{content}}`,
+        },
+    ];
+}
+
+/**
+ * Find a template by ID, or by name (case-insensitive).
+ * @param {object} settings - Extension settings
+ * @param {string} idOrName
+ * @returns {{ id: string, name: string, prompt: string }|null}
+ */
+export function findTemplate(settings, idOrName) {
+    if (!idOrName) return null;
+    const templates = settings.promptTemplates || [];
+    const needle = String(idOrName).trim().toLowerCase();
+    return templates.find(t => t.id === idOrName) || templates.find(t => t.name.toLowerCase() === needle) || null;
+}
+
+/**
+ * Pick the prompt for a scene: its own template, else the character's default,
+ * else the global prompt (or the chapter prompt for chapters).
+ * @param {object} settings - Extension settings
+ * @param {object} scene
+ * @param {string|null} characterKey - See getCharacterKey
+ * @param {object} fallback
+ * @param {string} fallback.id - Template ID reported when no template applies
+ * @param {string} fallback.name
+ * @param {string} fallback.prompt
+ * @returns {{ id: string, name: string, prompt: string }}
+ */
+export function resolveSceneTemplate(settings, scene, characterKey, fallback) {
+    const own = findTemplate(settings, scene?.templateId);
+    if (own) return own;
+
+    const characterDefault = characterKey ? findTemplate(settings, settings.characterTemplates?.[characterKey]) : null;
+    if (characterDefault && !scene?.childSceneIds?.length) return characterDefault;
+
+    return fallback;
+}
+
+/**
+ * Fill the continuity macros in a prompt:
+ * - `{{previous_summary}}`: the summary of the scene right before
+ * - `{{previous_summaries:N}}`: the last N of them, oldest first
+ * - `{{story_so_far}}`: the highest-level summaries of everything before
+ * Expanded here rather than by substituteParamsExtended because of the count argument.
+ * @param {string} prompt
+ * @param {{ previous: string[], storySoFar: string[] }} continuity - From getContinuityContext
+ * @returns {string}
+ */
+export function expandContinuityMacros(prompt, continuity) {
+    const { previous, storySoFar } = continuity;
+    return prompt
+        .replace(/\{\{previous_summary\}\}/gi, () => previous[previous.length - 1] ?? '')
+        .replace(/\{\{previous_summaries:\s*(\d+)\s*\}\}/gi, (_, count) => {
+            const n = Number(count);
+            return n > 0 ? previous.slice(-n).join('\n\n') : '';
+        })
+        .replace(/\{\{story_so_far\}\}/gi, () => storySoFar.join('\n\n'));
+}
+
+/**
+ * Whether a prompt reads earlier summaries through a continuity macro.
+ * @param {string} prompt
+ * @returns {boolean}
+ */
+export function usesContinuityMacros(prompt) {
+    return /\{\{(?:previous_summary|previous_summaries:\s*\d+\s*|story_so_far)\}\}/i.test(prompt || '');
+}
+
+/**
+ * Key under which a character's (or group's) default template is stored.
+ * @param {object} context - SillyTavern context
+ * @returns {string|null}
+ */
+export function getCharacterKey(context) {
+    if (context.groupId) return `group:${context.groupId}`;
+    return context.characters?.[context.characterId]?.avatar ?? null;
+}
+
+/**
+ * Serialize the template library for sharing.
+ * @param {object} settings - Extension settings
+ * @returns {object} JSON-serializable export
+ */
+export function exportTemplates(settings) {
+    return {
+        format: TEMPLATES_FORMAT,
+        version: TEMPLATES_VERSION,
+        templates: (settings.promptTemplates || []).map(({ name, prompt }) => ({ name, prompt })),
+    };
+}
+
+/**
+ * Read an exported template library into the settings.
+ * @param {object} settings - Extension settings (mutated)
+ * @param {any} data - Parsed export
+ * @param {Function} uuidv4Fn - UUID generator function
+ * @returns {{ added: number, updated: number, error: string|null }}
+ */
+export function importTemplates(settings, data, uuidv4Fn) {
+    if (!data || data.format !== TEMPLATES_FORMAT || !Array.isArray(data.templates)) {
+        return { added: 0, updated: 0, error: 'Not a Scene Fold template export' };
+    }
+    if (typeof data.version !== 'number' || data.version > TEMPLATES_VERSION) {
+        return { added: 0, updated: 0, error: `Unsupported template export version ${data.version}` };
+    }
+    return { ...mergeTemplates(settings, data.templates, uuidv4Fn), error: null };
+}
+
+/**
+ * Merge templates into the library. Templates are matched by name: an existing
+ * one gets the incoming prompt, others are added. Malformed entries are skipped.
+ * @param {object} settings - Extension settings (mutated)
+ * @param {Array<{ name: string, prompt: string }>} templates
+ * @param {Function} uuidv4Fn - UUID generator function
+ * @returns {{ added: number, updated: number }}
+ */
+export function mergeTemplates(settings, templates, uuidv4Fn) {
+    const result = { added: 0, updated: 0 };
+    if (!Array.isArray(settings.promptTemplates)) settings.promptTemplates = [];
+    for (const entry of templates) {
+        if (typeof entry?.name !== 'string' || typeof entry?.prompt !== 'string' || !entry.name.trim()) continue;
+
+        const existing = findTemplate(settings, entry.name.trim());
+        if (existing) {
+            existing.prompt = entry.prompt;
+            result.updated++;
+        } else {
+            settings.promptTemplates.push({ id: uuidv4Fn(), name: entry.name.trim(), prompt: entry.prompt });
+            result.added++;
+        }
+    }
+    return result;
+}
@@ -0,0 +1,145 @@
+/**
+ * Scene Fold - ReMemory Conversion
+ *
+ * Detects scenes written by the ReMemory extension and rewrites them as
+ * completed, folded Scene Fold scenes. Pure functions over the chat array and
+ * chat_metadata: the caller saves and reloads.
+ */
+
+import { createScene, updateScene, ensureMessageUUID } from './scene-data.js';
+
+/**
+ * Find ReMemory summary messages.
+ * In MESSAGE mode, ReMemory increments mes_id, inserts a /comment at that index,
+ * then sets rmr_scene=true on chat[mes_id] — the summary message itself.
+ * So rmr_scene marks the SUMMARY, not the last source message.
+ * @param {Array} chat
+ * @returns {number[]} Chat indices of summary messages, ascending
+ */
+export function findRememorySummaries(chat) {
+    const summaryIndices = [];
+    for (let i = 0; i < chat.length; i++) {
+        if (chat[i]?.extra?.rmr_scene === true) {
+            summaryIndices.push(i);
+        }
+    }
+
+    // Fallback: if no rmr_scene markers, look for /comment messages (extra.type === "comment")
+    // or messages named "Note" that aren't from the user
+    if (summaryIndices.length === 0) {
+        for (let i = 0; i < chat.length; i++) {
+            const msg = chat[i];
+            if (msg?.is_user) continue;
+            if (msg?.extra?.type === 'comment' || msg?.name === 'Note') {
+                summaryIndices.push(i);
+            }
+        }
+    }
+
+    return summaryIndices;
+}
+
+/**
+ * Build scene ranges from ReMemory summaries.
+ * Each summary's sources are all messages between the previous summary and this one.
+ * Layout: [source...] [summary] [source...] [summary] [trailing...]
+ * Ranges that are empty or already belong to a Scene Fold scene are skipped.
+ * @param {Array} chat
+ * @param {number[]} summaryIndices
+ * @returns {Array<{ startIdx: number, endIdx: number, summaryIdx: number }>}
+ */
+export function getRememoryRanges(chat, summaryIndices) {
+    const ranges = [];
+    let prevSummaryIdx = -1;
+
+    for (const summaryIdx of summaryIndices) {
+        const startIdx = prevSummaryIdx + 1;
+        const sourceEnd = summaryIdx - 1;
+        prevSummaryIdx = summaryIdx;
+
+        if (sourceEnd < startIdx) {
+            console.warn(`[Scene Fold] Skipping empty scene at summary index ${summaryIdx}`);
+            continue;
+        }
+
+        // Skip if already converted to Scene Fold
+        let alreadyConverted = false;
+        for (let i = startIdx; i <= sourceEnd; i++) {
+            if (chat[i]?.extra?.scene_fold_scenes?.length > 0) {
+                alreadyConverted = true;
+                break;
+            }
+        }
+        if (alreadyConverted) {
+            console.log(`[Scene Fold] Skipping already-converted range ${startIdx}-${sourceEnd}`);
+            continue;
+        }
+
+        ranges.push({ startIdx, endIdx: sourceEnd, summaryIdx });
+    }
+
+    return ranges;
+}
+
+/**
+ * Convert every ReMemory scene in the chat. Each summary is moved in front of
+ * its sources, tagged, and the sources are folded under it.
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @param {Function} uuidv4Fn - UUID generator function
+ * @returns {{ detected: number, converted: number }} Summaries found and scenes created
+ */
+export function convertRememoryScenes(chatMetadata, chat, uuidv4Fn) {
+    const summaryIndices = findRememorySummaries(chat);
+    const ranges = getRememoryRanges(chat, summaryIndices);
+    if (ranges.length === 0) {
+        return { detected: summaryIndices.length, converted: 0 };
+    }
+
+    console.log(`[Scene Fold] Converting ${ranges.length} ReMemory scene(s):`,
+        ranges.map(s => `sources ${s.startIdx}-${s.endIdx}, summary ${s.summaryIdx}`));
+
+    // Scene Fold expects: [summary] [source1] ... [sourceN]
+    // ReMemory has:       [source1] ... [sourceN] [summary]
+    // Process in reverse order so earlier indices aren't affected by later splices.
+    let converted = 0;
+    for (let si = ranges.length - 1; si >= 0; si--) {
+        const { startIdx, endIdx, summaryIdx } = ranges[si];
+
+        // Move summary from after sources to before them
+        const [summaryMsg] = chat.splice(summaryIdx, 1);
+        chat.splice(startIdx, 0, summaryMsg);
+        // Now: chat[startIdx] = summary, sources at startIdx+1 through endIdx+1
+        // (net effect on array length is zero: one remove + one insert)
+
+        const summaryUUID = ensureMessageUUID(summaryMsg, uuidv4Fn);
+
+        // Tag summary message with Scene Fold metadata
+        summaryMsg.extra.scene_fold_role = 'summary';
+        summaryMsg.is_system = false; // Summary must be included in prompts
+
+        // Create the scene from the source range (shifted +1 by summary insertion)
+        const sourceStart = startIdx + 1;
+        const sourceEnd = endIdx + 1;
+        const scene = createScene(chatMetadata, chat, sourceStart, sourceEnd, uuidv4Fn);
+
+        // Link summary to the scene
+        summaryMsg.extra.scene_fold_scene_id = scene.id;
+
+        // Mark source messages as hidden from prompts
+        for (let i = sourceStart; i <= sourceEnd; i++) {
+            chat[i].is_system = true;
+        }
+
+        // Update scene to completed + folded
+        updateScene(chatMetadata, scene.id, {
+            status: 'completed',
+            folded: true,
+            summaryMessageUUID: summaryUUID,
+        });
+
+        converted++;
+    }
+
+    return { detected: summaryIndices.length, converted };
+}
@@ -0,0 +1,210 @@
+/**
+ * Scene Fold - Retry Policy
+ *
+ * Classifies summarization failures and decides whether and when to retry.
+ * The HTTP status and error type are read from the error object where the
+ * backend provides them, falling back to the message text. Rate limits back
+ * off longer than server errors and honour a retry-after hint; exhausted
+ * quotas, auth, bad requests and content filters are not retried, and errors
+ * that fit no category are retried once. Pure functions apart from the
+ * abortable sleep.
+ */
+
+/**
+ * Backoff parameters per kind of failure; kinds missing here are not retried.
+ * maxRetries caps the retries for a kind below the user's setting.
+ */
+const BACKOFF = {
+    'rate-limit': { baseMs: 5000, maxMs: 60000 },
+    'server': { baseMs: 1000, maxMs: 30000 },
+    'timeout': { baseMs: 1000, maxMs: 30000 },
+    'network': { baseMs: 2000, maxMs: 30000 },
+    'blank': { baseMs: 500, maxMs: 5000 },
+    'unknown': { baseMs: 1000, maxMs: 15000, maxRetries: 1 },
+};
+
+/** A retry-after hint longer than this fails the scene instead of stalling the queue */
+const MAX_RETRY_AFTER_MS = 120000;
+
+/** Human-readable names for the error badge */
+const KIND_LABELS = {
+    'quota': 'quota exhausted',
+    'rate-limit': 'rate limited',
+    'server': 'server error',
+    'timeout': 'timed out',
+    'network': 'network error',
+    'auth': 'not authorized',
+    'bad-request': 'rejected request',
+    'content-filter': 'content filter',
+    'blank': 'blank reply',
+    'unknown': 'error',
+};
+
+/**
+ * @typedef {object} ErrorClassification
+ * @property {string} kind - quota | rate-limit | server | timeout | network | auth | bad-request | content-filter | blank | unknown
+ * @property {number|null} status - HTTP status, when known
+ * @property {boolean} retryable
+ * @property {number|null} retryAfterMs - Delay the backend asked for, if any
+ * @property {string} message
+ */
+
+/**
+ * Classify a failed generation.
+ * @param {any} error - What generateRaw threw
+ * @returns {ErrorClassification}
+ */
+export function classifyGenerationError(error) {
+    const message = String(error?.message || error || 'Unknown error');
+    const status = getErrorStatus(error, message);
+    const type = String(error?.error?.type || error?.type || error?.code || error?.name || '').toLowerCase();
+    const text = `${type} ${message}`.toLowerCase();
+
+    let kind;
+    // Checked before rate limits: an exhausted quota comes back as a 429 too,
+    // but waiting won't bring it back
+    if (/quota/.test(text)) {
+        kind = 'quota';
+    } else if (status === 429 || /rate.?limit|too many requests/.test(text)) {
+        kind = 'rate-limit';
+    } else if (status === 401 || status === 403 || /unauthori[sz]ed|forbidden|invalid.?api.?key|authentication/.test(text)) {
+        kind = 'auth';
+    } else if (/prohibit|content.?filter|safety|moderat|blocked|policy/.test(text)) {
+        kind = 'content-filter';
+    } else if (status === 408 || status === 504 || /timeout|timed out|etimedout/.test(text)) {
+        kind = 'timeout';
+    } else if (status !== null && status >= 500) {
+        kind = 'server';
+    } else if (status !== null && status >= 400) {
+        kind = 'bad-request';
+    } else if (/failed to fetch|network|econnreset|econnrefused|socket hang up/.test(text)) {
+        kind = 'network';
+    } else if (/overloaded|unavailable|internal server error|bad gateway/.test(text)) {
+        kind = 'server';
+    } else {
+        kind = 'unknown';
+    }
+
+    return {
+        kind,
+        status,
+        retryable: kind in BACKOFF,
+        retryAfterMs: getRetryAfterMs(error, message),
+        message,
+    };
+}
+
+/**
+ * Classification for a reply that came back empty.
+ * @returns {ErrorClassification}
+ */
+export function blankReplyClassification() {
+    return { kind: 'blank', status: null, retryable: true, retryAfterMs: null, message: 'LLM returned a blank summary' };
+}
+
+/**
+ * How long to wait before the next attempt: exponential backoff with jitter
+ * (half fixed, half random), or the backend's retry-after hint when it gave
+ * one. Null means don't retry.
+ * @param {ErrorClassification} classification
+ * @param {number} attempt - The attempt that just failed, from 1
+ * @param {() => number} [random] - Source of randomness in [0, 1)
+ * @returns {number|null} Milliseconds
+ */
+export function getRetryDelay(classification, attempt, random = Math.random) {
+    const backoff = BACKOFF[classification.kind];
+    if (!classification.retryable || !backoff) return null;
+    if (backoff.maxRetries !== undefined && attempt > backoff.maxRetries) return null;
+
+    if (classification.retryAfterMs !== null) {
+        return classification.retryAfterMs <= MAX_RETRY_AFTER_MS ? classification.retryAfterMs : null;
+    }
+    const ceiling = Math.min(backoff.maxMs, backoff.baseMs * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+/**
+ * Short description of a failure for badges and toasts, e.g. "rate limited (429)".
+ * @param {{ kind: string, status: number|null }} classification
+ * @returns {string}
+ */
+export function describeFailure(classification) {
+    const label = KIND_LABELS[classification.kind] || KIND_LABELS.unknown;
+    return classification.status ? `${label} (${classification.status})` : label;
+}
+
+/**
+ * Multi-line account of a scene's attempts, for the error badge tooltip.
+ * @param {Array<{ at: number, kind: string, status: number|null, message: string, delayMs: number|null }>} attempts
+ * @returns {string}
+ */
+export function describeAttempts(attempts) {
+    return (attempts || []).map((entry, i) => {
+        const time = new Date(entry.at).toLocaleTimeString();
+        const next = entry.delayMs !== null ? `, retried after ${(entry.delayMs / 1000).toFixed(1)}s` : '';
+        return `#${i + 1} ${time}: ${describeFailure(entry)}${next} — ${entry.message}`;
+    }).join('\n');
+}
+
+/**
+ * Wait, unless aborted first.
+ * @param {number} ms
+ * @param {AbortSignal|null} [signal]
+ * @returns {Promise<void>} Rejects with AbortError when aborted
+ */
+export function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        }, { once: true });
+    });
+}
+
+/**
+ * @param {any} error
+ * @param {string} message
+ * @returns {number|null}
+ */
+function getErrorStatus(error, message) {
+    const candidates = [error?.status, error?.statusCode, error?.response?.status, error?.cause?.status, error?.error?.code];
+    for (const value of candidates) {
+        const status = Number(value);
+        if (Number.isInteger(status) && status >= 400 && status < 600) return status;
+    }
+    const match = message.match(/\b(?:status|code|http|error)\D{0,3}([45]\d\d)\b/i) || message.match(/^\s*([45]\d\d)\b/);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Read a retry-after hint from headers, a field, or the message
+ * ("retry after 20s", "try again in 1.5 seconds").
+ * @param {any} error
+ * @param {string} message
+ * @returns {number|null} Milliseconds
+ */
+function getRetryAfterMs(error, message) {
+    const headers = error?.headers || error?.response?.headers;
+    const header = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    const raw = header ?? error?.retryAfter ?? error?.retry_after ?? null;
+
+    if (raw !== null && raw !== undefined && raw !== '') {
+        const seconds = Number(raw);
+        if (Number.isFinite(seconds)) return Math.max(0, Math.round(seconds * 1000));
+        const date = Date.parse(String(raw));
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    const match = message.match(/(?:retry|try again)\D{0,12}?(\d+(?:\.\d+)?)\s*(ms|milliseconds?|s|sec|seconds?|m|min|minutes?)\b/i);
+    if (!match) return null;
+    const value = Number(match[1]);
+    const unit = match[2].toLowerCase();
+    if (unit.startsWith('ms') || unit.startsWith('milli')) return Math.round(value);
+    if (unit.startsWith('m')) return Math.round(value * 60000);
+    return Math.round(value * 1000);
+}
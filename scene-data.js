@@ -6,6 +6,8 @@
  * message extra fields for stability across index shifts.
  */
 
+import { SCHEMA_VERSION } from './scene-migrations.js';
+
 const MODULE_NAME = 'scene_fold';
 
 /**
@@ -23,6 +25,51 @@ export function ensureMessageUUID(message, uuidv4Fn) {
     return message.extra.scene_fold_uuid;
 }
 
+/**
+ * Fast non-cryptographic string hash (cyrb53), as a hex string.
+ * @param {string} str
+ * @returns {string}
+ */
+export function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Fingerprint a message by speaker side and whitespace-normalized text, so
+ * the same message can be found again after UUIDs are lost.
+ * @param {object} message - Chat message object
+ * @returns {string}
+ */
+export function getMessageFingerprint(message) {
+    const text = (message?.mes || '').trim().replace(/\s+/g, ' ');
+    return hashString(`${message?.is_user ? 'u' : 'c'}:${text}`);
+}
+
+/**
+ * Hash what a summary was written from: the message text, its reasoning and
+ * its attachments. Used to tell whether a source changed after summarization.
+ * @param {object} message - Chat message object
+ * @returns {string}
+ */
+export function getMessageContentHash(message) {
+    const extra = message?.extra || {};
+    const attachments = [extra.file, ...(extra.files || []), extra.image, extra.video, ...(extra.media || [])]
+        .filter(Boolean)
+        .map(a => (typeof a === 'string' ? a : a.url || a.name || JSON.stringify(a)));
+    const text = (message?.mes || '').trim();
+    const reasoning = (extra.reasoning || '').trim();
+    return hashString([text, reasoning, ...attachments].join('\u0000'));
+}
+
 /**
  * Build a map of UUID -> chat array index for fast lookups.
  * @param {Array} chat - The chat array
@@ -47,6 +94,7 @@ export function buildUUIDIndex(chat) {
  * @returns {number} The message index, or -1 if not found
  */
 export function findMessageIndexByUUID(chat, uuid, uuidIndex) {
+    if (!uuid) return -1;
     if (uuidIndex && uuidIndex.has(uuid)) {
         const idx = uuidIndex.get(uuid);
         // Verify the index is still valid
@@ -65,16 +113,17 @@ export function findMessageIndexByUUID(chat, uuid, uuidIndex) {
 
 /**
  * Get or initialize the scene_fold metadata object on chat_metadata.
+ * Existing data is brought up to date by migrateSceneFoldData on chat load.
  * @param {object} chatMetadata - The chat_metadata object
  * @returns {SceneFoldMetadata}
  */
 export function getSceneFoldData(chatMetadata) {
     if (!chatMetadata.scene_fold) {
         chatMetadata.scene_fold = {
+            version: SCHEMA_VERSION,
             scenes: {},
-            settings: {
-                defaultPrompt: getDefaultSummarizationPrompt(),
-            },
+            lore: { world: null, entries: {} }, // lorebook entries written from scene facts
+            queue: [], // scene IDs waiting or in flight in the summarization queue, in order
         };
     }
     return chatMetadata.scene_fold;
@@ -89,6 +138,65 @@ export function getDefaultSummarizationPrompt() {
 {{content}}`;
 }
 
+/**
+ * @returns {string} The default prompt template for folding scene summaries into a chapter
+ */
+export function getDefaultChapterPrompt() {
+    return `Combine the following consecutive scene summaries from a roleplay conversation between {{user}} and {{char}} into a single chapter summary. Keep the overall arc, major plot developments, character changes, and any unresolved threads. Drop minor details that do not matter to the larger story. Write in present tense, third person, as one or two concise narrative paragraphs.
+{{additional_guidance}}
+{{content}}`;
+}
+
+/**
+ * @returns {string} The default prompt template for generating a scene title from its summary
+ */
+export function getDefaultTitlePrompt() {
+    return `Write a short title (at most six words) for the following scene summary. Reply with the title only, without quotes or punctuation at the end.
+{{content}}`;
+}
+
+/**
+ * Find a scene by its title: an exact case-insensitive match, or else the
+ * only scene whose title starts with the query.
+ * @param {object} chatMetadata
+ * @param {string} query
+ * @returns {object|null}
+ */
+export function findSceneByTitle(chatMetadata, query) {
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) return null;
+
+    const titled = Object.values(getSceneFoldData(chatMetadata).scenes).filter(s => s.title);
+    const exact = titled.find(s => s.title.toLowerCase() === needle);
+    if (exact) return exact;
+
+    const prefixed = titled.filter(s => s.title.toLowerCase().startsWith(needle));
+    return prefixed.length === 1 ? prefixed[0] : null;
+}
+
+/**
+ * Build the narrator message that holds a scene's summary in the chat.
+ * @param {object} scene
+ * @param {string} text - Summary text
+ * @param {Function} uuidv4Fn - UUID generator function
+ * @returns {object} Chat message object
+ */
+export function createSummaryMessage(scene, text, uuidv4Fn) {
+    return {
+        name: isChapter(scene) ? 'Chapter Summary' : 'Scene Summary',
+        is_user: false,
+        is_system: false, // Included in prompts — this IS the replacement context
+        mes: text.trim(),
+        force_avatar: '',
+        extra: {
+            type: 'narrator',
+            scene_fold_role: 'summary',
+            scene_fold_scene_id: scene.id,
+            scene_fold_uuid: uuidv4Fn(),
+        },
+    };
+}
+
 /**
  * Create a new scene from a contiguous range of messages.
  * @param {object} chatMetadata - The chat_metadata object
@@ -125,10 +233,25 @@ export function createScene(chatMetadata, chat, startIndex, endIndex, uuidv4Fn,
         summaryMessageUUID: null,
         sourceMessageUUIDs,
         parentSceneId: null,
-        status: 'defined', // defined | queued | summarizing | completed | error
+        childSceneIds: [],
+        status: 'defined', // defined | queued | summarizing | review | completed | error
+        title: null, // short heading, typed by the user or generated after summarization
+        injected: false, // summary lives only in summaryVersions and is injected at prompt time
         customPrompt: customPrompt || null,
+        templateId: null, // prompt template chosen for this scene; null = character or global default
         folded: false,
         lastError: null,
+        stale: false, // boundaries changed since the summary was written
+        sourceHashes: null, // source UUID -> content hash at summarization time
+        changedMessageUUIDs: [], // sources whose content no longer matches sourceHashes
+        auto: false, // true when created by the token-budget watcher
+        interrupted: false, // was queued or summarizing when the chat was closed
+        attempts: [], // failed LLM attempts of the latest run: { at, kind, status, message, delayMs }
+        draft: null, // summary awaiting review: { text, template: { id, name }, facts, createdAt }
+        sourceTokens: null, // prompt tokens of the folded source messages
+        summaryTokens: null, // prompt tokens of the summary message
+        summaryVersions: [], // every generated summary: { text, createdAt, template: { id, name }, facts }
+        activeVersion: null, // index into summaryVersions shown in the chat
         createdAt: Date.now(),
     };
 
@@ -136,8 +259,27 @@ export function createScene(chatMetadata, chat, startIndex, endIndex, uuidv4Fn,
     return scene;
 }
 
+/**
+ * Remove a scene's membership tag from a message. Summary messages keep their
+ * role when untagged from a chapter.
+ * @param {object} msg
+ * @param {string} sceneId
+ */
+function untagMessage(msg, sceneId) {
+    if (!msg.extra?.scene_fold_scenes) return;
+    msg.extra.scene_fold_scenes = msg.extra.scene_fold_scenes.filter(id => id !== sceneId);
+    if (msg.extra.scene_fold_scenes.length === 0) {
+        delete msg.extra.scene_fold_scenes;
+        if (msg.extra.scene_fold_role === 'source') {
+            delete msg.extra.scene_fold_role;
+        }
+    }
+}
+
 /**
  * Delete a scene definition. Does NOT modify messages (caller should handle unhiding).
+ * Detaches the scene from its parent chapter and releases its children; a parent
+ * chapter left without children is deleted as well.
  * @param {object} chatMetadata
  * @param {Array} chat
  * @param {string} sceneId
@@ -151,17 +293,443 @@ export function deleteScene(chatMetadata, chat, sceneId) {
     for (const uuid of scene.sourceMessageUUIDs) {
         const idx = findMessageIndexByUUID(chat, uuid);
         if (idx === -1) continue;
-        const msg = chat[idx];
-        if (msg.extra?.scene_fold_scenes) {
-            msg.extra.scene_fold_scenes = msg.extra.scene_fold_scenes.filter(id => id !== sceneId);
-            if (msg.extra.scene_fold_scenes.length === 0) {
-                delete msg.extra.scene_fold_scenes;
-                delete msg.extra.scene_fold_role;
-            }
+        untagMessage(chat[idx], sceneId);
+    }
+
+    // Release child scenes of a chapter
+    for (const childId of scene.childSceneIds || []) {
+        if (data.scenes[childId]) {
+            data.scenes[childId].parentSceneId = null;
         }
     }
 
     delete data.scenes[sceneId];
+
+    // Detach from the parent chapter
+    const parent = scene.parentSceneId ? data.scenes[scene.parentSceneId] : null;
+    if (parent) {
+        parent.childSceneIds = parent.childSceneIds.filter(id => id !== sceneId);
+        if (parent.childSceneIds.length === 0) {
+            deleteScene(chatMetadata, chat, parent.id);
+        } else {
+            syncChapterSources(chatMetadata, chat, parent.id);
+        }
+    }
+}
+
+// ─── Boundary Editing ───────────────────────────────────────────────────────
+
+/**
+ * Tag a message as a source of a scene.
+ * @param {object} msg
+ * @param {string} sceneId
+ * @param {Function} uuidv4Fn
+ * @returns {string} The message UUID
+ */
+function tagSourceMessage(msg, sceneId, uuidv4Fn) {
+    const uuid = ensureMessageUUID(msg, uuidv4Fn);
+    if (!msg.extra.scene_fold_scenes) {
+        msg.extra.scene_fold_scenes = [];
+    }
+    if (!msg.extra.scene_fold_scenes.includes(sceneId)) {
+        msg.extra.scene_fold_scenes.push(sceneId);
+    }
+    msg.extra.scene_fold_role = 'source';
+    return uuid;
+}
+
+/**
+ * Whether a message is free to join a scene: not a source or summary of any scene.
+ * @param {object} msg
+ * @returns {boolean}
+ */
+function isFreeMessage(msg) {
+    return !!msg && !msg.extra?.scene_fold_scenes?.length && !msg.extra?.scene_fold_scene_id;
+}
+
+/**
+ * Check that a scene's boundaries can be edited.
+ * @param {object} scene
+ * @returns {string|null} Error message, or null if editable
+ */
+function getBoundaryEditError(scene) {
+    if (!scene) return 'Scene not found';
+    if (isChapter(scene)) return 'Chapter boundaries follow their scenes and cannot be edited directly';
+    if (scene.parentSceneId) return 'Remove this scene from its chapter before editing its boundaries';
+    if (scene.status === 'queued' || scene.status === 'summarizing') return 'Wait for summarization to finish before editing boundaries';
+    return null;
+}
+
+/**
+ * Move a completed scene's summary message so it sits directly before the
+ * scene's first source message again.
+ * @param {Array} chat
+ * @param {object} scene
+ */
+function placeSummaryBeforeSources(chat, scene) {
+    const summaryIdx = findMessageIndexByUUID(chat, scene.summaryMessageUUID);
+    if (summaryIdx === -1) return;
+    const firstIdx = findMessageIndexByUUID(chat, scene.sourceMessageUUIDs[0]);
+    if (firstIdx === -1 || summaryIdx === firstIdx - 1) return;
+
+    const [summaryMsg] = chat.splice(summaryIdx, 1);
+    chat.splice(findMessageIndexByUUID(chat, scene.sourceMessageUUIDs[0]), 0, summaryMsg);
+}
+
+/**
+ * Grow or shrink a scene at one edge. Added messages are hidden from prompts
+ * when the scene is completed and folded into the chat; removed ones are
+ * un-hidden. An injected scene never hides its sources, so their visibility is
+ * left alone. A completed scene whose sources changed is marked stale.
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @param {string} sceneId
+ * @param {'start'|'end'} edge
+ * @param {number} delta - Positive to extend, negative to shrink
+ * @param {Function} uuidv4Fn - UUID generator function
+ * @returns {{ error: string|null, changed: number }}
+ */
+export function resizeScene(chatMetadata, chat, sceneId, edge, delta, uuidv4Fn) {
+    const scene = getScene(chatMetadata, sceneId);
+    const editError = getBoundaryEditError(scene);
+    if (editError) return { error: editError, changed: 0 };
+    if (!delta) return { error: null, changed: 0 };
+
+    const completed = scene.status === 'completed';
+    const hidesSources = completed && !scene.injected;
+    const uuidIndex = buildUUIDIndex(chat);
+    const firstIdx = findMessageIndexByUUID(chat, scene.sourceMessageUUIDs[0], uuidIndex);
+    const lastIdx = findMessageIndexByUUID(chat, scene.sourceMessageUUIDs[scene.sourceMessageUUIDs.length - 1], uuidIndex);
+    if (firstIdx === -1 || lastIdx === -1) return { error: 'Scene messages not found in chat', changed: 0 };
+
+    if (delta > 0) {
+        const step = edge === 'end' ? 1 : -1;
+        let idx = edge === 'end' ? lastIdx + 1 : firstIdx - 1;
+        // Growing backwards steps over the scene's own summary message
+        if (edge === 'start' && chat[idx]?.extra?.scene_fold_scene_id === sceneId) idx--;
+
+        const added = [];
+        for (let k = 0; k < delta; k++, idx += step) {
+            if (!isFreeMessage(chat[idx])) break;
+            const uuid = tagSourceMessage(chat[idx], sceneId, uuidv4Fn);
+            if (hidesSources) chat[idx].is_system = true;
+            added.push(uuid);
+        }
+        if (added.length === 0) {
+            return { error: `No free message ${edge === 'end' ? 'after' : 'before'} this scene`, changed: 0 };
+        }
+
+        scene.sourceMessageUUIDs = edge === 'end'
+            ? [...scene.sourceMessageUUIDs, ...added]
+            : [...added.reverse(), ...scene.sourceMessageUUIDs];
+        if (completed) scene.stale = true;
+        placeSummaryBeforeSources(chat, scene);
+        return { error: null, changed: added.length };
+    }
+
+    const count = -delta;
+    if (count >= scene.sourceMessageUUIDs.length) {
+        return { error: 'A scene needs at least one message', changed: 0 };
+    }
+    const removed = edge === 'end'
+        ? scene.sourceMessageUUIDs.slice(-count)
+        : scene.sourceMessageUUIDs.slice(0, count);
+    scene.sourceMessageUUIDs = edge === 'end'
+        ? scene.sourceMessageUUIDs.slice(0, -count)
+        : scene.sourceMessageUUIDs.slice(count);
+
+    for (const uuid of removed) {
+        const idx = findMessageIndexByUUID(chat, uuid, uuidIndex);
+        if (idx === -1) continue;
+        untagMessage(chat[idx], sceneId);
+        if (hidesSources) chat[idx].is_system = false;
+    }
+    if (completed) scene.stale = true;
+    placeSummaryBeforeSources(chat, scene);
+    return { error: null, changed: removed.length };
+}
+
+/**
+ * Split a scene in two: the message at `atIndex` and everything after it
+ * becomes a new, unsummarized scene. A completed original keeps its summary,
+ * is marked stale, and the moved messages are un-hidden.
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @param {string} sceneId
+ * @param {number} atIndex - Chat index of the first message of the new scene
+ * @param {Function} uuidv4Fn - UUID generator function
+ * @returns {{ error: string|null, scene: object|null }} The new scene
+ */
+export function splitScene(chatMetadata, chat, sceneId, atIndex, uuidv4Fn) {
+    const scene = getScene(chatMetadata, sceneId);
+    const editError = getBoundaryEditError(scene);
+    if (editError) return { error: editError, scene: null };
+
+    const uuid = chat[atIndex]?.extra?.scene_fold_uuid;
+    const pos = uuid ? scene.sourceMessageUUIDs.indexOf(uuid) : -1;
+    if (pos === -1) return { error: 'That message is not part of the scene', scene: null };
+    if (pos === 0) return { error: 'Cannot split at the first message of a scene', scene: null };
+
+    const tailEnd = findMessageIndexByUUID(chat, scene.sourceMessageUUIDs[scene.sourceMessageUUIDs.length - 1]);
+    const result = resizeScene(chatMetadata, chat, sceneId, 'end', pos - scene.sourceMessageUUIDs.length, uuidv4Fn);
+    if (result.error) return { error: result.error, scene: null };
+
+    // The summary may have moved; the tail is contiguous and now free
+    const tailStart = findMessageIndexByUUID(chat, uuid);
+    const newEnd = tailEnd + (tailStart - atIndex);
+    const newScene = createScene(chatMetadata, chat, tailStart, newEnd, uuidv4Fn, scene.customPrompt);
+    newScene.templateId = scene.templateId ?? null;
+    return { error: null, scene: newScene };
+}
+
+/**
+ * Merge a scene with the scene that directly follows it. The merged scene keeps
+ * the first scene's ID, status and summary; the second scene's summary message
+ * is removed. If the first scene is completed the merged scene is marked stale
+ * and, unless it is injected, every source is hidden. Otherwise the second
+ * scene's sources are un-hidden if it had folded them.
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @param {string} firstId
+ * @param {string} secondId
+ * @returns {{ error: string|null }}
+ */
+export function mergeScenes(chatMetadata, chat, firstId, secondId) {
+    const first = getScene(chatMetadata, firstId);
+    const second = getScene(chatMetadata, secondId);
+    const editError = getBoundaryEditError(first) || getBoundaryEditError(second);
+    if (editError) return { error: editError };
+
+    const lastIdx = findMessageIndexByUUID(chat, first.sourceMessageUUIDs[first.sourceMessageUUIDs.length - 1]);
+    const secondFirstIdx = findMessageIndexByUUID(chat, second.sourceMessageUUIDs[0]);
+    const secondSummaryIdx = findMessageIndexByUUID(chat, second.summaryMessageUUID);
+    const expectedStart = secondSummaryIdx === lastIdx + 1 ? lastIdx + 2 : lastIdx + 1;
+    if (lastIdx === -1 || secondFirstIdx !== expectedStart) {
+        return { error: 'Only directly adjacent scenes can be merged' };
+    }
+
+    const completed = first.status === 'completed';
+    const hideSources = completed && !first.injected;
+    const unhideSources = !hideSources && second.status === 'completed' && !second.injected;
+
+    // Drop the second scene's summary message
+    if (secondSummaryIdx !== -1) {
+        chat.splice(secondSummaryIdx, 1);
+    }
+
+    for (const uuid of second.sourceMessageUUIDs) {
+        const idx = findMessageIndexByUUID(chat, uuid);
+        if (idx === -1) continue;
+        tagSourceMessage(chat[idx], firstId, () => uuid);
+        if (hideSources) chat[idx].is_system = true;
+        else if (unhideSources) chat[idx].is_system = false;
+    }
+    first.sourceMessageUUIDs = [...first.sourceMessageUUIDs, ...second.sourceMessageUUIDs];
+    if (completed) first.stale = true;
+
+    second.summaryMessageUUID = null;
+    deleteScene(chatMetadata, chat, secondId);
+    return { error: null };
+}
+
+/**
+ * Find the scene that directly follows another in chat order.
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @param {string} sceneId
+ * @returns {object|null}
+ */
+export function getNextScene(chatMetadata, chat, sceneId) {
+    const topLevel = getScenesInOrder(chatMetadata, chat).filter(s => !s.parentSceneId && !isChapter(s));
+    const pos = topLevel.findIndex(s => s.id === sceneId);
+    return pos !== -1 ? topLevel[pos + 1] || null : null;
+}
+
+// ─── Chapters (hierarchical folding) ────────────────────────────────────────
+
+/**
+ * Whether a scene is a chapter, i.e. folds the summaries of child scenes
+ * rather than raw chat messages.
+ * @param {object} scene
+ * @returns {boolean}
+ */
+export function isChapter(scene) {
+    return !!scene?.childSceneIds?.length;
+}
+
+/**
+ * Walk up the parent chain of a scene.
+ * @param {object} chatMetadata
+ * @param {object} scene
+ * @returns {Array<object>} Ancestors, nearest first
+ */
+export function getSceneAncestors(chatMetadata, scene) {
+    const data = getSceneFoldData(chatMetadata);
+    const ancestors = [];
+    const seen = new Set([scene.id]);
+    let parentId = scene.parentSceneId;
+    while (parentId && data.scenes[parentId] && !seen.has(parentId)) {
+        const parent = data.scenes[parentId];
+        ancestors.push(parent);
+        seen.add(parentId);
+        parentId = parent.parentSceneId;
+    }
+    return ancestors;
+}
+
+/**
+ * Whether any ancestor chapter of a scene is completed and folded, meaning the
+ * scene's own messages are hidden under it regardless of the scene's fold state.
+ * @param {object} chatMetadata
+ * @param {object} scene
+ * @returns {boolean}
+ */
+export function hasFoldedAncestor(chatMetadata, scene) {
+    return getSceneAncestors(chatMetadata, scene).some(a => a.status === 'completed' && a.folded);
+}
+
+/**
+ * Height of a scene in the chapter tree: 0 for plain scenes, 1 for a chapter
+ * of plain scenes, and so on. Used to summarize children before parents.
+ * @param {object} chatMetadata
+ * @param {object} scene
+ * @returns {number}
+ */
+export function getSceneHeight(chatMetadata, scene, seen = new Set()) {
+    if (!isChapter(scene) || seen.has(scene.id)) return 0;
+    seen.add(scene.id);
+    const data = getSceneFoldData(chatMetadata);
+    let height = 0;
+    for (const childId of scene.childSceneIds) {
+        const child = data.scenes[childId];
+        if (child) height = Math.max(height, getSceneHeight(chatMetadata, child, seen));
+    }
+    return height + 1;
+}
+
+/**
+ * Find the top-level scenes that would become children of a chapter built from
+ * a message range. Every top-level scene starting inside the range must be
+ * completed, so the chosen scenes are always adjacent.
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @param {number} startIndex
+ * @param {number} endIndex
+ * @returns {{ sceneIds: string[], error: string|null }}
+ */
+export function getChapterCandidates(chatMetadata, chat, startIndex, endIndex) {
+    const uuidIndex = buildUUIDIndex(chat);
+    const sceneIds = [];
+
+    for (const scene of getScenesInOrder(chatMetadata, chat)) {
+        if (scene.parentSceneId) continue;
+
+        const firstIdx = scene.summaryMessageUUID
+            ? findMessageIndexByUUID(chat, scene.summaryMessageUUID, uuidIndex)
+            : findMessageIndexByUUID(chat, getFirstCoveredUUID(chatMetadata, scene), uuidIndex);
+        if (firstIdx < startIndex || firstIdx > endIndex) continue;
+
+        if (scene.status !== 'completed') {
+            return { sceneIds: [], error: 'Every scene in the range must be summarized before it can be folded into a chapter' };
+        }
+        sceneIds.push(scene.id);
+    }
+
+    if (sceneIds.length < 2) {
+        return { sceneIds: [], error: 'Select at least two completed scenes to build a chapter' };
+    }
+    return { sceneIds, error: null };
+}
+
+/**
+ * Create a chapter from adjacent completed scenes. The chapter's source
+ * messages are the children's summary messages.
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @param {string[]} childSceneIds - Child scene IDs in chat order
+ * @param {Function} uuidv4Fn - UUID generator function
+ * @param {string} [customPrompt] - Optional per-chapter prompt
+ * @returns {object} The created chapter scene object
+ */
+export function createChapter(chatMetadata, chat, childSceneIds, uuidv4Fn, customPrompt = null) {
+    const data = getSceneFoldData(chatMetadata);
+    const chapterId = uuidv4Fn();
+
+    const chapter = {
+        id: chapterId,
+        summaryMessageUUID: null,
+        sourceMessageUUIDs: [],
+        parentSceneId: null,
+        childSceneIds: [...childSceneIds],
+        status: 'defined',
+        title: null,
+        injected: false,
+        customPrompt: customPrompt || null,
+        templateId: null,
+        folded: false,
+        lastError: null,
+        stale: false,
+        sourceHashes: null,
+        changedMessageUUIDs: [],
+        auto: false,
+        interrupted: false,
+        attempts: [],
+        draft: null,
+        sourceTokens: null,
+        summaryTokens: null,
+        summaryVersions: [],
+        activeVersion: null,
+        createdAt: Date.now(),
+    };
+
+    data.scenes[chapterId] = chapter;
+    for (const childId of childSceneIds) {
+        data.scenes[childId].parentSceneId = chapterId;
+    }
+
+    syncChapterSources(chatMetadata, chat, chapterId);
+    return chapter;
+}
+
+/**
+ * Rebuild a chapter's source list from its children's current summary
+ * messages, retagging messages that joined or left. Call whenever a child's
+ * summary message is created or removed.
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @param {string} chapterId
+ */
+export function syncChapterSources(chatMetadata, chat, chapterId) {
+    const data = getSceneFoldData(chatMetadata);
+    const chapter = data.scenes[chapterId];
+    if (!isChapter(chapter)) return;
+
+    const uuidIndex = buildUUIDIndex(chat);
+    const nextSources = [];
+    for (const childId of chapter.childSceneIds) {
+        const uuid = data.scenes[childId]?.summaryMessageUUID;
+        if (uuid && findMessageIndexByUUID(chat, uuid, uuidIndex) !== -1) {
+            nextSources.push(uuid);
+        }
+    }
+
+    for (const uuid of chapter.sourceMessageUUIDs) {
+        if (nextSources.includes(uuid)) continue;
+        const idx = findMessageIndexByUUID(chat, uuid, uuidIndex);
+        if (idx !== -1) untagMessage(chat[idx], chapterId);
+    }
+
+    for (const uuid of nextSources) {
+        const msg = chat[findMessageIndexByUUID(chat, uuid, uuidIndex)];
+        if (!msg.extra.scene_fold_scenes) {
+            msg.extra.scene_fold_scenes = [];
+        }
+        if (!msg.extra.scene_fold_scenes.includes(chapterId)) {
+            msg.extra.scene_fold_scenes.push(chapterId);
+        }
+    }
+
+    chapter.sourceMessageUUIDs = nextSources;
 }
 
 /**
@@ -174,12 +742,12 @@ export function getScenesInOrder(chatMetadata, chat) {
     const data = getSceneFoldData(chatMetadata);
     const scenes = Object.values(data.scenes);
 
-    // Sort by position of first source message in chat
-    scenes.sort((a, b) => {
-        const aIdx = findMessageIndexByUUID(chat, a.sourceMessageUUIDs[0]);
-        const bIdx = findMessageIndexByUUID(chat, b.sourceMessageUUIDs[0]);
-        return aIdx - bIdx;
-    });
+    // Sort by position of first source message in chat. A chapter folded by
+    // prompt injection has no summary messages as sources, so it is placed at
+    // its first covered message, ahead of the scenes inside it.
+    const positionOf = scene => findMessageIndexByUUID(chat, getFirstCoveredUUID(chatMetadata, scene));
+    scenes.sort((a, b) => (positionOf(a) - positionOf(b))
+        || (getSceneHeight(chatMetadata, b) - getSceneHeight(chatMetadata, a)));
 
     return scenes;
 }
@@ -214,6 +782,42 @@ export function getAutoStartIndex(chatMetadata, chat) {
     return maxIndex >= 0 ? maxIndex + 1 : 0;
 }
 
+/**
+ * Range of unsummarized messages eligible for automatic summarization: from the
+ * auto-start index up to, but not including, the last `keepRaw` messages.
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @param {number} keepRaw - Number of trailing messages to leave unsummarized
+ * @returns {{ start: number, end: number }|null} Inclusive range, or null if empty
+ */
+export function getAutoSummarizeRange(chatMetadata, chat, keepRaw) {
+    const start = getAutoStartIndex(chatMetadata, chat);
+    const end = chat.length - 1 - Math.max(0, keepRaw || 0);
+    if (end < start) return null;
+    return { start, end };
+}
+
+/**
+ * Total prompt tokens reclaimed by completed scenes. Nested chapters add their
+ * own savings on top of their children's, which telescopes to raw − chapter.
+ * @param {object} chatMetadata
+ * @returns {{ saved: number, measured: number, unmeasured: number }}
+ */
+export function getChatTokenSavings(chatMetadata) {
+    const data = getSceneFoldData(chatMetadata);
+    const totals = { saved: 0, measured: 0, unmeasured: 0 };
+    for (const scene of Object.values(data.scenes)) {
+        if (scene.status !== 'completed') continue;
+        if (typeof scene.sourceTokens !== 'number' || typeof scene.summaryTokens !== 'number') {
+            totals.unmeasured++;
+            continue;
+        }
+        totals.saved += Math.max(0, scene.sourceTokens - scene.summaryTokens);
+        totals.measured++;
+    }
+    return totals;
+}
+
 /**
  * Get a scene by its ID.
  * @param {object} chatMetadata
@@ -238,6 +842,53 @@ export function updateScene(chatMetadata, sceneId, updates) {
     Object.assign(scene, updates);
 }
 
+// ─── Summary Versions ───────────────────────────────────────────────────────
+
+/**
+ * Record a newly generated summary as the scene's active version.
+ * @param {object} scene
+ * @param {string} text
+ * @param {{ id: string, name: string }|null} [template] - Prompt template that produced it
+ * @param {object|null} [facts] - Facts extracted alongside a structured summary
+ * @returns {number} Index of the new version
+ */
+export function addSummaryVersion(scene, text, template = null, facts = null) {
+    if (!Array.isArray(scene.summaryVersions)) {
+        scene.summaryVersions = [];
+    }
+    scene.summaryVersions.push({
+        text,
+        createdAt: Date.now(),
+        template: template ? { id: template.id, name: template.name } : null,
+        facts,
+    });
+    scene.activeVersion = scene.summaryVersions.length - 1;
+    return scene.activeVersion;
+}
+
+/**
+ * Make sure a completed scene has a version list that reflects its summary
+ * message. Scenes summarized before versions existed get their current
+ * summary as version 1; hand edits to the summary message are folded back
+ * into the active version so switching away doesn't lose them.
+ * @param {Array} chat
+ * @param {object} scene
+ */
+export function syncActiveSummaryVersion(chat, scene) {
+    const idx = findMessageIndexByUUID(chat, scene.summaryMessageUUID);
+    if (idx === -1) return;
+    const text = chat[idx].mes;
+
+    if (!Array.isArray(scene.summaryVersions) || scene.summaryVersions.length === 0) {
+        addSummaryVersion(scene, text);
+        return;
+    }
+    const active = scene.summaryVersions[scene.activeVersion ?? scene.summaryVersions.length - 1];
+    if (active && active.text !== text) {
+        active.text = text;
+    }
+}
+
 /**
  * Reconcile duplicated messages: when a message is duplicated, the copy shares
  * the same scene_fold_uuid. Detect duplicates and give each a fresh UUID,
@@ -334,8 +985,12 @@ export function reconcileScenesAfterDeletion(chatMetadata, chat) {
             scene.sourceMessageUUIDs = validSources;
         }
 
+        // A chapter whose child summaries are gone keeps its children; only
+        // plain scenes (or chapters with no children left) are dropped
+        const hasChildren = (scene.childSceneIds || []).some(id => data.scenes[id]);
+
         // If no source messages remain, delete the scene entirely
-        if (validSources.length === 0) {
+        if (validSources.length === 0 && !hasChildren) {
             if (scene.summaryMessageUUID) {
                 const summaryIdx = findMessageIndexByUUID(chat, scene.summaryMessageUUID, uuidIndex);
                 if (summaryIdx !== -1) {
@@ -368,11 +1023,26 @@ export function reconcileScenesAfterDeletion(chatMetadata, chat) {
             }
         }
 
+        // A completed chapter that lost a child summary no longer matches its children
+        if (modified && isChapter(scene) && scene.status === 'completed') {
+            scene.stale = true;
+        }
+
         if (modified && !result.deletedScenes.includes(sceneId)) {
             result.modifiedScenes.push(sceneId);
         }
     }
 
+    // Drop links to scenes that no longer exist
+    for (const scene of Object.values(data.scenes)) {
+        if (scene.parentSceneId && !data.scenes[scene.parentSceneId]) {
+            scene.parentSceneId = null;
+        }
+        if (scene.childSceneIds?.some(id => !data.scenes[id])) {
+            scene.childSceneIds = scene.childSceneIds.filter(id => data.scenes[id]);
+        }
+    }
+
     return result;
 }
 
@@ -394,3 +1064,214 @@ export function findOverlappingScenes(chatMetadata, chat, startIndex, endIndex)
     }
     return [...overlapping];
 }
+
+/**
+ * Whether a completed scene's summary may no longer match its sources,
+ * either because its boundaries moved or because a source was edited.
+ * @param {object} scene
+ * @returns {boolean}
+ */
+export function isSceneStale(scene) {
+    return scene?.status === 'completed' && (!!scene.stale || scene.changedMessageUUIDs?.length > 0);
+}
+
+/**
+ * Remember the content hash of every source message, as the baseline for
+ * later staleness checks. Call when the summary is written.
+ * @param {Array} chat
+ * @param {object} scene
+ * @param {Map<string, number>} [uuidIndex] - Optional cached index
+ */
+export function recordSourceHashes(chat, scene, uuidIndex) {
+    scene.sourceHashes = {};
+    for (const uuid of scene.sourceMessageUUIDs) {
+        const idx = findMessageIndexByUUID(chat, uuid, uuidIndex);
+        if (idx !== -1) scene.sourceHashes[uuid] = getMessageContentHash(chat[idx]);
+    }
+    scene.changedMessageUUIDs = [];
+}
+
+/**
+ * Compare completed scenes' sources with the hashes recorded at summarization
+ * and update each scene's changedMessageUUIDs. A source edited and then
+ * restored (e.g. swiped back) drops off the list again. Scenes summarized
+ * before hashes existed get their current content as the baseline.
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @param {string[]} [sceneIds] - Limit the check to these scenes
+ * @returns {string[]} IDs of scenes whose staleness data changed
+ */
+export function evaluateStaleness(chatMetadata, chat, sceneIds) {
+    const data = getSceneFoldData(chatMetadata);
+    const uuidIndex = buildUUIDIndex(chat);
+    const updated = [];
+
+    for (const sceneId of sceneIds || Object.keys(data.scenes)) {
+        const scene = data.scenes[sceneId];
+        if (!scene || scene.status !== 'completed') continue;
+
+        if (!scene.sourceHashes) {
+            recordSourceHashes(chat, scene, uuidIndex);
+            updated.push(sceneId);
+            continue;
+        }
+
+        const changed = scene.sourceMessageUUIDs.filter(uuid => {
+            const recorded = scene.sourceHashes[uuid];
+            const idx = findMessageIndexByUUID(chat, uuid, uuidIndex);
+            return recorded !== undefined && idx !== -1 && getMessageContentHash(chat[idx]) !== recorded;
+        });
+
+        const previous = scene.changedMessageUUIDs || [];
+        if (changed.length !== previous.length || changed.some((uuid, i) => uuid !== previous[i])) {
+            scene.changedMessageUUIDs = changed;
+            updated.push(sceneId);
+        }
+    }
+
+    return updated;
+}
+
+/**
+ * The text of a completed scene's summary: the summary message in the chat,
+ * or the active stored version for a scene folded by prompt injection.
+ * @param {Array} chat
+ * @param {object} scene
+ * @param {Map<string, number>} [uuidIndex] - Optional cached index
+ * @returns {string|null}
+ */
+export function getSceneSummaryText(chat, scene, uuidIndex) {
+    if (scene?.injected) {
+        const versions = scene.summaryVersions || [];
+        return versions[scene.activeVersion ?? versions.length - 1]?.text ?? null;
+    }
+    const idx = findMessageIndexByUUID(chat, scene?.summaryMessageUUID, uuidIndex);
+    return idx === -1 ? null : chat[idx].mes;
+}
+
+/**
+ * The original chat messages a scene covers, in order. For a chapter these
+ * are its descendants' source messages, not their summaries.
+ * @param {object} chatMetadata
+ * @param {object} scene
+ * @returns {string[]} Message UUIDs
+ */
+export function getSceneMessageUUIDs(chatMetadata, scene) {
+    if (!isChapter(scene)) return [...scene.sourceMessageUUIDs];
+    const data = getSceneFoldData(chatMetadata);
+    return scene.childSceneIds
+        .map(id => data.scenes[id])
+        .filter(Boolean)
+        .flatMap(child => getSceneMessageUUIDs(chatMetadata, child));
+}
+
+/**
+ * The first message a scene starts at: its first source, or for a chapter over
+ * injected scenes (which has no summary messages as sources) its first covered message.
+ * @param {object} chatMetadata
+ * @param {object} scene
+ * @returns {string|undefined} Message UUID
+ */
+function getFirstCoveredUUID(chatMetadata, scene) {
+    return scene.sourceMessageUUIDs[0] ?? getSceneMessageUUIDs(chatMetadata, scene)[0];
+}
+
+/**
+ * The scene whose summary stands in for a scene's messages in the prompt:
+ * the highest completed scene among the scene and its ancestors.
+ * @param {object} chatMetadata
+ * @param {string} sceneId
+ * @returns {object|null} Null if nothing in the chain is completed
+ */
+export function getPromptRepresentative(chatMetadata, sceneId) {
+    const data = getSceneFoldData(chatMetadata);
+    let representative = null;
+    for (let scene = data.scenes[sceneId]; scene; scene = data.scenes[scene.parentSceneId]) {
+        if (scene.status === 'completed') representative = scene;
+    }
+    return representative;
+}
+
+// ─── Continuity ─────────────────────────────────────────────────────────────
+
+/**
+ * Summaries written before a scene, for the continuity macros. The scene's own
+ * ancestors and descendants are left out: they cover the same messages.
+ * - `previous`: completed scenes of the same kind (scenes for a scene, chapters
+ *   for a chapter), oldest first.
+ * - `storySoFar`: one summary per stretch of earlier story, using the highest
+ *   completed level available (a chapter instead of the scenes inside it).
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @param {string} sceneId
+ * @param {Map<string, number>} [uuidIndex]
+ * @returns {{ previous: string[], storySoFar: string[] }}
+ */
+export function getContinuityContext(chatMetadata, chat, sceneId, uuidIndex) {
+    const result = { previous: [], storySoFar: [] };
+    const target = getScene(chatMetadata, sceneId);
+    if (!target) return result;
+
+    const ancestorIds = new Set(getSceneAncestors(chatMetadata, target).map(s => s.id));
+    const targetIsChapter = isChapter(target);
+
+    for (const scene of getScenesInOrder(chatMetadata, chat)) {
+        // Descendants sort after their chapter, so everything before the target is earlier story
+        if (scene.id === target.id) break;
+        if (ancestorIds.has(scene.id) || scene.status !== 'completed') continue;
+
+        const text = getSceneSummaryText(chat, scene, uuidIndex);
+        if (!text) continue;
+
+        if (isChapter(scene) === targetIsChapter) {
+            result.previous.push(text);
+        }
+        // A completed chapter above speaks for this scene, unless it also contains the target
+        const coveredAbove = getSceneAncestors(chatMetadata, scene)
+            .some(s => s.status === 'completed' && !ancestorIds.has(s.id));
+        if (!coveredAbove) {
+            result.storySoFar.push(text);
+        }
+    }
+    return result;
+}
+
+// ─── Queue Persistence ──────────────────────────────────────────────────────
+
+/**
+ * Record the summarization queue's scenes, in order, so an interrupted batch
+ * can be resumed when the chat is opened again.
+ * @param {object} chatMetadata
+ * @param {string[]} sceneIds
+ */
+export function setPersistedQueue(chatMetadata, sceneIds) {
+    getSceneFoldData(chatMetadata).queue = [...sceneIds];
+}
+
+/**
+ * On chat load, find the scenes a closed page or chat switch left queued or
+ * summarizing. They can't still be in progress: each is flagged `interrupted`
+ * and put back the way it was before queueing, so a scene queued for
+ * re-summarization keeps its summary until resumed. Failed scenes keep their
+ * error and are not included.
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @returns {string[]} Interrupted scene IDs, in queue order, then chat order for any the queue missed
+ */
+export function recoverInterruptedScenes(chatMetadata, chat) {
+    const data = getSceneFoldData(chatMetadata);
+    const queued = Array.isArray(data.queue) ? data.queue : [];
+
+    for (const scene of Object.values(data.scenes)) {
+        if (scene.status !== 'queued' && scene.status !== 'summarizing') continue;
+        scene.status = scene.folded ? 'completed' : 'defined';
+        scene.lastError = null;
+        scene.interrupted = true;
+    }
+
+    const inChatOrder = getScenesInOrder(chatMetadata, chat).filter(s => s.interrupted).map(s => s.id);
+    const ordered = queued.filter(id => inChatOrder.includes(id));
+    const result = [...ordered, ...inChatOrder.filter(id => !ordered.includes(id))];
+    data.queue = [];
+    return result;
+}
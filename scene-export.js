@@ -0,0 +1,294 @@
+/**
+ * Scene Fold - Export / Import
+ *
+ * Serializes scenes, summaries and prompts into a portable JSON bundle and
+ * restores them into a chat. Source messages are identified by content
+ * fingerprint rather than UUID, so a bundle still applies to a chat that was
+ * re-created from a JSONL backup.
+ */
+
+import {
+    getSceneFoldData,
+    getScenesInOrder,
+    findMessageIndexByUUID,
+    buildUUIDIndex,
+    findOverlappingScenes,
+    getMessageFingerprint,
+    createScene,
+    createChapter,
+    createSummaryMessage,
+    getSceneSummaryText,
+    isChapter,
+} from './scene-data.js';
+import { findTemplate, exportTemplates } from './prompt-templates.js';
+
+export const BUNDLE_FORMAT = 'scene-fold';
+export const BUNDLE_VERSION = 1;
+
+/**
+ * Build an export bundle for the current chat.
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @param {object} settings - Extension settings (prompt templates are included)
+ * @returns {object} JSON-serializable bundle
+ */
+export function exportScenes(chatMetadata, chat, settings) {
+    const uuidIndex = buildUUIDIndex(chat);
+    const fingerprintOf = (uuid) => {
+        const idx = findMessageIndexByUUID(chat, uuid, uuidIndex);
+        return idx === -1 ? null : getMessageFingerprint(chat[idx]);
+    };
+
+    const scenes = getScenesInOrder(chatMetadata, chat).map(scene => {
+        const summaryIdx = findMessageIndexByUUID(chat, scene.summaryMessageUUID, uuidIndex);
+        const completed = scene.status === 'completed' && (summaryIdx !== -1 || !!scene.injected);
+        return {
+            id: scene.id,
+            parentSceneId: scene.parentSceneId || null,
+            childSceneIds: [...(scene.childSceneIds || [])],
+            status: completed ? 'completed' : 'defined',
+            title: scene.title || null,
+            folded: completed && !!scene.folded,
+            customPrompt: scene.customPrompt || null,
+            // By name: template IDs are local to each install
+            template: findTemplate(settings, scene.templateId)?.name ?? null,
+            auto: !!scene.auto,
+            injected: completed && !!scene.injected,
+            summary: completed ? getSceneSummaryText(chat, scene, uuidIndex) : null,
+            summaryFingerprint: summaryIdx !== -1 ? getMessageFingerprint(chat[summaryIdx]) : null,
+            summaryVersions: structuredClone(scene.summaryVersions || []),
+            activeVersion: scene.activeVersion ?? null,
+            sourceFingerprints: isChapter(scene) ? [] : scene.sourceMessageUUIDs.map(fingerprintOf),
+            sourceTokens: scene.sourceTokens ?? null,
+            summaryTokens: scene.summaryTokens ?? null,
+        };
+    });
+
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        prompts: {
+            defaultPrompt: settings.defaultPrompt ?? null,
+            chapterPrompt: settings.chapterPrompt ?? null,
+            titlePrompt: settings.titlePrompt ?? null,
+            guidancePrefix: settings.guidancePrefix ?? null,
+            templates: exportTemplates(settings).templates,
+        },
+        scenes,
+    };
+}
+
+/**
+ * Check that a parsed object is a bundle this version can read.
+ * @param {any} bundle
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object') return 'Not a JSON object';
+    if (bundle.format !== BUNDLE_FORMAT) return 'Not a Scene Fold export';
+    if (typeof bundle.version !== 'number' || bundle.version > BUNDLE_VERSION) {
+        return `Unsupported bundle version ${bundle.version}`;
+    }
+    if (!Array.isArray(bundle.scenes)) return 'Bundle has no scene list';
+    return null;
+}
+
+/**
+ * Find where a run of source fingerprints sits in the chat, at or after `fromIndex`.
+ * Prefers an exact contiguous match; otherwise accepts a window anchored on the
+ * first and last fingerprint whose length is within 20% of the original and in
+ * which at least 80% of the fingerprints appear (tolerates a few edited messages).
+ * @param {string[]} chatFingerprints - Fingerprint per chat index
+ * @param {string[]} fingerprints - The scene's source fingerprints, in order
+ * @param {number} fromIndex
+ * @returns {{ start: number, end: number, exact: boolean }|null}
+ */
+export function locateFingerprints(chatFingerprints, fingerprints, fromIndex) {
+    const wanted = fingerprints.filter(Boolean);
+    if (wanted.length === 0) return null;
+    const n = fingerprints.length;
+
+    for (let start = fromIndex; start + n <= chatFingerprints.length; start++) {
+        if (chatFingerprints[start] !== fingerprints[0]) continue;
+        let match = true;
+        for (let k = 1; k < n; k++) {
+            if (fingerprints[k] && chatFingerprints[start + k] !== fingerprints[k]) {
+                match = false;
+                break;
+            }
+        }
+        if (match) return { start, end: start + n - 1, exact: true };
+    }
+
+    const first = wanted[0];
+    const last = wanted[wanted.length - 1];
+    const minLength = Math.floor(n * 0.8);
+    const maxLength = Math.ceil(n * 1.2);
+    for (let start = fromIndex; start < chatFingerprints.length; start++) {
+        if (chatFingerprints[start] !== first) continue;
+        for (let end = start + Math.max(0, minLength - 1); end < Math.min(chatFingerprints.length, start + maxLength); end++) {
+            if (chatFingerprints[end] !== last) continue;
+            const window = new Set(chatFingerprints.slice(start, end + 1));
+            const found = wanted.filter(fp => window.has(fp)).length;
+            if (found >= wanted.length * 0.8) return { start, end, exact: false };
+        }
+    }
+    return null;
+}
+
+/**
+ * Restore scenes from a bundle into the chat. Scenes are re-anchored by
+ * fingerprint, completed scenes get their summary message back (reusing a
+ * matching summary already in the chat), and chapters are rebuilt once their
+ * children are in place. Mutates `chat` and `chatMetadata`; the caller saves
+ * and reloads.
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @param {object} bundle - A validated bundle
+ * @param {Function} uuidv4Fn - UUID generator function
+ * @param {object} [settings] - Extension settings, to match scene templates by name
+ * @returns {{ imported: number, fuzzy: number, skipped: Array<{ id: string, reason: string }> }}
+ */
+export function importScenes(chatMetadata, chat, bundle, uuidv4Fn, settings = {}) {
+    const result = { imported: 0, fuzzy: 0, skipped: [] };
+    /** @type {Map<string, object>} bundle scene ID -> created scene */
+    const created = new Map();
+    /** @type {Array<{ scene: object, entry: object }>} */
+    const toRestore = [];
+
+    // Pass 1: anchor plain scenes to source messages, in bundle (chat) order
+    const chatFingerprints = chat.map(getMessageFingerprint);
+    let cursor = 0;
+    for (const entry of bundle.scenes) {
+        if (entry.childSceneIds?.length) continue;
+
+        const location = locateFingerprints(chatFingerprints, entry.sourceFingerprints || [], cursor)
+            ?? locateFingerprints(chatFingerprints, entry.sourceFingerprints || [], 0);
+        if (!location) {
+            result.skipped.push({ id: entry.id, reason: 'source messages not found' });
+            continue;
+        }
+        if (findOverlappingScenes(chatMetadata, chat, location.start, location.end).length > 0) {
+            result.skipped.push({ id: entry.id, reason: 'overlaps an existing scene' });
+            continue;
+        }
+
+        const scene = createScene(chatMetadata, chat, location.start, location.end, uuidv4Fn, entry.customPrompt);
+        scene.auto = !!entry.auto;
+        scene.title = entry.title || null;
+        scene.templateId = findTemplate(settings, entry.template)?.id ?? null;
+        created.set(entry.id, scene);
+        toRestore.push({ scene, entry });
+        cursor = location.end + 1;
+        result.imported++;
+        if (!location.exact) result.fuzzy++;
+    }
+
+    restoreSummaries(chat, toRestore, uuidv4Fn);
+
+    // Pass 2: rebuild chapters bottom-up, as long as all their children made it
+    let pendingChapters = bundle.scenes.filter(entry => entry.childSceneIds?.length);
+    let progress = true;
+    while (pendingChapters.length > 0 && progress) {
+        progress = false;
+        const chapterBatch = [];
+        const pendingIds = new Set(pendingChapters.map(e => e.id));
+        for (const entry of [...pendingChapters]) {
+            // Wait until child chapters have been rebuilt
+            if (entry.childSceneIds.some(id => pendingIds.has(id))) continue;
+            pendingChapters = pendingChapters.filter(e => e !== entry);
+            progress = true;
+
+            const children = entry.childSceneIds.map(id => created.get(id));
+            if (children.some(child => !child || child.status !== 'completed')) {
+                result.skipped.push({ id: entry.id, reason: 'chapter children missing or unsummarized' });
+                continue;
+            }
+
+            const chapter = createChapter(chatMetadata, chat, children.map(c => c.id), uuidv4Fn, entry.customPrompt);
+            chapter.title = entry.title || null;
+            chapter.templateId = findTemplate(settings, entry.template)?.id ?? null;
+            created.set(entry.id, chapter);
+            chapterBatch.push({ scene: chapter, entry });
+            result.imported++;
+        }
+        restoreSummaries(chat, chapterBatch, uuidv4Fn);
+    }
+    for (const entry of pendingChapters) {
+        result.skipped.push({ id: entry.id, reason: 'chapter children missing' });
+    }
+
+    // Summary messages were inserted before their sources: hide the sources now
+    for (const scene of created.values()) {
+        if (scene.status !== 'completed' || scene.injected) continue;
+        for (const uuid of scene.sourceMessageUUIDs) {
+            const idx = findMessageIndexByUUID(chat, uuid);
+            if (idx !== -1) chat[idx].is_system = true;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Attach summaries to freshly anchored scenes: reuse a summary message already
+ * sitting right before the sources, or insert a new one there.
+ * @param {Array} chat
+ * @param {Array<{ scene: object, entry: object }>} items
+ * @param {Function} uuidv4Fn
+ */
+function restoreSummaries(chat, items, uuidv4Fn) {
+    for (const { scene, entry } of items) {
+        scene.summaryVersions = structuredClone(entry.summaryVersions || []);
+        scene.activeVersion = entry.activeVersion ?? (scene.summaryVersions.length ? scene.summaryVersions.length - 1 : null);
+        if (entry.status !== 'completed' || !entry.summary) continue;
+
+        // Injected summaries live in the versions; nothing goes into the chat
+        if (entry.injected) {
+            if (scene.summaryVersions.length === 0) {
+                scene.summaryVersions.push({ text: entry.summary, createdAt: Date.now() });
+                scene.activeVersion = 0;
+            }
+            scene.injected = true;
+            scene.status = 'completed';
+            scene.folded = entry.folded !== false;
+            scene.sourceTokens = entry.sourceTokens ?? null;
+            scene.summaryTokens = entry.summaryTokens ?? null;
+            continue;
+        }
+
+        const firstIdx = findMessageIndexByUUID(chat, scene.sourceMessageUUIDs[0]);
+        if (firstIdx === -1) continue;
+
+        let summaryMsg;
+        const before = chat[firstIdx - 1];
+        if (before && !before.extra?.scene_fold_scene_id && getMessageFingerprint(before) === entry.summaryFingerprint) {
+            // The chat still holds the summary message, just without our metadata
+            summaryMsg = before;
+            summaryMsg.extra = summaryMsg.extra || {};
+            summaryMsg.extra.scene_fold_uuid = uuidv4Fn();
+            summaryMsg.extra.scene_fold_role = 'summary';
+            summaryMsg.extra.scene_fold_scene_id = scene.id;
+            summaryMsg.is_system = false;
+        } else {
+            summaryMsg = createSummaryMessage(scene, entry.summary, uuidv4Fn);
+            chat.splice(firstIdx, 0, summaryMsg);
+        }
+
+        scene.summaryMessageUUID = summaryMsg.extra.scene_fold_uuid;
+        scene.status = 'completed';
+        scene.folded = entry.folded !== false;
+        scene.sourceTokens = entry.sourceTokens ?? null;
+        scene.summaryTokens = entry.summaryTokens ?? null;
+    }
+}
+
+/**
+ * Whether the chat already has any Scene Fold scenes.
+ * @param {object} chatMetadata
+ * @returns {boolean}
+ */
+export function hasScenes(chatMetadata) {
+    return Object.keys(getSceneFoldData(chatMetadata).scenes).length > 0;
+}
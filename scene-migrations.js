@@ -0,0 +1,239 @@
+/**
+ * Scene Fold - Schema Migrations
+ *
+ * chat_metadata.scene_fold carries a schema `version`. When a chat is loaded,
+ * every migration newer than that version runs in order and the version is
+ * bumped, so chats saved by older releases keep loading correctly.
+ *
+ * Migrations are frozen once released: they only use the helpers in this file,
+ * never the evolving ones in scene-data.js, so a later change to the data
+ * model can't change what an old migration does.
+ *
+ * To change the shape of the data, bump SCHEMA_VERSION and append a migration
+ * with that version. Never edit or reorder an existing one.
+ */
+
+/**
+ * @typedef {object} Migration
+ * @property {number} version - Schema version the data is at after this migration
+ * @property {string} description
+ * @property {(data: object, chat: Array) => boolean} migrate - Mutates `data` and
+ *     the messages in `chat`; returns true if any message was rewritten
+ */
+
+/** @type {Migration[]} */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Drop the per-chat prompt copy, backfill scene fields, drop transient flags',
+        migrate(data) {
+            // Unversioned chats each stored a copy of the default prompt that nothing read
+            delete data.settings;
+
+            for (const scene of Object.values(data.scenes)) {
+                const defaults = {
+                    summaryMessageUUID: null,
+                    sourceMessageUUIDs: [],
+                    parentSceneId: null,
+                    childSceneIds: [],
+                    status: 'defined',
+                    customPrompt: null,
+                    folded: false,
+                    lastError: null,
+                    stale: false,
+                    auto: false,
+                    sourceTokens: null,
+                    summaryTokens: null,
+                    summaryVersions: [],
+                    activeVersion: null,
+                    createdAt: null,
+                };
+                for (const [key, value] of Object.entries(defaults)) {
+                    if (scene[key] === undefined) scene[key] = value;
+                }
+
+                // Retry intent is now kept in memory, not on the persisted scene
+                delete scene._needsRetry;
+            }
+            return false;
+        },
+    },
+    {
+        version: 2,
+        description: 'Rewrite per-message scene_fold_* tags to match the scene index',
+        migrate(data, chat) {
+            let changed = false;
+            const indexByUUID = new Map();
+            chat.forEach((message, i) => {
+                const uuid = message?.extra?.scene_fold_uuid;
+                if (uuid) indexByUUID.set(uuid, i);
+            });
+
+            // Summary messages written before scene_fold_scene_id existed
+            for (const scene of Object.values(data.scenes)) {
+                const extra = chat[indexByUUID.get(scene.summaryMessageUUID)]?.extra;
+                if (!extra) continue;
+                if (extra.scene_fold_scene_id !== scene.id || extra.scene_fold_role !== 'summary') {
+                    extra.scene_fold_scene_id = scene.id;
+                    extra.scene_fold_role = 'summary';
+                    changed = true;
+                }
+            }
+
+            // Source tags that point at scenes which no longer exist
+            for (const message of chat) {
+                const extra = message?.extra;
+                if (!Array.isArray(extra?.scene_fold_scenes)) continue;
+
+                const live = extra.scene_fold_scenes.filter(id => data.scenes[id]);
+                if (live.length === extra.scene_fold_scenes.length) continue;
+                changed = true;
+                if (live.length > 0) {
+                    extra.scene_fold_scenes = live;
+                } else {
+                    delete extra.scene_fold_scenes;
+                    if (extra.scene_fold_role === 'source') delete extra.scene_fold_role;
+                }
+            }
+            return changed;
+        },
+    },
+    {
+        version: 3,
+        description: 'Add per-source content hashes for stale detection',
+        migrate(data) {
+            for (const scene of Object.values(data.scenes)) {
+                // Baselines are recorded from the live chat on the next staleness check
+                if (scene.sourceHashes === undefined) scene.sourceHashes = null;
+                if (!Array.isArray(scene.changedMessageUUIDs)) scene.changedMessageUUIDs = [];
+            }
+            return false;
+        },
+    },
+    {
+        version: 4,
+        description: 'Add optional scene titles',
+        migrate(data) {
+            for (const scene of Object.values(data.scenes)) {
+                if (scene.title === undefined) scene.title = null;
+            }
+            return false;
+        },
+    },
+    {
+        version: 5,
+        description: 'Add the prompt-injection fold flag',
+        migrate(data) {
+            for (const scene of Object.values(data.scenes)) {
+                if (scene.injected === undefined) scene.injected = false;
+            }
+            return false;
+        },
+    },
+    {
+        version: 6,
+        description: 'Add per-scene prompt templates',
+        migrate(data) {
+            for (const scene of Object.values(data.scenes)) {
+                if (scene.templateId === undefined) scene.templateId = null;
+                // Versions written before templates existed don't know their prompt
+                for (const version of scene.summaryVersions || []) {
+                    if (version.template === undefined) version.template = null;
+                }
+            }
+            return false;
+        },
+    },
+    {
+        version: 7,
+        description: 'Add extracted facts to summary versions',
+        migrate(data) {
+            for (const scene of Object.values(data.scenes)) {
+                for (const version of scene.summaryVersions || []) {
+                    if (version.facts === undefined) version.facts = null;
+                }
+            }
+            return false;
+        },
+    },
+    {
+        version: 8,
+        description: 'Track lorebook entries written from scene facts',
+        migrate(data) {
+            if (!data.lore || typeof data.lore !== 'object') data.lore = { world: null, entries: {} };
+            return false;
+        },
+    },
+    {
+        version: 9,
+        description: 'Persist the summarization queue and mark interrupted scenes',
+        migrate(data) {
+            if (!Array.isArray(data.queue)) data.queue = [];
+            for (const scene of Object.values(data.scenes)) {
+                // Older releases turned scenes cut off by a reload into errors
+                if (scene.status === 'error' && /^Interrupted\b/.test(scene.lastError || '')) {
+                    scene.status = scene.folded ? 'completed' : 'defined';
+                    scene.lastError = null;
+                    scene.interrupted = true;
+                }
+                if (scene.interrupted === undefined) scene.interrupted = false;
+            }
+            return false;
+        },
+    },
+    {
+        version: 10,
+        description: 'Record failed summarization attempts on scenes',
+        migrate(data) {
+            for (const scene of Object.values(data.scenes)) {
+                if (!Array.isArray(scene.attempts)) scene.attempts = [];
+            }
+            return false;
+        },
+    },
+    {
+        version: 11,
+        description: 'Add draft summaries awaiting review',
+        migrate(data) {
+            for (const scene of Object.values(data.scenes)) {
+                if (scene.draft === undefined) scene.draft = null;
+            }
+            return false;
+        },
+    },
+];
+
+/** Schema version written by this release */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Bring a chat's scene_fold metadata up to SCHEMA_VERSION. Data saved without
+ * a version counts as version 0. Data from a newer release is left untouched.
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @returns {{ from: number, to: number, metadataChanged: boolean, chatChanged: boolean, error: string|null }}
+ */
+export function migrateSceneFoldData(chatMetadata, chat) {
+    const data = chatMetadata.scene_fold;
+    const from = typeof data?.version === 'number' ? data.version : 0;
+    const result = { from, to: from, metadataChanged: false, chatChanged: false, error: null };
+    if (!data) return result;
+
+    if (from > SCHEMA_VERSION) {
+        result.error = `Scene data was saved by a newer version of Scene Fold (schema ${from}, this version reads up to ${SCHEMA_VERSION})`;
+        return result;
+    }
+    if (!data.scenes || typeof data.scenes !== 'object') {
+        data.scenes = {};
+    }
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= from) continue;
+        if (migration.migrate(data, chat)) result.chatChanged = true;
+        data.version = migration.version;
+        result.to = migration.version;
+        result.metadataChanged = true;
+        console.log(`[Scene Fold] Migrated scene data to schema ${migration.version}: ${migration.description}`);
+    }
+    return result;
+}
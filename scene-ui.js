@@ -9,11 +9,26 @@ import {
     getSceneFoldData,
     getScenesInOrder,
     findMessageIndexByUUID,
+    ensureMessageUUID,
     getAutoStartIndex,
     getMessageScenes,
     buildUUIDIndex,
+    isChapter,
+    hasFoldedAncestor,
+    getChatTokenSavings,
+    isSceneStale,
+    getSceneHeight,
+    getSceneMessageUUIDs,
+    getSceneSummaryText,
+    getSceneAncestors,
 } from './scene-data.js';
 
+import { findTemplate } from './prompt-templates.js';
+import { FACT_FIELDS, getSceneFacts, hasFacts } from './structured-summary.js';
+import { describeFailure, describeAttempts } from './retry-policy.js';
+import { diffSentences, summarizeDiff } from './summary-diff.js';
+import { escapeHtml } from '../../../utils.js';
+
 /** @type {boolean} Whether scene selection mode is active */
 let selectionModeActive = false;
 
@@ -32,6 +47,21 @@ let autoStartOverridden = false;
 /** @type {((e: KeyboardEvent) => void)|null} */
 let keyboardHandler = null;
 
+/** @type {Array<{ id: string, startUUID: string, endUUID: string, reasons: string[] }>} Suggested (ghost) scenes */
+let ghostProposals = [];
+
+/** @type {number} Counter for ghost proposal IDs */
+let ghostCounter = 0;
+
+/** @type {Map<string, string>} Text streamed so far for scenes being summarized, kept across re-renders */
+const streamPreviews = new Map();
+
+/** @type {boolean} Whether the queue panel under the toolbar is expanded */
+let queuePanelOpen = false;
+
+/** @type {number|null} Interval updating the elapsed times in the queue panel */
+let queueClock = null;
+
 /**
  * Get the jQuery chat container element.
  * @returns {JQuery}
@@ -99,7 +129,7 @@ function enterSelectionMode(context, settings) {
     }
 
     // Show floating action bar
-    showActionBar();
+    showActionBar(settings);
     updateActionBar();
 
     // Attach keyboard shortcuts for selection mode
@@ -195,25 +225,34 @@ function updateSelectionHighlight() {
 
 /**
  * Show the floating action bar for scene creation.
+ * @param {object} settings - Extension settings (for the template picker)
  */
-function showActionBar() {
+function showActionBar(settings) {
     let bar = $('#scene-fold-action-bar');
     if (bar.length === 0) {
         bar = $(`
             <div id="scene-fold-action-bar" class="scene-fold-action-bar">
                 <span class="scene-fold-action-bar-info"></span>
+                <input type="text" id="scene-fold-title-input"
+                    class="scene-fold-title-input text_pole"
+                    placeholder="Optional: scene title" maxlength="80" />
+                <select id="scene-fold-template-select" class="scene-fold-template-select text_pole"
+                    title="Prompt template to summarize with"></select>
                 <textarea id="scene-fold-custom-prompt"
                     class="scene-fold-custom-prompt"
                     placeholder="Optional: scene-specific summarization guidance..."
                     rows="2"></textarea>
                 <div class="scene-fold-action-bar-buttons">
                     <button id="scene-fold-create-btn" class="menu_button">Create Scene</button>
+                    <button id="scene-fold-create-chapter-btn" class="menu_button" title="Fold the completed scenes in the selection into one chapter summary">Create Chapter</button>
                     <button id="scene-fold-cancel-btn" class="menu_button">Cancel</button>
                 </div>
             </div>
         `);
         $('body').append(bar);
     }
+    // The library may have changed since the bar was last shown
+    bar.find('#scene-fold-template-select').html(buildTemplateOptions(settings, null, 'Prompt: character or global default'));
     bar.show();
 }
 
@@ -228,10 +267,10 @@ function updateActionBar() {
     if (selectionStart !== null && selectionEnd !== null) {
         const count = selectionEnd - selectionStart + 1;
         info.text(`${count} message${count !== 1 ? 's' : ''} selected (${selectionStart} - ${selectionEnd})`);
-        bar.find('#scene-fold-create-btn').prop('disabled', false);
+        bar.find('#scene-fold-create-btn, #scene-fold-create-chapter-btn').prop('disabled', false);
     } else {
         info.text('Click messages to select a scene range');
-        bar.find('#scene-fold-create-btn').prop('disabled', true);
+        bar.find('#scene-fold-create-btn, #scene-fold-create-chapter-btn').prop('disabled', true);
     }
 }
 
@@ -242,8 +281,180 @@ function hideActionBar() {
     $('#scene-fold-action-bar').hide();
 }
 
+// ─── Suggested (Ghost) Scenes ────────────────────────────────────────────────
+
+/**
+ * Replace the current boundary suggestions. Their edges are kept as message
+ * UUIDs, so summary messages inserted or removed before them don't shift them.
+ * @param {object} context
+ * @param {Array<{ start: number, end: number, reasons: string[] }>} proposals
+ */
+export function setGhostProposals(context, proposals) {
+    const { chat, uuidv4 } = context;
+    ghostProposals = proposals.map(p => ({
+        id: `ghost-${++ghostCounter}`,
+        startUUID: ensureMessageUUID(chat[p.start], uuidv4),
+        endUUID: ensureMessageUUID(chat[p.end], uuidv4),
+        reasons: p.reasons,
+    }));
+}
+
+/**
+ * @returns {Array<{ id: string, startUUID: string, endUUID: string, reasons: string[] }>} Current suggestions, in chat order
+ */
+export function getGhostProposals() {
+    return ghostProposals;
+}
+
+/**
+ * Where a suggestion currently sits in the chat.
+ * @param {Array} chat
+ * @param {{ startUUID: string, endUUID: string }} proposal
+ * @param {Map<string, number>} [uuidIndex]
+ * @returns {{ start: number, end: number }|null} Null if an edge message was deleted
+ */
+export function resolveGhostProposal(chat, proposal, uuidIndex = null) {
+    const start = findMessageIndexByUUID(chat, proposal.startUUID, uuidIndex);
+    const end = findMessageIndexByUUID(chat, proposal.endUUID, uuidIndex);
+    return start !== -1 && end >= start ? { start, end } : null;
+}
+
+/**
+ * Drop suggestions whose edge messages were deleted.
+ * @param {Array} chat
+ * @returns {boolean} Whether any were dropped
+ */
+export function pruneGhostProposals(chat) {
+    const uuidIndex = buildUUIDIndex(chat);
+    const before = ghostProposals.length;
+    ghostProposals = ghostProposals.filter(p => resolveGhostProposal(chat, p, uuidIndex));
+    return ghostProposals.length !== before;
+}
+
+/**
+ * Remove a single suggestion (after accepting or rejecting it).
+ * @param {string} ghostId
+ */
+export function removeGhostProposal(ghostId) {
+    ghostProposals = ghostProposals.filter(p => p.id !== ghostId);
+}
+
+/**
+ * Drop all suggestions. Called on chat change and when scenes are redrawn from scratch.
+ */
+export function clearGhostProposals() {
+    ghostProposals = [];
+}
+
+/**
+ * Move one edge of a suggestion by `delta` messages, staying clear of
+ * neighbouring suggestions and messages that already belong to a scene.
+ * @param {object} context
+ * @param {string} ghostId
+ * @param {'start'|'end'} edge
+ * @param {number} delta
+ * @returns {boolean} Whether the suggestion changed
+ */
+export function nudgeGhostProposal(context, ghostId, edge, delta) {
+    const { chat, uuidv4 } = context;
+    const pos = ghostProposals.findIndex(p => p.id === ghostId);
+    if (pos === -1) return false;
+
+    const uuidIndex = buildUUIDIndex(chat);
+    const proposal = resolveGhostProposal(chat, ghostProposals[pos], uuidIndex);
+    if (!proposal) return false;
+    const prev = ghostProposals[pos - 1] && resolveGhostProposal(chat, ghostProposals[pos - 1], uuidIndex);
+    const next = ghostProposals[pos + 1] && resolveGhostProposal(chat, ghostProposals[pos + 1], uuidIndex);
+    const target = proposal[edge] + delta;
+
+    const lowerBound = edge === 'start' ? (prev ? prev.end + 1 : 0) : proposal.start;
+    const upperBound = edge === 'start' ? proposal.end : (next ? next.start - 1 : chat.length - 1);
+    if (target < lowerBound || target > upperBound) return false;
+    if (getMessageScenes(chat, target).length > 0) return false;
+
+    ghostProposals[pos][`${edge}UUID`] = ensureMessageUUID(chat[target], uuidv4);
+    return true;
+}
+
+/**
+ * Draw suggestions as dashed ghost scenes with accept / nudge / reject controls.
+ * @param {object} context
+ */
+function applyGhostVisuals(context) {
+    const chatEl = getChatElement();
+    const uuidIndex = buildUUIDIndex(context.chat);
+
+    for (const ghost of ghostProposals) {
+        const range = resolveGhostProposal(context.chat, ghost, uuidIndex);
+        if (!range) continue;
+        const proposal = { ...ghost, ...range };
+        for (let i = proposal.start; i <= proposal.end; i++) {
+            const msgEl = chatEl.find(`.mes[mesid="${i}"]`);
+            msgEl.addClass('scene-fold-ghost');
+            if (i === proposal.start) msgEl.addClass('scene-fold-ghost-start');
+            if (i === proposal.end) msgEl.addClass('scene-fold-ghost-end');
+        }
+
+        const firstEl = chatEl.find(`.mes[mesid="${proposal.start}"]`);
+        if (!firstEl.length) continue;
+
+        const count = proposal.end - proposal.start + 1;
+        const reasons = proposal.reasons.join(', ');
+        firstEl.find('.mes_block').prepend(`
+            <div class="scene-fold-inline-actions scene-fold-ghost-actions" data-ghost-id="${proposal.id}">
+                <div class="scene-fold-inline-actions-row">
+                    <span class="scene-fold-inline-status" title="Ends before: ${reasons}">
+                        Suggested scene: ${count} message${count !== 1 ? 's' : ''} (${proposal.start}-${proposal.end}) · ${reasons}
+                    </span>
+                    <div class="scene-fold-inline-buttons">
+                        <button class="scene-fold-inline-btn scene-fold-ghost-nudge-btn" data-ghost-id="${proposal.id}" data-edge="start" data-delta="-1" title="Start one message earlier">
+                            <i class="fa-solid fa-arrow-up"></i>
+                        </button>
+                        <button class="scene-fold-inline-btn scene-fold-ghost-nudge-btn" data-ghost-id="${proposal.id}" data-edge="start" data-delta="1" title="Start one message later">
+                            <i class="fa-solid fa-arrow-down"></i>
+                        </button>
+                        <button class="scene-fold-inline-btn scene-fold-ghost-nudge-btn" data-ghost-id="${proposal.id}" data-edge="end" data-delta="-1" title="End one message earlier">
+                            <i class="fa-solid fa-arrow-up-long"></i>
+                        </button>
+                        <button class="scene-fold-inline-btn scene-fold-ghost-nudge-btn" data-ghost-id="${proposal.id}" data-edge="end" data-delta="1" title="End one message later">
+                            <i class="fa-solid fa-arrow-down-long"></i>
+                        </button>
+                        <button class="scene-fold-inline-btn scene-fold-ghost-accept-btn" data-ghost-id="${proposal.id}" title="Create this scene">
+                            <i class="fa-solid fa-check"></i> Accept
+                        </button>
+                        <button class="scene-fold-inline-btn scene-fold-ghost-reject-btn" data-ghost-id="${proposal.id}" title="Dismiss this suggestion">
+                            <i class="fa-solid fa-xmark"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `);
+    }
+}
+
 // ─── Message Action Buttons ──────────────────────────────────────────────────
 
+/**
+ * Build the "Split scene here" button for a message inside a plain scene
+ * (not its first message, not inside a chapter).
+ * @param {object} chatMetadata
+ * @param {Array} chat
+ * @param {number} mesId
+ * @returns {string} Button HTML, or '' if the message can't be a split point
+ */
+function buildSplitButton(chatMetadata, chat, mesId) {
+    const data = getSceneFoldData(chatMetadata);
+    const uuid = chat[mesId]?.extra?.scene_fold_uuid;
+    const scene = getMessageScenes(chat, mesId).map(id => data.scenes[id]).find(s => s && !isChapter(s));
+    if (!scene || scene.parentSceneId || scene.sourceMessageUUIDs[0] === uuid) return '';
+    if (scene.status === 'queued' || scene.status === 'summarizing') return '';
+
+    return `<div class="mes_button scene-fold-mes-btn scene-fold-split-here"
+                  data-mesid="${mesId}" data-scene-id="${scene.id}" title="Split scene: start a new scene at this message">
+                <i class="fa-solid fa-scissors fa-rotate-90"></i>
+            </div>`;
+}
+
 /**
  * Inject Scene Fold buttons into message action button areas.
  * Adds "Scene to here" and "Select scene..." to each message's extraMesButtons.
@@ -280,6 +491,9 @@ export function injectMessageButtons(context) {
             );
         }
 
+        const splitHtml = buildSplitButton(chatMetadata, chat, mesId);
+        if (splitHtml) extraButtons.prepend(splitHtml);
+
         extraButtons.prepend(
             `<div class="mes_button scene-fold-mes-btn scene-fold-enter-selection"
                   data-mesid="${mesId}" title="Start scene selection from here">
@@ -317,6 +531,9 @@ export function injectSingleMessageButtons(context, messageId) {
         );
     }
 
+    const splitHtml = buildSplitButton(chatMetadata, chat, messageId);
+    if (splitHtml) extraButtons.prepend(splitHtml);
+
     extraButtons.prepend(
         `<div class="mes_button scene-fold-mes-btn scene-fold-enter-selection"
               data-mesid="${messageId}" title="Start scene selection from here">
@@ -327,6 +544,249 @@ export function injectSingleMessageButtons(context, messageId) {
 
 // ─── Fold Visualization ─────────────────────────────────────────────────────
 
+/**
+ * Describe what a scene folds: "N messages" for scenes, "N scenes" for chapters.
+ * @param {object} scene
+ * @returns {string}
+ */
+export function describeSceneSize(scene) {
+    const count = isChapter(scene) ? scene.childSceneIds.length : scene.sourceMessageUUIDs.length;
+    const noun = isChapter(scene) ? 'scene' : 'message';
+    return `${count} ${noun}${count !== 1 ? 's' : ''}`;
+}
+
+/**
+ * A scene's name for lists: its title, or "Scene at message N" without one.
+ * @param {object} scene
+ * @param {number} index - Chat index of its first message, -1 if unknown
+ * @returns {string} Plain text
+ */
+function getSceneDisplayName(scene, index) {
+    if (scene.title) return scene.title;
+    return `${isChapter(scene) ? 'Chapter' : 'Scene'}${index >= 0 ? ` at message ${index}` : ''}`;
+}
+
+/**
+ * Format a token count compactly: 950, 1.2k, 34k.
+ * @param {number} tokens
+ * @returns {string}
+ */
+export function formatTokens(tokens) {
+    if (tokens < 1000) return String(tokens);
+    if (tokens < 10000) return `${(tokens / 1000).toFixed(1)}k`;
+    return `${Math.round(tokens / 1000)}k`;
+}
+
+/**
+ * Describe a completed scene's compression, e.g. "1.2k → 180 tok (15%)".
+ * @param {object} scene
+ * @returns {string|null} Null if the scene hasn't been measured
+ */
+export function describeCompression(scene) {
+    if (typeof scene.sourceTokens !== 'number' || typeof scene.summaryTokens !== 'number') return null;
+    const ratio = scene.sourceTokens > 0 ? Math.round(scene.summaryTokens / scene.sourceTokens * 100) : 100;
+    return `${formatTokens(scene.sourceTokens)} → ${formatTokens(scene.summaryTokens)} tok (${ratio}%)`;
+}
+
+/**
+ * Explain why a scene is stale, listing the source messages edited since
+ * summarization by their current chat index.
+ * @param {Array} chat
+ * @param {object} scene
+ * @returns {string}
+ */
+export function describeStaleness(chat, scene) {
+    const reasons = [];
+    const changed = scene.changedMessageUUIDs || [];
+    if (changed.length > 0) {
+        const uuidIndex = buildUUIDIndex(chat);
+        const labels = changed
+            .map(uuid => findMessageIndexByUUID(chat, uuid, uuidIndex))
+            .filter(idx => idx !== -1)
+            .map(idx => `#${idx}`);
+        reasons.push(`Edited since summarization: message${labels.length === 1 ? '' : 's'} ${labels.join(', ')}.`);
+    }
+    if (scene.stale) {
+        reasons.push('Scene boundaries or source messages changed since summarization.');
+    }
+    return `${reasons.join(' ')} Consider re-summarizing.`;
+}
+
+/**
+ * Name the prompt template behind a scene: for a completed scene, the one that
+ * produced the summary shown; otherwise the one chosen for it.
+ * @param {object} settings - Extension settings
+ * @param {object} scene
+ * @returns {string|null} Null if the scene uses the default prompt or the template is unknown
+ */
+export function describeSceneTemplate(settings, scene) {
+    if (scene.status === 'completed') {
+        const versions = scene.summaryVersions || [];
+        return versions[scene.activeVersion ?? versions.length - 1]?.template?.name ?? null;
+    }
+    return findTemplate(settings || {}, scene.templateId)?.name ?? null;
+}
+
+/**
+ * Format one fact for display.
+ * @param {string} key - FACT_FIELDS key
+ * @param {any} fact
+ * @returns {string} HTML
+ */
+function formatFact(key, fact) {
+    switch (key) {
+        case 'items': {
+            const holder = fact.holder ? ` (${escapeHtml(fact.holder)})` : '';
+            return `${escapeHtml(fact.name)} — ${fact.change === 'lost' ? 'lost' : 'gained'}${holder}`;
+        }
+        case 'relationships':
+            return `${escapeHtml(fact.characters.join(' & ') || '?')}: ${escapeHtml(fact.change)}`;
+        case 'characters':
+        case 'locations':
+            // Aggregated entries carry a scene count
+            return typeof fact === 'string'
+                ? escapeHtml(fact)
+                : `${escapeHtml(fact.name)} <span class="scene-fold-facts-count">×${fact.scenes}</span>`;
+        default:
+            return escapeHtml(fact);
+    }
+}
+
+/**
+ * Render fact lists, skipping empty ones.
+ * @param {object} facts - Keyed by FACT_FIELDS
+ * @param {object} [labels] - Label overrides by key
+ * @returns {string} HTML
+ */
+function renderFactLists(facts, labels = {}) {
+    return FACT_FIELDS
+        .filter(({ key }) => facts[key]?.length > 0)
+        .map(({ key, label }) => `
+            <div class="scene-fold-facts-group">
+                <b>${labels[key] || label}</b>
+                <ul>${facts[key].map(fact => `<li>${formatFact(key, fact)}</li>`).join('')}</ul>
+            </div>
+        `).join('');
+}
+
+/**
+ * Collapsible block showing the facts extracted with a scene's summary.
+ * @param {object} scene
+ * @returns {string} HTML, empty if the active summary has no facts
+ */
+function buildFactsBlock(scene) {
+    const facts = getSceneFacts(scene);
+    if (!hasFacts(facts)) return '';
+    return `
+        <details class="scene-fold-facts" data-scene-id="${scene.id}">
+            <summary><i class="fa-solid fa-list-check"></i> Facts</summary>
+            ${renderFactLists(facts)}
+        </details>
+    `;
+}
+
+/**
+ * Chat-level facts view, from aggregateFacts.
+ * @param {object} aggregate
+ * @returns {string} HTML
+ */
+export function buildFactsViewHtml(aggregate) {
+    if (aggregate.scenes === 0) {
+        return '<div class="scene-fold-facts-view"><i>No scene in this chat has extracted facts yet. Turn on structured summaries and summarize a scene.</i></div>';
+    }
+    return `
+        <div class="scene-fold-facts-view">
+            <h3>Facts from ${aggregate.scenes} scene${aggregate.scenes !== 1 ? 's' : ''}</h3>
+            ${renderFactLists(aggregate, { items: 'Items (latest change)', openThreads: 'Open threads (latest scene)' })}
+        </div>
+    `;
+}
+
+/**
+ * Preview of a lorebook sync, shown before anything is written.
+ * @param {{ world: string, create: Array, update: Array, remove: Array }} plan - From planLoreSync
+ * @returns {string} HTML
+ */
+export function buildLorePreviewHtml(plan) {
+    const section = (title, entries, describe) => entries.length === 0 ? '' : `
+        <div class="scene-fold-facts-group">
+            <b>${title} (${entries.length})</b>
+            <ul>${entries.map(entry => `<li>${describe(entry)}</li>`).join('')}</ul>
+        </div>
+    `;
+    const describeEntry = entry => `
+        <b>${escapeHtml(entry.name)}</b> <small>${escapeHtml(entry.type)} · keys: ${escapeHtml(entry.keys.join(', '))}</small>
+        <div class="scene-fold-lore-content">${escapeHtml(entry.content)}</div>
+    `;
+    return `
+        <div class="scene-fold-facts-view">
+            <h3>Lorebook changes in “${escapeHtml(plan.world)}”</h3>
+            ${section('New entries', plan.create, describeEntry)}
+            ${section('Updated entries', plan.update, describeEntry)}
+            ${section('Removed entries', plan.remove, entry => escapeHtml(entry.name || `Entry #${entry.uid}`))}
+        </div>
+    `;
+}
+
+/**
+ * Side-by-side comparison of a scene's previous summary with its regenerated
+ * one: removed sentences are marked on the left, added ones on the right.
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {object} [labels]
+ * @param {string} [labels.old] - Heading of the previous summary
+ * @param {string} [labels.new] - Heading of the regenerated summary
+ * @returns {string} HTML
+ */
+export function buildSummaryDiffHtml(oldText, newText, labels = {}) {
+    const ops = diffSentences(oldText, newText);
+    const counts = summarizeDiff(ops);
+    const column = (hidden, changed) => ops
+        .filter(op => op.type !== hidden)
+        .map(op => op.type === changed
+            ? `<mark class="scene-fold-diff-${changed}">${escapeHtml(op.text)}</mark>`
+            : `<span>${escapeHtml(op.text)}</span>`)
+        .join(' ');
+
+    return `
+        <div class="scene-fold-diff">
+            <h3>Re-summarized scene</h3>
+            <p><small>${counts.removed} sentence${counts.removed !== 1 ? 's' : ''} removed, ${counts.added} added, ${counts.same} unchanged</small></p>
+            <div class="scene-fold-diff-columns">
+                <div class="scene-fold-diff-column">
+                    <b>${escapeHtml(labels.old || 'Previous summary')}</b>
+                    <div class="scene-fold-diff-text">${column('added', 'removed')}</div>
+                </div>
+                <div class="scene-fold-diff-column">
+                    <b>${escapeHtml(labels.new || 'New summary')}</b>
+                    <div class="scene-fold-diff-text">${column('removed', 'added')}</div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Option tags for a prompt template picker.
+ * @param {object} settings - Extension settings
+ * @param {string|null} selectedId
+ * @param {string} emptyLabel - Label of the "no template" option
+ * @returns {string} HTML
+ */
+export function buildTemplateOptions(settings, selectedId, emptyLabel) {
+    const templates = settings?.promptTemplates || [];
+    const options = [`<option value="">${escapeHtml(emptyLabel)}</option>`];
+    for (const template of templates) {
+        const selected = template.id === selectedId ? ' selected' : '';
+        options.push(`<option value="${escapeHtml(template.id)}"${selected}>${escapeHtml(template.name)}</option>`);
+    }
+    // Keep a deleted template visible rather than silently showing the default
+    if (selectedId && !templates.some(t => t.id === selectedId)) {
+        options.push(`<option value="${escapeHtml(selectedId)}" selected>(deleted template)</option>`);
+    }
+    return options.join('');
+}
+
 /**
  * Apply fold visuals to all scenes in the current chat.
  * Called on CHAT_CHANGED and after summarization completes.
@@ -339,14 +799,16 @@ export function applyAllFoldVisuals(context) {
     const debugOverlay = !!context.extensionSettings?.scene_fold?.debugOverlay;
 
     // Clear all existing fold visuals
-    chatEl.find('.mes').removeClass('scene-fold-source scene-fold-hidden scene-fold-summary');
+    chatEl.find('.mes').removeClass('scene-fold-source scene-fold-hidden scene-fold-summary scene-fold-ghost scene-fold-ghost-start scene-fold-ghost-end');
     chatEl.find('.scene-fold-toggle').remove();
     chatEl.find('.scene-fold-badge').remove();
     chatEl.find('.scene-fold-scene-border').remove();
     chatEl.find('.scene-fold-collapse-tail').remove();
     chatEl.find('.scene-fold-status-badge').remove();
     chatEl.find('.scene-fold-inline-actions').remove();
+    chatEl.find('.scene-fold-facts').remove();
     chatEl.find('.scene-fold-debug').remove();
+    chatEl.find('.scene-fold-injected-summary').remove();
 
     const uuidIndex = buildUUIDIndex(chat);
 
@@ -354,6 +816,8 @@ export function applyAllFoldVisuals(context) {
         applySceneFoldVisuals(context, scene, uuidIndex);
     }
 
+    applyGhostVisuals(context);
+
     // Debug overlay pass — show mesid on every message, extra scene metadata when present
     if (debugOverlay) {
         chatEl.find('.mes').each(function () {
@@ -389,13 +853,16 @@ export function applyAllFoldVisuals(context) {
  * @param {Map<string, number>} [uuidIndex]
  */
 export function applySceneFoldVisuals(context, scene, uuidIndex) {
-    const { chat } = context;
+    const { chat, chatMetadata } = context;
     const chatEl = getChatElement();
 
     if (!uuidIndex) {
         uuidIndex = buildUUIDIndex(chat);
     }
 
+    // Messages of a scene inside a folded chapter stay hidden even if the scene itself is expanded
+    const hiddenByAncestor = hasFoldedAncestor(chatMetadata, scene);
+
     // Mark source messages
     const lastSourceUUID = scene.sourceMessageUUIDs[scene.sourceMessageUUIDs.length - 1];
     for (const uuid of scene.sourceMessageUUIDs) {
@@ -405,7 +872,7 @@ export function applySceneFoldVisuals(context, scene, uuidIndex) {
         const msgEl = chatEl.find(`.mes[mesid="${idx}"]`);
         msgEl.addClass('scene-fold-source');
 
-        if (scene.folded && scene.status === 'completed') {
+        if ((scene.folded && scene.status === 'completed') || hiddenByAncestor) {
             msgEl.addClass('scene-fold-hidden');
         }
 
@@ -417,11 +884,10 @@ export function applySceneFoldVisuals(context, scene, uuidIndex) {
         // Add collapse control on the last source message of completed, expanded scenes
         if (uuid === lastSourceUUID && scene.status === 'completed' && !scene.folded) {
             if (!msgEl.find('.scene-fold-collapse-tail').length) {
-                const count = scene.sourceMessageUUIDs.length;
                 msgEl.find('.mes_text').after(`
                     <div class="scene-fold-collapse-tail" data-scene-id="${scene.id}">
                         <span class="scene-fold-toggle-icon fa-solid fa-chevron-up"></span>
-                        <span>Collapse ${count} message${count !== 1 ? 's' : ''}</span>
+                        <span>Collapse ${describeSceneSize(scene)}</span>
                     </div>
                 `);
             }
@@ -429,28 +895,71 @@ export function applySceneFoldVisuals(context, scene, uuidIndex) {
     }
 
     // Build the shared prompt editor HTML for any scene state
+    const settings = context.extensionSettings?.scene_fold;
     const promptValue = (scene.customPrompt || '').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    const usedTemplate = scene.status === 'completed' ? describeSceneTemplate(settings, scene) : null;
     const promptEditorHtml = `
         <div class="scene-fold-prompt-editor" data-scene-id="${scene.id}">
+            <select class="scene-fold-scene-template-select text_pole" data-scene-id="${scene.id}" title="Prompt template to summarize with">
+                ${buildTemplateOptions(settings, scene.templateId, 'Character or global default')}
+            </select>
+            ${usedTemplate ? `<small class="scene-fold-template-used">Current summary: ${escapeHtml(usedTemplate)}</small>` : ''}
             <textarea class="scene-fold-prompt-textarea" data-scene-id="${scene.id}"
                 placeholder="Extra guidance for this scene (appended to the default prompt)..."
                 rows="2">${scene.customPrompt || ''}</textarea>
         </div>
     `;
 
-    // Mark and enhance summary message
-    if (scene.summaryMessageUUID && scene.status === 'completed') {
-        const summaryIdx = findMessageIndexByUUID(chat, scene.summaryMessageUUID, uuidIndex);
-        if (summaryIdx === -1) return;
+    // Boundary editor: plain top-level scenes only (chapters follow their children)
+    const canEditBounds = !isChapter(scene) && !scene.parentSceneId
+        && scene.status !== 'queued' && scene.status !== 'summarizing';
+    const boundsButtonHtml = canEditBounds ? `
+        <button class="scene-fold-inline-btn scene-fold-edit-bounds-btn" data-scene-id="${scene.id}" title="Edit scene boundaries">
+            <i class="fa-solid fa-arrows-up-down"></i>
+        </button>
+    ` : '';
+    const boundsEditorHtml = canEditBounds ? `
+        <div class="scene-fold-bounds-editor" data-scene-id="${scene.id}">
+            <span class="scene-fold-bounds-label">Start</span>
+            <button class="scene-fold-inline-btn scene-fold-bounds-btn" data-scene-id="${scene.id}" data-edge="start" data-delta="1" title="Extend: start one message earlier">
+                <i class="fa-solid fa-arrow-up"></i>
+            </button>
+            <button class="scene-fold-inline-btn scene-fold-bounds-btn" data-scene-id="${scene.id}" data-edge="start" data-delta="-1" title="Shrink: start one message later">
+                <i class="fa-solid fa-arrow-down"></i>
+            </button>
+            <span class="scene-fold-bounds-label">End</span>
+            <button class="scene-fold-inline-btn scene-fold-bounds-btn" data-scene-id="${scene.id}" data-edge="end" data-delta="-1" title="Shrink: end one message earlier">
+                <i class="fa-solid fa-arrow-up"></i>
+            </button>
+            <button class="scene-fold-inline-btn scene-fold-bounds-btn" data-scene-id="${scene.id}" data-edge="end" data-delta="1" title="Extend: end one message later">
+                <i class="fa-solid fa-arrow-down"></i>
+            </button>
+            <button class="scene-fold-inline-btn scene-fold-merge-next-btn" data-scene-id="${scene.id}" title="Merge with the next scene">
+                <i class="fa-solid fa-object-ungroup"></i> Merge next
+            </button>
+        </div>
+    ` : '';
+
+    // Mark and enhance summary message (or the stand-in card of an injected summary)
+    if ((scene.summaryMessageUUID || scene.injected) && scene.status === 'completed') {
+        let summaryEl;
+        if (scene.injected) {
+            summaryEl = insertInjectedSummaryCard(context, scene, uuidIndex);
+            if (!summaryEl) return;
+        } else {
+            const summaryIdx = findMessageIndexByUUID(chat, scene.summaryMessageUUID, uuidIndex);
+            if (summaryIdx === -1) return;
+            summaryEl = chatEl.find(`.mes[mesid="${summaryIdx}"]`);
+        }
 
-        const summaryEl = chatEl.find(`.mes[mesid="${summaryIdx}"]`);
         summaryEl.addClass('scene-fold-summary');
+        if (isChapter(scene)) summaryEl.addClass('scene-fold-chapter-summary');
+        if (hiddenByAncestor) summaryEl.addClass('scene-fold-hidden');
 
-        const count = scene.sourceMessageUUIDs.length;
-
-        // Count source messages that are visible to the LLM (is_system !== true)
+        // Count source messages that are visible to the LLM (is_system !== true).
+        // Injected scenes leave is_system alone and drop their sources at prompt time.
         let visibleCount = 0;
-        for (const uuid of scene.sourceMessageUUIDs) {
+        for (const uuid of scene.injected ? [] : scene.sourceMessageUUIDs) {
             const idx = findMessageIndexByUUID(chat, uuid, uuidIndex);
             if (idx !== -1 && !chat[idx].is_system) visibleCount++;
         }
@@ -460,24 +969,61 @@ export function applySceneFoldVisuals(context, scene, uuidIndex) {
             </span>
         ` : '';
 
-        const staleHtml = scene.stale ? `
-            <span class="scene-fold-stale-badge" title="Source messages modified since summarization. Consider re-summarizing.">
-                <i class="fa-solid fa-triangle-exclamation"></i> Stale
+        const compression = describeCompression(scene);
+        const tokensHtml = compression ? `
+            <span class="scene-fold-token-badge" title="Prompt tokens: ${scene.sourceTokens} in the folded ${isChapter(scene) ? 'scene summaries' : 'messages'}, ${scene.summaryTokens} in the summary. Saves ${Math.max(0, scene.sourceTokens - scene.summaryTokens)} tokens.">
+                <i class="fa-solid fa-compress"></i> ${compression}
+            </span>
+        ` : '';
+
+        const versionCount = scene.summaryVersions?.length || 0;
+        const activeVersion = (scene.activeVersion ?? versionCount - 1) + 1;
+        const versionsHtml = versionCount > 1 ? `
+            <div class="scene-fold-version-nav" title="Summary versions">
+                <button class="scene-fold-inline-btn scene-fold-version-btn" data-scene-id="${scene.id}" data-delta="-1" title="Previous summary version" ${activeVersion <= 1 ? 'disabled' : ''}>
+                    <i class="fa-solid fa-chevron-left"></i>
+                </button>
+                <span class="scene-fold-version-label">${activeVersion}/${versionCount}</span>
+                <button class="scene-fold-inline-btn scene-fold-version-btn" data-scene-id="${scene.id}" data-delta="1" title="Next summary version" ${activeVersion >= versionCount ? 'disabled' : ''}>
+                    <i class="fa-solid fa-chevron-right"></i>
+                </button>
+            </div>
+        ` : '';
+
+        const autoHtml = scene.auto ? `
+            <span class="scene-fold-auto-badge" title="Created automatically: the unsummarized messages exceeded the auto-summarize budget">
+                <i class="fa-solid fa-robot"></i> Auto
+            </span>
+        ` : '';
+
+        const titleHtml = scene.title
+            ? `<span class="scene-fold-title" title="Scene title">${escapeHtml(scene.title)}</span>`
+            : '';
+
+        const changedCount = scene.changedMessageUUIDs?.length || 0;
+        const staleHtml = isSceneStale(scene) ? `
+            <span class="scene-fold-stale-badge" title="${describeStaleness(chat, scene)}">
+                <i class="fa-solid fa-triangle-exclamation"></i> Stale${changedCount > 0 ? ` (${changedCount} edited)` : ''}
             </span>
         ` : '';
         const toggleHtml = `
             <div class="scene-fold-inline-actions" data-scene-id="${scene.id}">
                 <div class="scene-fold-inline-actions-row">
                     <div class="scene-fold-toggle" data-scene-id="${scene.id}">
+                        ${titleHtml}
                         <span class="scene-fold-toggle-icon fa-solid ${scene.folded ? 'fa-chevron-right' : 'fa-chevron-down'}"></span>
-                        <span class="scene-fold-badge">${count} message${count !== 1 ? 's' : ''} ${scene.folded ? 'folded' : 'expanded'}</span>
+                        <span class="scene-fold-badge">${describeSceneSize(scene)} ${scene.folded ? 'folded' : 'expanded'}</span>
                         ${visibleHtml}
                     </div>
+                    ${tokensHtml}
+                    ${autoHtml}
                     ${staleHtml}
+                    ${versionsHtml}
                     <div class="scene-fold-inline-buttons">
                         <button class="scene-fold-inline-btn scene-fold-edit-prompt-btn" data-scene-id="${scene.id}" title="Edit scene prompt">
                             <i class="fa-solid fa-pen"></i>
                         </button>
+                        ${boundsButtonHtml}
                         <button class="scene-fold-inline-btn scene-fold-undo-btn" data-scene-id="${scene.id}" title="Undo summarization (restore original messages)">
                             <i class="fa-solid fa-up-down"></i>
                         </button>
@@ -490,9 +1036,15 @@ export function applySceneFoldVisuals(context, scene, uuidIndex) {
                     </div>
                 </div>
                 ${promptEditorHtml}
+                ${boundsEditorHtml}
             </div>
         `;
-        summaryEl.find('.mes_text').after(toggleHtml);
+        const factsHtml = buildFactsBlock(scene);
+        if (scene.injected) {
+            summaryEl.append(factsHtml + toggleHtml);
+        } else {
+            summaryEl.find('.mes_text').after(factsHtml + toggleHtml);
+        }
     }
 
     // Inline controls for scenes that haven't been summarized yet
@@ -501,33 +1053,48 @@ export function applySceneFoldVisuals(context, scene, uuidIndex) {
         if (firstIdx === -1) return;
 
         const firstEl = chatEl.find(`.mes[mesid="${firstIdx}"]`);
-        const count = scene.sourceMessageUUIDs.length;
 
         let statusText, statusClass;
-        if (scene.status === 'defined') {
-            statusText = `Scene: ${count} message${count !== 1 ? 's' : ''}`;
+        let statusTitle = '';
+        if (scene.status === 'defined' && scene.interrupted) {
+            statusText = `Interrupted: ${describeSceneSize(scene)}`;
+            statusClass = 'scene-fold-status-interrupted';
+        } else if (scene.status === 'defined') {
+            statusText = `${isChapter(scene) ? 'Chapter' : 'Scene'}: ${describeSceneSize(scene)}`;
             statusClass = '';
         } else if (scene.status === 'queued') {
             statusText = 'Queued...';
             statusClass = 'scene-fold-status-queued';
         } else if (scene.status === 'summarizing') {
-            statusText = 'Summarizing...';
+            statusText = scene.auto ? 'Auto-summarizing...' : 'Summarizing...';
             statusClass = 'scene-fold-status-active';
         } else {
-            statusText = `Error: ${scene.lastError || 'unknown'}`;
+            // Say what kind of failure it was and how many tries it took; the tooltip has each attempt
+            const attempts = scene.attempts || [];
+            const lastAttempt = attempts[attempts.length - 1];
+            const kind = lastAttempt
+                ? ` (${describeFailure(lastAttempt)}${attempts.length > 1 ? `, ${attempts.length} attempts` : ''})`
+                : '';
+            statusText = `Error${kind}: ${escapeHtml(scene.lastError || 'unknown')}`;
+            statusTitle = attempts.length ? describeAttempts(attempts) : (scene.lastError || '');
             statusClass = 'scene-fold-status-error';
         }
 
         const canSummarize = scene.status === 'defined' || scene.status === 'error';
         const canCancel = scene.status === 'queued' || scene.status === 'summarizing';
+        const previewHtml = scene.status === 'summarizing' && streamPreviews.has(scene.id)
+            ? `<div class="scene-fold-stream-preview">${escapeHtml(streamPreviews.get(scene.id))}</div>`
+            : '';
         const actionsHtml = `
             <div class="scene-fold-inline-actions ${statusClass}" data-scene-id="${scene.id}">
                 <div class="scene-fold-inline-actions-row">
-                    <span class="scene-fold-inline-status">${statusText}</span>
+                    ${scene.title ? `<span class="scene-fold-title" title="Scene title">${escapeHtml(scene.title)}</span>` : ''}
+                    <span class="scene-fold-inline-status" title="${escapeHtml(statusTitle)}">${statusText}</span>
                     <div class="scene-fold-inline-buttons">
                         <button class="scene-fold-inline-btn scene-fold-edit-prompt-btn" data-scene-id="${scene.id}" title="Edit scene prompt">
                             <i class="fa-solid fa-pen"></i>
                         </button>
+                        ${boundsButtonHtml}
                         ${canSummarize ? `
                             <button class="scene-fold-inline-btn scene-fold-summarize-btn" data-scene-id="${scene.id}" title="Summarize this scene">
                                 <i class="fa-solid fa-wand-magic-sparkles"></i> Summarize
@@ -543,13 +1110,116 @@ export function applySceneFoldVisuals(context, scene, uuidIndex) {
                         </button>
                     </div>
                 </div>
+                ${previewHtml}
                 ${promptEditorHtml}
+                ${boundsEditorHtml}
             </div>
         `;
         firstEl.find('.mes_block').prepend(actionsHtml);
+        firstEl.find('.scene-fold-stream-preview').scrollTop(Number.MAX_SAFE_INTEGER);
+    }
+
+    // A drafted summary waiting for review: the sources stay in the prompt until it's accepted
+    if (scene.status === 'review' && scene.draft) {
+        const firstIdx = findMessageIndexByUUID(chat, scene.sourceMessageUUIDs[0], uuidIndex);
+        if (firstIdx === -1) return;
+
+        const templateNote = scene.draft.template ? ` · ${escapeHtml(scene.draft.template.name)}` : '';
+        const reviewHtml = `
+            <div class="scene-fold-inline-actions scene-fold-status-review" data-scene-id="${scene.id}">
+                <div class="scene-fold-inline-actions-row">
+                    ${scene.title ? `<span class="scene-fold-title" title="Scene title">${escapeHtml(scene.title)}</span>` : ''}
+                    <span class="scene-fold-inline-status">Draft for review: ${describeSceneSize(scene)}${templateNote}</span>
+                    <div class="scene-fold-inline-buttons">
+                        <button class="scene-fold-inline-btn scene-fold-draft-accept-btn" data-scene-id="${scene.id}" title="Fold the scene with this summary">
+                            <i class="fa-solid fa-check"></i> Accept
+                        </button>
+                        <button class="scene-fold-inline-btn scene-fold-draft-regenerate-btn" data-scene-id="${scene.id}" title="Discard this draft and summarize again">
+                            <i class="fa-solid fa-rotate-right"></i>
+                        </button>
+                        <button class="scene-fold-inline-btn scene-fold-draft-discard-btn" data-scene-id="${scene.id}" title="Discard this draft">
+                            <i class="fa-solid fa-xmark"></i>
+                        </button>
+                    </div>
+                </div>
+                <textarea class="text_pole scene-fold-draft-text" data-scene-id="${scene.id}" rows="5">${escapeHtml(scene.draft.text)}</textarea>
+            </div>
+        `;
+        chatEl.find(`.mes[mesid="${firstIdx}"] .mes_block`).prepend(reviewHtml);
     }
 }
 
+/**
+ * Content for the batch review popup: every draft with an editable text and
+ * an accept checkbox, in chat order.
+ * @param {object} context
+ * @param {Array<object>} scenes - Scenes in review
+ * @returns {string} HTML
+ */
+export function buildDraftReviewHtml(context, scenes) {
+    const uuidIndex = buildUUIDIndex(context.chat);
+    const items = scenes.map(scene => {
+        const firstIdx = findMessageIndexByUUID(context.chat, scene.sourceMessageUUIDs[0], uuidIndex);
+        const name = escapeHtml(getSceneDisplayName(scene, firstIdx));
+        return `
+            <div class="scene-fold-review-item">
+                <label class="checkbox_label">
+                    <input type="checkbox" class="scene-fold-review-accept" data-scene-id="${scene.id}" checked />
+                    <b>${name}</b> <small>· ${describeSceneSize(scene)}</small>
+                </label>
+                <textarea class="text_pole scene-fold-draft-text" data-scene-id="${scene.id}" rows="4">${escapeHtml(scene.draft.text)}</textarea>
+            </div>
+        `;
+    });
+    return `
+        <div class="scene-fold-review">
+            <h3>Review ${scenes.length} draft summar${scenes.length !== 1 ? 'ies' : 'y'}</h3>
+            <p>Edit as needed. Checked drafts are folded; the rest stay in review.</p>
+            ${items.join('')}
+        </div>
+    `;
+}
+
+/**
+ * Render the card that stands in for the summary message of a scene folded by
+ * prompt injection, just above the first message it covers.
+ * @param {object} context
+ * @param {object} scene - A completed, injected scene
+ * @param {Map<string, number>} uuidIndex
+ * @returns {JQuery|null} The card, or null if the covered messages aren't rendered
+ */
+function insertInjectedSummaryCard(context, scene, uuidIndex) {
+    const { chat, chatMetadata } = context;
+
+    // A chapter starts at its first child summary message or first covered message
+    const positions = [...scene.sourceMessageUUIDs, ...getSceneMessageUUIDs(chatMetadata, scene)]
+        .map(uuid => findMessageIndexByUUID(chat, uuid, uuidIndex))
+        .filter(idx => idx !== -1);
+    if (positions.length === 0) return null;
+
+    const anchor = getChatElement().find(`.mes[mesid="${Math.min(...positions)}"]`);
+    if (!anchor.length) return null;
+
+    const height = getSceneHeight(chatMetadata, scene);
+    const text = getSceneSummaryText(chat, scene) || '';
+    const card = $(`
+        <div class="scene-fold-injected-summary" data-scene-id="${scene.id}" data-height="${height}">
+            <div class="scene-fold-injected-name" title="Kept out of the chat and injected into the prompt in place of the folded messages">
+                <i class="fa-solid fa-syringe"></i> ${isChapter(scene) ? 'Chapter Summary' : 'Scene Summary'}
+            </div>
+            <div class="scene-fold-injected-text">${escapeHtml(text)}</div>
+        </div>
+    `);
+
+    // Enclosing chapters' cards go first: step back over cards of scenes nested in this one
+    let before = anchor;
+    while (before.prev().is('.scene-fold-injected-summary') && Number(before.prev().attr('data-height')) < height) {
+        before = before.prev();
+    }
+    card.insertBefore(before);
+    return card;
+}
+
 /**
  * Toggle a scene's fold state (expand/collapse source messages).
  * @param {object} context
@@ -567,6 +1237,35 @@ export function toggleFold(context, sceneId) {
     applyAllFoldVisuals(context);
 }
 
+/**
+ * Show the text streamed so far in a summarizing scene's inline actions.
+ * @param {string} sceneId
+ * @param {string} text
+ */
+export function updateStreamPreview(sceneId, text) {
+    streamPreviews.set(sceneId, text);
+
+    const actions = getChatElement().find(`.scene-fold-inline-actions[data-scene-id="${sceneId}"]`);
+    if (actions.length === 0) return;
+    let preview = actions.find('.scene-fold-stream-preview');
+    if (preview.length === 0) {
+        preview = $('<div class="scene-fold-stream-preview"></div>');
+        actions.find('.scene-fold-inline-actions-row').after(preview);
+    }
+    preview.text(text);
+    // Follow the newest text
+    preview.scrollTop(preview.prop('scrollHeight'));
+}
+
+/**
+ * Drop a scene's streamed text once its summarization ends.
+ * @param {string} sceneId
+ */
+export function clearStreamPreview(sceneId) {
+    streamPreviews.delete(sceneId);
+    getChatElement().find(`.scene-fold-inline-actions[data-scene-id="${sceneId}"] .scene-fold-stream-preview`).remove();
+}
+
 // ─── Chat Toolbar ───────────────────────────────────────────────────────────
 
 /**
@@ -577,18 +1276,34 @@ export function toggleFold(context, sceneId) {
  */
 export function updateToolbar(context, queue) {
     const { chat, chatMetadata } = context;
+    const data = getSceneFoldData(chatMetadata);
 
     // Ensure toolbar element exists
     let toolbar = $('#scene-fold-toolbar');
     if (toolbar.length === 0) {
         toolbar = $(`
             <div id="scene-fold-toolbar" class="scene-fold-toolbar" style="display:none">
+                <span class="scene-fold-toolbar-auto" style="display:none">
+                    <i class="fa-solid fa-robot"></i> Auto
+                </span>
                 <div class="scene-fold-toolbar-idle">
                     <span class="scene-fold-toolbar-info"></span>
                     <div class="scene-fold-toolbar-buttons">
                         <button class="scene-fold-toolbar-btn scene-fold-toolbar-select-mode" title="Enter scene selection mode">
                             <i class="fa-solid fa-object-group"></i> Select Scene
                         </button>
+                        <button class="scene-fold-toolbar-btn scene-fold-toolbar-suggest" title="Suggest scene boundaries for unsummarized messages">
+                            <i class="fa-solid fa-lightbulb"></i> Suggest
+                        </button>
+                        <button class="scene-fold-toolbar-btn scene-fold-toolbar-accept-ghosts" title="Create every suggested scene">
+                            <i class="fa-solid fa-check-double"></i> Accept All
+                        </button>
+                        <button class="scene-fold-toolbar-btn scene-fold-toolbar-reject-ghosts" title="Dismiss every suggested scene">
+                            <i class="fa-solid fa-xmark"></i> Dismiss
+                        </button>
+                        <button class="scene-fold-toolbar-btn scene-fold-toolbar-review" title="Review drafted summaries before they fold">
+                            <i class="fa-solid fa-clipboard-check"></i> <span class="scene-fold-toolbar-review-label">Review</span>
+                        </button>
                         <button class="scene-fold-toolbar-btn scene-fold-toolbar-summarize-all" title="Summarize all pending scenes">
                             <i class="fa-solid fa-wand-magic-sparkles"></i> Summarize All
                         </button>
@@ -599,10 +1314,15 @@ export function updateToolbar(context, queue) {
                     <div class="scene-fold-progress-bar">
                         <div class="scene-fold-progress-fill"></div>
                     </div>
+                    <button class="scene-fold-toolbar-btn scene-fold-queue-toggle" title="Show the queue">
+                        <i class="fa-solid fa-list-ol"></i> Queue
+                    </button>
+                    <button class="scene-fold-toolbar-btn scene-fold-queue-pause"></button>
                     <button class="scene-fold-toolbar-btn scene-fold-cancel-all" title="Cancel all queued summarizations">
                         <i class="fa-solid fa-stop"></i> Cancel All
                     </button>
                 </div>
+                <div class="scene-fold-queue-panel" style="display:none"></div>
             </div>
         `);
         getChatElement().prepend(toolbar);
@@ -614,16 +1334,36 @@ export function updateToolbar(context, queue) {
     }
 
     const scenes = getScenesInOrder(chatMetadata, chat);
-    const isProcessing = queue?.isProcessing;
+    // A paused queue with scenes waiting still shows its progress and controls
+    const isProcessing = queue?.isProcessing || (queue?.isPaused && queue.items.length > 0);
+
+    // Auto-summarize indicator, so it's clear why a summary appeared on its own
+    const settings = context.extensionSettings?.scene_fold;
+    const autoIndicator = toolbar.find('.scene-fold-toolbar-auto');
+    if (settings?.autoSummarize) {
+        const limits = [];
+        if (settings.autoTokenBudget > 0) limits.push(`${settings.autoTokenBudget} tokens`);
+        if (settings.autoMessageBudget > 0) limits.push(`${settings.autoMessageBudget} messages`);
+        const autoActive = (queue?.activeSceneIds ?? []).some(id => data.scenes[id]?.auto);
+        autoIndicator
+            .toggleClass('scene-fold-toolbar-auto-active', autoActive)
+            .attr('title', `Auto-summarize is on: unsummarized messages beyond ${limits.join(' or ') || 'the budget'} are folded automatically, keeping the last ${settings.autoKeepRaw ?? 0} raw`)
+            .show();
+    } else {
+        autoIndicator.hide();
+    }
 
     // Count scenes by status
-    const counts = { defined: 0, completed: 0, error: 0, queued: 0 };
+    const counts = { defined: 0, completed: 0, error: 0, queued: 0, review: 0 };
     for (const scene of scenes) {
         if (counts[scene.status] !== undefined) counts[scene.status]++;
     }
 
     const hasPending = counts.defined > 0 || counts.error > 0 || counts.queued > 0;
-    const shouldShow = hasPending || isProcessing;
+    const hasDrafts = counts.review > 0;
+    const hasGhosts = ghostProposals.length > 0;
+    const savings = getChatTokenSavings(chatMetadata);
+    const shouldShow = hasPending || hasDrafts || hasGhosts || isProcessing || savings.saved > 0;
 
     if (shouldShow) {
         if (!toolbar.is(':visible')) toolbar.fadeIn(200);
@@ -641,14 +1381,29 @@ export function updateToolbar(context, queue) {
         const done = progress.current - 1;
         const pct = progress.total > 0 ? Math.round(done / progress.total * 100) : 0;
         const remaining = progress.total - done;
-        toolbar.find('.scene-fold-toolbar-progress-label').text(
-            `Summarizing ${progress.current} of ${progress.total} (${remaining} remaining)`,
-        );
+        let label;
+        if (queue.isPaused) {
+            label = progress.activeCount > 0
+                ? `Pausing after ${progress.activeCount} active (${remaining} remaining)`
+                : `Paused, ${done} of ${progress.total} done (${remaining} remaining)`;
+        } else if (progress.activeCount > 1) {
+            label = `Summarizing ${progress.activeCount} at once, ${done} of ${progress.total} done (${remaining} remaining)`;
+        } else {
+            label = `Summarizing ${progress.current} of ${progress.total} (${remaining} remaining)`;
+        }
+        toolbar.find('.scene-fold-toolbar-progress-label').text(label);
         toolbar.find('.scene-fold-progress-fill').css('width', `${pct}%`);
+        toolbar.find('.scene-fold-queue-pause')
+            .html(queue.isPaused ? '<i class="fa-solid fa-play"></i> Resume' : '<i class="fa-solid fa-pause"></i> Pause')
+            .attr('title', queue.isPaused ? 'Start queued scenes again' : 'Let active scenes finish, then hold the rest');
+        toolbar.find('.scene-fold-queue-toggle').toggleClass('scene-fold-toolbar-btn-on', queuePanelOpen);
+        renderQueuePanel(context, queue);
     } else {
         // Idle state: show scene counts + buttons
         toolbar.find('.scene-fold-toolbar-idle').show();
         toolbar.find('.scene-fold-toolbar-active').hide();
+        toolbar.find('.scene-fold-queue-panel').hide().empty();
+        stopQueueClock();
 
         const parts = [];
         if (counts.defined > 0) parts.push(`${counts.defined} pending`);
@@ -656,8 +1411,25 @@ export function updateToolbar(context, queue) {
         if (counts.queued > 0) parts.push(`${counts.queued} queued`);
 
         const pendingTotal = counts.defined + counts.error + counts.queued;
-        const infoText = `${pendingTotal} scene${pendingTotal !== 1 ? 's' : ''} awaiting summary`;
+        let infoText = pendingTotal > 0
+            ? `${pendingTotal} scene${pendingTotal !== 1 ? 's' : ''} awaiting summary`
+            : `${counts.completed} scene${counts.completed !== 1 ? 's' : ''} summarized`;
+        if (hasDrafts) {
+            infoText += `, ${counts.review} draft${counts.review !== 1 ? 's' : ''} to review`;
+        }
+        if (hasGhosts) {
+            infoText += `, ${ghostProposals.length} suggested`;
+        }
+        if (savings.saved > 0) {
+            infoText += ` · ${savings.saved.toLocaleString()} tokens reclaimed`;
+        }
+        toolbar.find('.scene-fold-toolbar-info').attr('title', savings.unmeasured > 0
+            ? `${savings.unmeasured} summarized scene(s) not yet measured`
+            : '');
         toolbar.find('.scene-fold-toolbar-info').text(infoText);
+        toolbar.find('.scene-fold-toolbar-accept-ghosts, .scene-fold-toolbar-reject-ghosts').toggle(hasGhosts);
+        toolbar.find('.scene-fold-toolbar-review').toggle(hasDrafts);
+        toolbar.find('.scene-fold-toolbar-review-label').text(`Review ${counts.review}`);
 
         // Update select mode button text
         const selectBtn = toolbar.find('.scene-fold-toolbar-select-mode');
@@ -670,3 +1442,219 @@ export function updateToolbar(context, queue) {
         toolbar.find('.scene-fold-toolbar-summarize-all').prop('disabled', !hasPending);
     }
 }
+
+/**
+ * Expand or collapse the queue panel under the toolbar.
+ * @param {object} context
+ * @param {import('./summarization-queue.js').SummarizationQueue} queue
+ */
+export function toggleQueuePanel(context, queue) {
+    queuePanelOpen = !queuePanelOpen;
+    updateToolbar(context, queue);
+}
+
+/**
+ * Fill the queue panel: active scenes with how long they have been running,
+ * then pending scenes in order with how long they have waited. Pending
+ * scenes can be dragged into a new order; the drop is reported through the
+ * `scene-fold-queue-reorder` event on the panel.
+ * @param {object} context
+ * @param {import('./summarization-queue.js').SummarizationQueue} queue
+ */
+function renderQueuePanel(context, queue) {
+    const panel = $('#scene-fold-toolbar .scene-fold-queue-panel');
+    const items = queue.items;
+    if (!queuePanelOpen || items.length === 0) {
+        panel.hide().empty();
+        stopQueueClock();
+        return;
+    }
+
+    // Don't pull rows out from under a drag in progress
+    if (panel.find('.ui-sortable-helper').length > 0) return;
+
+    const { chat, chatMetadata } = context;
+    const data = getSceneFoldData(chatMetadata);
+    const uuidIndex = buildUUIDIndex(chat);
+    const firstPending = items.find(item => !item.active)?.sceneId;
+
+    const rows = items.map(({ sceneId, active, since }) => {
+        const scene = data.scenes[sceneId];
+        if (!scene) return '';
+        const firstIdx = isChapter(scene) ? -1 : findMessageIndexByUUID(chat, scene.sourceMessageUUIDs[0], uuidIndex);
+        const name = escapeHtml(getSceneDisplayName(scene, firstIdx));
+        const icon = active
+            ? '<i class="fa-solid fa-spinner fa-spin scene-fold-queue-icon" title="Summarizing"></i>'
+            : '<i class="fa-solid fa-grip-vertical scene-fold-queue-icon scene-fold-queue-handle" title="Drag to reorder"></i>';
+        const buttons = active
+            ? `<button class="scene-fold-inline-btn scene-fold-queue-skip-btn" data-scene-id="${sceneId}" title="Stop this scene and queue it again at the back">
+                    <i class="fa-solid fa-forward"></i>
+                </button>`
+            : `<button class="scene-fold-inline-btn scene-fold-queue-next-btn" data-scene-id="${sceneId}" title="Summarize next" ${sceneId === firstPending ? 'disabled' : ''}>
+                    <i class="fa-solid fa-angles-up"></i>
+                </button>
+                <button class="scene-fold-inline-btn scene-fold-cancel-btn" data-scene-id="${sceneId}" title="Remove from the queue">
+                    <i class="fa-solid fa-xmark"></i>
+                </button>`;
+
+        return `
+            <div class="scene-fold-queue-item ${active ? 'scene-fold-queue-item-active' : ''}" data-scene-id="${sceneId}">
+                ${icon}
+                <span class="scene-fold-queue-label">${name} <small>· ${describeSceneSize(scene)}</small></span>
+                <span class="scene-fold-queue-elapsed" data-since="${since}" title="${active ? 'Running for' : 'Waiting for'}"></span>
+                ${buttons}
+            </div>
+        `;
+    });
+
+    panel.html(rows.join('')).show();
+
+    // Active scenes lead the list and stay put; only pending rows move
+    // jQuery UI ships with SillyTavern; without it "Summarize next" still reorders
+    if (typeof panel.sortable === 'function' && panel.sortable('instance')) {
+        panel.sortable('refresh');
+    } else if (typeof panel.sortable === 'function') {
+        panel.sortable({
+            items: '.scene-fold-queue-item:not(.scene-fold-queue-item-active)',
+            handle: '.scene-fold-queue-handle',
+            axis: 'y',
+            stop: () => {
+                const order = panel.find('.scene-fold-queue-item:not(.scene-fold-queue-item-active)')
+                    .map((_, el) => String($(el).data('scene-id'))).get();
+                panel.trigger('scene-fold-queue-reorder', [order]);
+            },
+        });
+    }
+
+    tickQueueClock();
+    if (queueClock === null) {
+        queueClock = setInterval(tickQueueClock, 1000);
+    }
+}
+
+/**
+ * Format a duration as m:ss, or h:mm:ss past an hour.
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatElapsed(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
+/** Refresh the elapsed times in the queue panel; stops once the panel is gone. */
+function tickQueueClock() {
+    const cells = $('#scene-fold-toolbar .scene-fold-queue-elapsed');
+    if (cells.length === 0) {
+        stopQueueClock();
+        return;
+    }
+    const now = Date.now();
+    cells.each(function () {
+        $(this).text(formatElapsed(now - Number($(this).data('since'))));
+    });
+}
+
+/** Stop refreshing elapsed times. */
+function stopQueueClock() {
+    if (queueClock !== null) {
+        clearInterval(queueClock);
+        queueClock = null;
+    }
+}
+
+// ─── Scene Outline ──────────────────────────────────────────────────────────
+
+/** Characters of a summary shown when an outline entry has no title */
+const OUTLINE_LABEL_LENGTH = 80;
+
+/**
+ * Render the outline panel: every scene in chat order with its title (or the
+ * first line of its summary), status, message range and fold state. Docked
+ * to the left or right edge of the window; removed when closed. Entries are
+ * clicked through `.scene-fold-outline-item`, handled in index.js.
+ * @param {object} context
+ */
+export function renderOutlinePanel(context) {
+    const settings = context.extensionSettings?.scene_fold;
+    let panel = $('#scene-fold-outline');
+    if (!settings?.enabled || !settings.outlineOpen) {
+        panel.remove();
+        return;
+    }
+
+    if (panel.length === 0) {
+        panel = $(`
+            <div id="scene-fold-outline" class="scene-fold-outline">
+                <div class="scene-fold-outline-header">
+                    <b>Scenes</b>
+                    <small class="scene-fold-outline-count"></small>
+                    <button class="scene-fold-inline-btn scene-fold-outline-dock-btn" title="Dock on the other side">
+                        <i class="fa-solid fa-right-left"></i>
+                    </button>
+                    <button class="scene-fold-inline-btn scene-fold-outline-close-btn" title="Close the outline">
+                        <i class="fa-solid fa-xmark"></i>
+                    </button>
+                </div>
+                <div class="scene-fold-outline-list"></div>
+            </div>
+        `);
+        $('body').append(panel);
+    }
+    const dockLeft = settings.outlineDock === 'left';
+    panel.toggleClass('scene-fold-outline-left', dockLeft).toggleClass('scene-fold-outline-right', !dockLeft);
+
+    const { chat, chatMetadata } = context;
+    const scenes = getScenesInOrder(chatMetadata, chat);
+    const uuidIndex = buildUUIDIndex(chat);
+    panel.find('.scene-fold-outline-count').text(`${scenes.length}`);
+
+    if (scenes.length === 0) {
+        panel.find('.scene-fold-outline-list').html('<i class="scene-fold-outline-empty">No scenes defined yet.</i>');
+        return;
+    }
+
+    const items = scenes.map(scene => {
+        const positions = getSceneMessageUUIDs(chatMetadata, scene)
+            .map(uuid => findMessageIndexByUUID(chat, uuid, uuidIndex))
+            .filter(idx => idx !== -1);
+        const range = positions.length > 0
+            ? `#${Math.min(...positions)}–${Math.max(...positions)}`
+            : 'messages missing';
+        const depth = getSceneAncestors(chatMetadata, scene).length;
+
+        const summary = scene.status === 'completed'
+            ? getSceneSummaryText(chat, scene, uuidIndex)
+            : scene.draft?.text ?? null;
+        const firstLine = String(summary || '').trim().split('\n')[0];
+        const label = scene.title
+            || (firstLine.length > OUTLINE_LABEL_LENGTH ? `${firstLine.slice(0, OUTLINE_LABEL_LENGTH)}…` : firstLine)
+            || getSceneDisplayName(scene, positions.length > 0 ? Math.min(...positions) : -1);
+
+        // Folded under a chapter counts as folded: its messages are hidden either way
+        const folded = (scene.status === 'completed' && scene.folded) || hasFoldedAncestor(chatMetadata, scene);
+        const foldIcon = scene.status !== 'completed'
+            ? '<i class="fa-regular fa-circle scene-fold-outline-fold" title="Not summarized"></i>'
+            : `<i class="fa-solid ${folded ? 'fa-eye-slash' : 'fa-eye'} scene-fold-outline-fold" title="${folded ? 'Folded' : 'Expanded'}"></i>`;
+        const statusLabel = scene.status.charAt(0).toUpperCase() + scene.status.slice(1);
+        const stale = isSceneStale(scene) ? ' <span class="scene-fold-stale-indicator">(stale)</span>' : '';
+
+        return `
+            <div class="scene-fold-outline-item" data-scene-id="${scene.id}" style="padding-left: ${6 + depth * 14}px" title="Jump to this ${isChapter(scene) ? 'chapter' : 'scene'}">
+                ${foldIcon}
+                <div class="scene-fold-outline-text">
+                    <div class="scene-fold-outline-label">${isChapter(scene) ? '<i class="fa-solid fa-book"></i> ' : ''}${escapeHtml(label)}</div>
+                    <small class="scene-fold-outline-meta">
+                        ${range} · ${describeSceneSize(scene)}
+                        <span class="scene-fold-scene-status ${scene.status}">${statusLabel}</span>${stale}
+                    </small>
+                </div>
+            </div>
+        `;
+    });
+
+    panel.find('.scene-fold-outline-list').html(items.join(''));
+}
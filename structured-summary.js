@@ -0,0 +1,184 @@
+/**
+ * Scene Fold - Structured Summaries
+ *
+ * Optional output mode in which the LLM answers with JSON: a narrative summary
+ * plus the facts of the scene (characters, locations, items, relationship
+ * changes, open threads). The narrative becomes the summary text; the facts
+ * are kept on the summary version and shown beside it, never sent to the model.
+ * Pure functions: index.js makes the LLM calls.
+ */
+
+/** Fact lists in display order */
+export const FACT_FIELDS = [
+    { key: 'characters', label: 'Characters' },
+    { key: 'locations', label: 'Locations' },
+    { key: 'items', label: 'Items' },
+    { key: 'relationships', label: 'Relationships' },
+    { key: 'openThreads', label: 'Open threads' },
+];
+
+/**
+ * Output format instructions appended to the summarization prompt.
+ * @returns {string}
+ */
+export function getStructuredInstructions() {
+    return `Respond with a single JSON object and nothing else, in this shape:
+{
+  "summary": "the narrative summary, written as instructed above",
+  "characters": ["every character present in the scene"],
+  "locations": ["every place the scene takes place in"],
+  "items": [{ "name": "item", "change": "gained" or "lost", "holder": "who gained or lost it" }],
+  "relationships": [{ "characters": ["A", "B"], "change": "how their relationship changed" }],
+  "openThreads": ["unresolved questions, promises or plans left open at the end of the scene"]
+}
+Use empty lists when nothing applies.`;
+}
+
+/**
+ * Prompt asking the LLM to fix a reply that failed validation.
+ * @param {string} reply - The rejected reply
+ * @param {string} error - Why it was rejected
+ * @returns {string}
+ */
+export function getRepairPrompt(reply, error) {
+    return `The reply below was supposed to be a single JSON object but could not be used: ${error}.
+Rewrite it as valid JSON in exactly this shape, keeping its content. Respond with the JSON only.
+${getStructuredInstructions()}
+
+Reply to fix:
+${reply}`;
+}
+
+/**
+ * Parse and validate a structured reply. Code fences and text around the JSON
+ * object are tolerated; lists are cleaned of blank entries.
+ * @param {string} reply
+ * @returns {{ summary: string|null, facts: object|null, error: string|null }}
+ */
+export function parseStructuredSummary(reply) {
+    const fail = error => ({ summary: null, facts: null, error });
+
+    const text = String(reply ?? '').replace(/```(?:json)?/gi, '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return fail('no JSON object found');
+
+    let data;
+    try {
+        data = JSON.parse(text.slice(start, end + 1));
+    } catch (err) {
+        return fail(`invalid JSON (${err.message})`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return fail('the reply is not a JSON object');
+
+    const summary = typeof data.summary === 'string' ? data.summary.trim() : '';
+    if (!summary) return fail('"summary" is missing or empty');
+
+    const facts = {};
+    for (const { key } of FACT_FIELDS) {
+        const value = data[key] ?? [];
+        if (!Array.isArray(value)) return fail(`"${key}" must be a list`);
+        facts[key] = value;
+    }
+
+    facts.characters = cleanStrings(facts.characters);
+    facts.locations = cleanStrings(facts.locations);
+    facts.openThreads = cleanStrings(facts.openThreads);
+
+    facts.items = facts.items
+        .filter(item => typeof item?.name === 'string' && item.name.trim())
+        .map(item => ({
+            name: item.name.trim(),
+            change: item.change === 'lost' ? 'lost' : 'gained',
+            holder: typeof item.holder === 'string' ? item.holder.trim() : '',
+        }));
+
+    facts.relationships = facts.relationships
+        .filter(rel => typeof rel?.change === 'string' && rel.change.trim())
+        .map(rel => ({
+            characters: cleanStrings(Array.isArray(rel.characters) ? rel.characters : []),
+            change: rel.change.trim(),
+        }));
+
+    return { summary, facts, error: null };
+}
+
+/**
+ * @param {Array} values
+ * @returns {string[]} Trimmed, non-empty strings without duplicates
+ */
+function cleanStrings(values) {
+    const seen = new Set();
+    const result = [];
+    for (const value of values) {
+        if (typeof value !== 'string') continue;
+        const trimmed = value.trim();
+        if (!trimmed || seen.has(trimmed.toLowerCase())) continue;
+        seen.add(trimmed.toLowerCase());
+        result.push(trimmed);
+    }
+    return result;
+}
+
+/**
+ * The facts of a scene's active summary version.
+ * @param {object} scene
+ * @returns {object|null}
+ */
+export function getSceneFacts(scene) {
+    const versions = scene?.summaryVersions || [];
+    return versions[scene.activeVersion ?? versions.length - 1]?.facts ?? null;
+}
+
+/**
+ * Whether a facts object has anything in it.
+ * @param {object|null} facts
+ * @returns {boolean}
+ */
+export function hasFacts(facts) {
+    return !!facts && FACT_FIELDS.some(({ key }) => facts[key]?.length > 0);
+}
+
+/**
+ * Combine the facts of scenes into one view of the chat, in story order.
+ * Characters and locations are listed once each with the number of scenes
+ * they appear in; items show who holds them after the latest change;
+ * relationship changes are kept in order; open threads come from the latest
+ * scene that has facts, since earlier ones may have been resolved.
+ * @param {Array<object>} scenes - Completed scenes in chat order
+ * @returns {{ scenes: number, characters: Array<{ name: string, scenes: number }>, locations: Array<{ name: string, scenes: number }>, items: Array<{ name: string, change: string, holder: string }>, relationships: Array<{ characters: string[], change: string }>, openThreads: string[] }}
+ */
+export function aggregateFacts(scenes) {
+    const result = { scenes: 0, characters: [], locations: [], items: [], relationships: [], openThreads: [] };
+    const characters = new Map();
+    const locations = new Map();
+    const items = new Map();
+
+    const count = (map, name) => {
+        const key = name.toLowerCase();
+        const entry = map.get(key) || { name, scenes: 0 };
+        entry.scenes++;
+        map.set(key, entry);
+    };
+
+    for (const scene of scenes) {
+        const facts = getSceneFacts(scene);
+        if (!facts) continue;
+        result.scenes++;
+
+        facts.characters?.forEach(name => count(characters, name));
+        facts.locations?.forEach(name => count(locations, name));
+        for (const item of facts.items || []) {
+            // Re-inserting keeps the map ordered by latest change
+            items.delete(item.name.toLowerCase());
+            items.set(item.name.toLowerCase(), { ...item });
+        }
+        result.relationships.push(...(facts.relationships || []).map(rel => structuredClone(rel)));
+        result.openThreads = [...(facts.openThreads || [])];
+    }
+
+    result.characters = [...characters.values()];
+    result.locations = [...locations.values()];
+    result.items = [...items.values()];
+    return result;
+}
@@ -1,60 +1,99 @@
 /**
  * Scene Fold - Summarization Queue
  *
- * Processes scene summarizations one at a time with cancel support
- * and progress tracking. Decoupled from summarization logic via
- * a worker callback.
+ * Processes scene summarizations with cancel support and progress tracking.
+ * Several scenes can be in flight at once, up to a concurrency limit and a
+ * requests-per-minute budget. Workers hand their results to the chat in queue
+ * order through a turn: each scene waits for the scenes queued before it to
+ * release theirs, so concurrent inserts never shift each other's indices.
+ * The queue's order is mirrored into the chat metadata so a batch cut short by
+ * a reload can be resumed. Pending scenes can be reordered, the queue paused,
+ * and an active scene skipped to the back.
+ * Decoupled from summarization logic via a worker callback.
  */
 
-import { getScene, updateScene } from './scene-data.js';
+import { getScene, updateScene, setPersistedQueue } from './scene-data.js';
+
+/**
+ * @typedef {object} WorkerHooks
+ * @property {() => Promise<void>} waitTurn - Resolves once every scene queued earlier has released its turn; rejects with AbortError if cancelled meanwhile
+ * @property {() => void} releaseTurn - Let the next scene touch the chat; also done automatically when the worker returns
+ * @property {() => Promise<void>} throttle - Await before each LLM request to respect the requests-per-minute limit
+ */
+
+/** Length of the requests-per-minute window */
+const RATE_WINDOW_MS = 60_000;
 
 export class SummarizationQueue {
     /**
      * @param {object} options
-     * @param {(sceneId: string, signal: AbortSignal) => Promise<void>} options.worker
+     * @param {(sceneId: string, signal: AbortSignal, hooks: WorkerHooks) => Promise<void>} options.worker
      * @param {() => void} options.onUpdate - Called on every state change for UI refresh
+     * @param {() => Promise<void>} [options.onBatchStart] - Awaited before the first scene of a batch
+     * @param {() => Promise<void>} [options.onBatchEnd] - Awaited once the queue drains, including after cancel or errors
+     * @param {() => object} [options.getContext] - Source of chatMetadata/saveMetadataDebounced; defaults to SillyTavern.getContext
+     * @param {() => { concurrency: number, requestsPerMinute: number }} [options.getLimits] - Read before each start; defaults to one at a time, unthrottled
+     * @param {(sceneId: string) => boolean} [options.isBarrier] - Scenes that may only start once every scene before them has finished (e.g. chapters over them)
      */
-    constructor({ worker, onUpdate }) {
+    constructor({ worker, onUpdate, onBatchStart, onBatchEnd, getContext, getLimits, isBarrier }) {
         this._worker = worker;
+        this._getContext = getContext || (() => SillyTavern.getContext());
         this._onUpdate = onUpdate || (() => {});
+        this._onBatchStart = onBatchStart || (async () => {});
+        this._onBatchEnd = onBatchEnd || (async () => {});
+        this._getLimits = getLimits || (() => ({ concurrency: 1, requestsPerMinute: 0 }));
+        this._isBarrier = isBarrier || (() => false);
 
         /** @type {string[]} */
         this._pending = [];
-        /** @type {string|null} */
-        this._activeId = null;
-        /** @type {AbortController|null} */
-        this._activeAbort = null;
+        /** @type {Map<string, AbortController>} Scenes in flight, in start order */
+        this._active = new Map();
+        /** @type {Promise<void>} Settles when the most recently started scene releases its turn */
+        this._turn = Promise.resolve();
+        /** @type {number[]} Start times of recent LLM requests, for the rate limit */
+        this._requestTimes = [];
         /** @type {boolean} */
         this._processing = false;
+        /** @type {boolean} Whether onBatchStart or onBatchEnd is being awaited */
+        this._transitioning = false;
+        /** @type {boolean} While paused, active scenes finish but no new ones start */
+        this._paused = false;
+        /** @type {Set<string>} Active scenes aborted by skip(), to be queued again at the back */
+        this._skipped = new Set();
+        /** @type {Map<string, number>} When each scene was queued, or started if active */
+        this._since = new Map();
         /** @type {number} */
         this._batchTotal = 0;
         /** @type {number} */
         this._batchDone = 0;
+        /** @type {boolean} Whether onBatchStart ran and onBatchEnd is owed */
+        this._batchOpen = false;
     }
 
     /** Enqueue one scene. Starts processing if idle. */
     add(sceneId) {
-        if (this._pending.includes(sceneId) || this._activeId === sceneId) {
+        if (this.has(sceneId)) {
             return;
         }
         this._pending.push(sceneId);
+        this._since.set(sceneId, Date.now());
         this._batchTotal++;
 
-        const ctx = SillyTavern.getContext();
+        const ctx = this._getContext();
         updateScene(ctx.chatMetadata, sceneId, { status: 'queued' });
+        this._persist(ctx);
         ctx.saveMetadataDebounced();
 
         this._onUpdate();
 
-        if (!this._processing) {
-            this._processNext();
-        }
+        // Starts it right away when a concurrency slot is free
+        this._processNext();
     }
 
     /** Enqueue multiple scenes at once. */
     addAll(sceneIds) {
         // Reset batch counters for a fresh batch
-        this._batchTotal = this._pending.length + (this._activeId ? 1 : 0);
+        this._batchTotal = this._pending.length + this._active.size;
         this._batchDone = 0;
 
         for (const id of sceneIds) {
@@ -68,30 +107,32 @@ export class SummarizationQueue {
         const idx = this._pending.indexOf(sceneId);
         if (idx !== -1) {
             this._pending.splice(idx, 1);
-            const ctx = SillyTavern.getContext();
+            this._since.delete(sceneId);
+            const ctx = this._getContext();
             const scene = getScene(ctx.chatMetadata, sceneId);
             if (scene && scene.status === 'queued') {
                 updateScene(ctx.chatMetadata, sceneId, { status: 'defined' });
-                ctx.saveMetadataDebounced();
             }
+            this._persist(ctx);
+            ctx.saveMetadataDebounced();
             this._batchDone++;
             this._onUpdate();
             return;
         }
 
         // Case 2: active — abort the LLM call
-        if (this._activeId === sceneId && this._activeAbort) {
-            this._activeAbort.abort();
-        }
+        this._skipped.delete(sceneId);
+        this._active.get(sceneId)?.abort();
     }
 
     /** Cancel everything: abort active + clear pending. */
     cancelAll() {
-        if (this._activeAbort) {
-            this._activeAbort.abort();
+        this._skipped.clear();
+        for (const abort of this._active.values()) {
+            abort.abort();
         }
 
-        const ctx = SillyTavern.getContext();
+        const ctx = this._getContext();
         for (const id of this._pending) {
             const scene = getScene(ctx.chatMetadata, id);
             if (scene && scene.status === 'queued') {
@@ -99,15 +140,99 @@ export class SummarizationQueue {
             }
         }
         this._pending = [];
+        this._since.clear();
         this._batchTotal = 0;
         this._batchDone = 0;
+        // Active scenes drop out of the persisted queue as their workers settle
+        this._persist(ctx);
         ctx.saveMetadataDebounced();
         this._onUpdate();
     }
 
+    /**
+     * Let go of the current chat's work without recording it as cancelled:
+     * active scenes are aborted and pending ones dropped, but neither their
+     * statuses nor the persisted queue are touched, so the chat can resume the
+     * batch when opened again. For chat switches, where getContext already
+     * points at the next chat.
+     */
+    detach() {
+        for (const abort of this._active.values()) {
+            abort.abort();
+        }
+        this._active.clear();
+        this._pending = [];
+        this._turn = Promise.resolve();
+        this._paused = false;
+        this._skipped.clear();
+        this._since.clear();
+        this._batchTotal = 0;
+        this._batchDone = 0;
+        this._onUpdate();
+        // Closes the batch (restoring the connection profile) unless new work arrives first
+        this._processNext();
+    }
+
+    /**
+     * Put pending scenes in a new order. IDs that aren't pending are ignored;
+     * pending scenes missing from the list keep their relative order at the end.
+     * @param {string[]} sceneIds
+     */
+    reorder(sceneIds) {
+        const listed = sceneIds.filter(id => this._pending.includes(id));
+        this._pending = [...listed, ...this._pending.filter(id => !listed.includes(id))];
+        this._savePending();
+    }
+
+    /**
+     * Move a pending scene to the front, so it starts next.
+     * @param {string} sceneId
+     */
+    prioritize(sceneId) {
+        if (!this._pending.includes(sceneId)) return;
+        this.reorder([sceneId]);
+    }
+
+    /**
+     * Abort an active scene and queue it again behind everything pending.
+     * With nothing else pending there is nothing to skip to, so it is cancelled.
+     * @param {string} [sceneId] - Defaults to the earliest-started active scene
+     */
+    skip(sceneId = this.activeSceneId) {
+        const abort = this._active.get(sceneId);
+        if (!abort) return;
+        if (this._pending.length === 0) {
+            this.cancel(sceneId);
+            return;
+        }
+        this._skipped.add(sceneId);
+        abort.abort();
+    }
+
+    /** Stop starting new scenes; active ones run to completion. */
+    pause() {
+        if (this._paused) return;
+        this._paused = true;
+        this._onUpdate();
+        this._processNext();
+    }
+
+    /** Start scenes again after pause(). */
+    resume() {
+        if (!this._paused) return;
+        this._paused = false;
+        this._onUpdate();
+        this._processNext();
+    }
+
+    /** Whether the queue is paused. */
+    get isPaused() {
+        return this._paused;
+    }
+
     /** Whether a scene is queued or currently active. */
     has(sceneId) {
-        return this._pending.includes(sceneId) || this._activeId === sceneId;
+        return this._pending.includes(sceneId) || this._active.has(sceneId);
     }
 
     /** Whether the queue is currently processing. */
@@ -115,9 +240,14 @@ export class SummarizationQueue {
         return this._processing;
     }
 
-    /** The scene ID currently being summarized, or null. */
+    /** The earliest-started scene still being summarized, or null. */
     get activeSceneId() {
-        return this._activeId;
+        return this._active.keys().next().value ?? null;
+    }
+
+    /** Every scene currently being summarized, in start order. */
+    get activeSceneIds() {
+        return [...this._active.keys()];
     }
 
     /** Read-only copy of pending IDs. */
@@ -125,41 +255,185 @@ export class SummarizationQueue {
         return [...this._pending];
     }
 
+    /**
+     * Every scene in the queue, active first, with when it was queued or started.
+     * @returns {Array<{ sceneId: string, active: boolean, since: number }>}
+     */
+    get items() {
+        return [...this._active.keys(), ...this._pending].map(sceneId => ({
+            sceneId,
+            active: this._active.has(sceneId),
+            since: this._since.get(sceneId) ?? Date.now(),
+        }));
+    }
+
     /** Progress info for the current batch. */
     get progress() {
         return {
             current: this._batchDone + 1,
             total: this._batchTotal,
-            activeId: this._activeId,
+            activeId: this.activeSceneId,
+            activeCount: this._active.size,
             pendingCount: this._pending.length,
         };
     }
 
-    /** Process loop: dequeue, call worker, handle result, continue. */
+    /** Mark every pending scene as failed with the given error and clear the queue. */
+    _failPending(err) {
+        const ctx = this._getContext();
+        for (const id of this._pending) {
+            updateScene(ctx.chatMetadata, id, {
+                status: 'error',
+                lastError: err.message || String(err),
+            });
+        }
+        this._pending = [];
+        this._persist(ctx);
+        ctx.saveMetadataDebounced();
+        toastr.error(`Scene Fold: ${err.message || err}`);
+    }
+
+    /** Persist and report a change to the pending order. */
+    _savePending() {
+        const ctx = this._getContext();
+        this._persist(ctx);
+        ctx.saveMetadataDebounced();
+        this._onUpdate();
+    }
+
+    /**
+     * Mirror the queue's scenes, active first, into the chat metadata.
+     * @param {object} ctx - Context whose chatMetadata is written; the caller saves it
+     */
+    _persist(ctx) {
+        setPersistedQueue(ctx.chatMetadata, [...this._active.keys(), ...this._pending]);
+    }
+
+    /**
+     * Wait until another LLM request fits the requests-per-minute limit.
+     * @param {AbortSignal} signal
+     */
+    async _throttle(signal) {
+        for (;;) {
+            if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
+
+            const limit = this._getLimits().requestsPerMinute;
+            const now = Date.now();
+            this._requestTimes = this._requestTimes.filter(t => now - t < RATE_WINDOW_MS);
+            if (!(limit > 0) || this._requestTimes.length < limit) {
+                this._requestTimes.push(now);
+                return;
+            }
+
+            const wait = this._requestTimes[0] + RATE_WINDOW_MS - now;
+            console.log(`[Scene Fold] Queue: rate limit reached, waiting ${Math.ceil(wait / 1000)}s`);
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, wait);
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    resolve();
+                }, { once: true });
+            });
+        }
+    }
+
+    /** Process loop: start scenes up to the concurrency limit; each finished scene calls back in. */
     async _processNext() {
-        if (this._pending.length === 0) {
+        if (this._transitioning) return;
+
+        if (this._pending.length === 0 || this._paused) {
+            // Scenes still in flight call back in when they finish
+            if (this._active.size > 0) return;
+
+            if (this._batchOpen) {
+                this._batchOpen = false;
+                this._transitioning = true;
+                try {
+                    await this._onBatchEnd();
+                } catch (err) {
+                    console.error('[Scene Fold] Queue: batch cleanup failed', err);
+                } finally {
+                    this._transitioning = false;
+                }
+                // Scenes added or resumed while cleaning up start a new batch
+                if (this._pending.length > 0 && !this._paused) {
+                    this._processNext();
+                    return;
+                }
+            }
             this._processing = false;
-            this._activeId = null;
-            this._activeAbort = null;
-            this._batchTotal = 0;
-            this._batchDone = 0;
+            // A paused batch keeps its progress for when it resumes
+            if (this._pending.length === 0) {
+                this._batchTotal = 0;
+                this._batchDone = 0;
+            }
             this._onUpdate();
             return;
         }
 
         this._processing = true;
-        const sceneId = this._pending.shift();
-        this._activeId = sceneId;
-        this._activeAbort = new AbortController();
+
+        if (!this._batchOpen) {
+            this._batchOpen = true;
+            this._transitioning = true;
+            try {
+                await this._onBatchStart();
+            } catch (err) {
+                // Setup failed: fail the whole batch rather than run it against the wrong backend
+                console.error('[Scene Fold] Queue: batch setup failed', err);
+                this._failPending(err);
+                this._transitioning = false;
+                this._processNext();
+                return;
+            }
+            this._transitioning = false;
+            // Everything may have been cancelled or paused while setting up
+            if (this._pending.length === 0 || this._paused) {
+                this._processNext();
+                return;
+            }
+        }
+
+        const concurrency = Math.max(1, Math.floor(this._getLimits().concurrency) || 1);
+        while (this._pending.length > 0 && this._active.size < concurrency) {
+            if (this._isBarrier(this._pending[0]) && this._active.size > 0) break;
+            this._start(this._pending.shift());
+        }
+    }
+
+    /**
+     * Run the worker for one scene, holding its place in the turn order.
+     * @param {string} sceneId
+     */
+    async _start(sceneId) {
+        const abort = new AbortController();
+        this._active.set(sceneId, abort);
+        this._since.set(sceneId, Date.now());
+
+        // Chain this scene's turn behind the scene started before it
+        const previousTurn = this._turn;
+        let releaseTurn;
+        const released = new Promise(resolve => { releaseTurn = resolve; });
+        this._turn = previousTurn.then(() => released);
+
+        /** @type {WorkerHooks} */
+        const hooks = {
+            waitTurn: async () => {
+                await previousTurn;
+                if (abort.signal.aborted) throw new DOMException('Aborted', 'AbortError');
+            },
+            releaseTurn,
+            throttle: () => this._throttle(abort.signal),
+        };
         this._onUpdate();
 
         try {
-            await this._worker(sceneId, this._activeAbort.signal);
+            await this._worker(sceneId, abort.signal, hooks);
         } catch (err) {
             if (err.name === 'AbortError') {
                 console.log(`[Scene Fold] Queue: summarization cancelled for ${sceneId}`);
                 // Safety net: ensure scene isn't stuck in summarizing
-                const ctx = SillyTavern.getContext();
+                const ctx = this._getContext();
                 const scene = getScene(ctx.chatMetadata, sceneId);
                 if (scene && scene.status === 'summarizing') {
                     updateScene(ctx.chatMetadata, sceneId, { status: 'defined', lastError: null });
@@ -168,11 +442,26 @@ export class SummarizationQueue {
             }
             // Non-abort errors: worker already sets status to 'error'.
             // Either way, continue to next scene.
+        } finally {
+            releaseTurn();
         }
 
-        this._batchDone++;
-        this._activeId = null;
-        this._activeAbort = null;
+        // After detach() the scene belongs to a chat that is no longer open
+        if (this._active.get(sceneId) === abort) {
+            this._active.delete(sceneId);
+            const ctx = this._getContext();
+            if (this._skipped.delete(sceneId)) {
+                // Back of the line; the cancellation above left it 'defined'
+                this._pending.push(sceneId);
+                this._since.set(sceneId, Date.now());
+                updateScene(ctx.chatMetadata, sceneId, { status: 'queued' });
+            } else {
+                this._batchDone++;
+                this._since.delete(sceneId);
+            }
+            this._persist(ctx);
+            ctx.saveMetadataDebounced();
+        }
         this._onUpdate();
 
         // Give the UI a frame to settle after chat reload before next scene
@@ -0,0 +1,71 @@
+/**
+ * Scene Fold - Summary Diff
+ *
+ * Sentence-level comparison of two summaries, for reviewing a re-summarized
+ * scene against the summary it replaces. Sentences match when they are equal
+ * apart from whitespace; everything else is reported as removed from the old
+ * summary or added in the new one. Pure functions.
+ */
+
+/**
+ * Split a summary into sentences, keeping paragraph breaks as boundaries.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitSentences(text) {
+    return String(text || '')
+        .split(/\n+|(?<=[.!?…]["'”’)\]]?)\s+/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Diff two summaries by sentence, via the longest common subsequence.
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{ type: 'same'|'removed'|'added', text: string }>} In reading order, removals before additions
+ */
+export function diffSentences(oldText, newText) {
+    const a = splitSentences(oldText);
+    const b = splitSentences(newText);
+    const key = sentence => sentence.replace(/\s+/g, ' ').toLowerCase();
+    const ak = a.map(key);
+    const bk = b.map(key);
+
+    // lcs[i][j]: length of the common subsequence of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = ak[i] === bk[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (ak[i] === bk[j]) {
+            ops.push({ type: 'same', text: b[j] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            ops.push({ type: 'removed', text: a[i++] });
+        } else {
+            ops.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) ops.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) ops.push({ type: 'added', text: b[j++] });
+    return ops;
+}
+
+/**
+ * Count the sentences each side changed.
+ * @param {Array<{ type: string }>} ops - From diffSentences
+ * @returns {{ added: number, removed: number, same: number }}
+ */
+export function summarizeDiff(ops) {
+    const counts = { added: 0, removed: 0, same: 0 };
+    for (const op of ops) counts[op.type]++;
+    return counts;
+}
@@ -0,0 +1,80 @@
+/**
+ * Scene Fold - Streaming Generation
+ *
+ * Streams a summary through the Connection Manager's request service so the
+ * scene can show the text as it arrives, and so cancelling aborts the request
+ * itself. Streaming needs a connection profile to send through: the active
+ * one, which is the summary profile while the queue has it switched in. When
+ * there is none, or this SillyTavern version lacks the service, callers fall
+ * back to generateRaw. Since the profile is the active one, its preset is the
+ * loaded one, and the response length is read from it just as generateRaw
+ * would.
+ */
+
+import { getActiveProfileName } from './connection-profile.js';
+import { amount_gen } from '../../../../script.js';
+import { oai_settings } from '../../../openai.js';
+
+/**
+ * The response length of the loaded preset, which generateRaw would use.
+ * @param {object} profile - Connection Manager profile
+ * @returns {number|null} Tokens, or null if the preset doesn't say
+ */
+function getResponseLength(profile) {
+    const tokens = Number(profile.mode === 'cc' ? oai_settings?.openai_max_tokens : amount_gen);
+    return Number.isInteger(tokens) && tokens > 0 ? tokens : null;
+}
+
+/**
+ * The profile a streamed request would go through, or null when streaming
+ * isn't possible.
+ * @param {object} context - SillyTavern context
+ * @returns {Promise<object|null>} Connection Manager profile
+ */
+export async function getStreamingProfile(context) {
+    if (typeof context.ConnectionManagerRequestService?.sendRequest !== 'function') return null;
+
+    const name = await getActiveProfileName(context);
+    if (!name) return null;
+    const profiles = context.extensionSettings?.connectionManager?.profiles;
+    const profile = Array.isArray(profiles) ? profiles.find(p => p?.name === name) ?? null : null;
+    return profile && getResponseLength(profile) !== null ? profile : null;
+}
+
+/**
+ * Generate with streaming, reporting the text so far after every chunk.
+ * @param {object} context - SillyTavern context
+ * @param {object} profile - From getStreamingProfile
+ * @param {string} prompt
+ * @param {object} options
+ * @param {(text: string) => void} options.onText - Receives the whole text so far
+ * @param {AbortSignal|null} [options.signal]
+ * @returns {Promise<string>} The complete text
+ */
+export async function generateStreaming(context, profile, prompt, { onText, signal = null }) {
+    // Chat completion profiles take messages; text completion takes the raw prompt
+    const input = profile.mode === 'cc' ? [{ role: 'user', content: prompt }] : prompt;
+    const result = await context.ConnectionManagerRequestService.sendRequest(profile.id, input, getResponseLength(profile), {
+        stream: true,
+        signal,
+        extractData: true,
+        includePreset: true,
+        includeInstruct: true,
+    });
+
+    // Streaming returns a generator factory; a backend that can't stream answers in one piece
+    const stream = typeof result === 'function' ? result() : result;
+    if (!stream || typeof stream[Symbol.asyncIterator] !== 'function') {
+        const text = typeof result === 'string' ? result : result?.content ?? '';
+        onText(text);
+        return text;
+    }
+
+    let text = '';
+    for await (const chunk of stream) {
+        if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+        text = chunk?.text ?? text;
+        onText(text);
+    }
+    return text;
+}
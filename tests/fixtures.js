@@ -0,0 +1,70 @@
+/**
+ * Scene Fold - Test Fixtures
+ *
+ * Chats and metadata shaped like SillyTavern's, for the pure data functions
+ * and the queue. Nothing here touches the DOM or SillyTavern itself.
+ */
+
+/**
+ * A UUID generator that counts up, so tests can name the IDs they expect.
+ * @param {string} [prefix]
+ * @returns {() => string}
+ */
+export function makeUUIDs(prefix = 'uuid') {
+    let next = 1;
+    return () => `${prefix}-${next++}`;
+}
+
+/**
+ * A chat of alternating user and character messages.
+ * @param {number} length
+ * @returns {Array<object>}
+ */
+export function makeChat(length) {
+    return Array.from({ length }, (_, i) => makeMessage(i % 2 === 0, `Message ${i}`));
+}
+
+/**
+ * One chat message.
+ * @param {boolean} isUser
+ * @param {string} text
+ * @param {object} [extra]
+ * @returns {object}
+ */
+export function makeMessage(isUser, text, extra = {}) {
+    return {
+        name: isUser ? 'User' : 'Alice',
+        is_user: isUser,
+        is_system: false,
+        mes: text,
+        extra: { ...extra },
+    };
+}
+
+/**
+ * A fake SillyTavern context around a chat, counting metadata saves.
+ * @param {Array<object>} chat
+ * @param {object} [chatMetadata]
+ * @returns {{ chat: Array<object>, chatMetadata: object, saves: number, saveMetadataDebounced: () => void }}
+ */
+export function makeContext(chat, chatMetadata = {}) {
+    const context = {
+        chat,
+        chatMetadata,
+        saves: 0,
+        saveMetadataDebounced() {
+            context.saves++;
+        },
+    };
+    return context;
+}
+
+/**
+ * A promise with its resolver, for waiting on callbacks.
+ * @returns {{ promise: Promise<any>, resolve: (value?: any) => void }}
+ */
+export function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
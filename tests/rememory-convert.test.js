@@ -0,0 +1,121 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findRememorySummaries, getRememoryRanges, convertRememoryScenes } from '../rememory-convert.js';
+import { getScene, getScenesInOrder, findMessageIndexByUUID } from '../scene-data.js';
+import { makeMessage, makeUUIDs } from './fixtures.js';
+
+/**
+ * A chat as ReMemory leaves it in message mode: each summary follows its sources.
+ * [0 src] [1 src] [2 SUMMARY] [3 src] [4 src] [5 src] [6 SUMMARY] [7 trailing]
+ */
+function makeRememoryChat() {
+    return [
+        makeMessage(true, 'We enter the tavern.'),
+        makeMessage(false, 'The barkeep nods.'),
+        makeMessage(false, 'They arrived at the tavern.', { rmr_scene: true, type: 'comment' }),
+        makeMessage(true, 'I order an ale.'),
+        makeMessage(false, 'A stranger sits down.'),
+        makeMessage(true, 'Who are you?'),
+        makeMessage(false, 'A stranger joined them.', { rmr_scene: true, type: 'comment' }),
+        makeMessage(true, 'Still talking.'),
+    ];
+}
+
+describe('findRememorySummaries', () => {
+    test('finds the messages marked as ReMemory scenes', () => {
+        assert.deepEqual(findRememorySummaries(makeRememoryChat()), [2, 6]);
+    });
+
+    test('falls back to comment and Note messages without markers', () => {
+        const chat = [
+            makeMessage(true, 'Hello'),
+            makeMessage(false, 'Summary one', { type: 'comment' }),
+            makeMessage(true, 'Note from the user'),
+            { ...makeMessage(false, 'Summary two'), name: 'Note' },
+        ];
+        chat[2].name = 'Note';
+        assert.deepEqual(findRememorySummaries(chat), [1, 3]);
+    });
+
+    test('finds nothing in a plain chat', () => {
+        assert.deepEqual(findRememorySummaries([makeMessage(true, 'Hi'), makeMessage(false, 'Hello')]), []);
+    });
+});
+
+describe('getRememoryRanges', () => {
+    test('takes each summary\'s sources from the messages since the previous summary', () => {
+        assert.deepEqual(getRememoryRanges(makeRememoryChat(), [2, 6]), [
+            { startIdx: 0, endIdx: 1, summaryIdx: 2 },
+            { startIdx: 3, endIdx: 5, summaryIdx: 6 },
+        ]);
+    });
+
+    test('skips summaries with no sources and ranges already converted', () => {
+        const chat = makeRememoryChat();
+        chat.splice(3, 0, makeMessage(false, 'Back-to-back summary', { rmr_scene: true }));
+        chat[4].extra.scene_fold_scenes = ['existing'];
+        // [0 src] [1 src] [2 SUM] [3 SUM] [4 converted] [5 src] [6 src] [7 SUM]
+        assert.deepEqual(getRememoryRanges(chat, [2, 3, 7]), [{ startIdx: 0, endIdx: 1, summaryIdx: 2 }]);
+    });
+});
+
+describe('convertRememoryScenes', () => {
+    test('moves each summary before its sources and folds them as a completed scene', () => {
+        const chat = makeRememoryChat();
+        const chatMetadata = {};
+
+        const result = convertRememoryScenes(chatMetadata, chat, makeUUIDs());
+
+        assert.deepEqual(result, { detected: 2, converted: 2 });
+        assert.equal(chat.length, 8);
+        assert.deepEqual(chat.map(msg => msg.mes), [
+            'They arrived at the tavern.',
+            'We enter the tavern.',
+            'The barkeep nods.',
+            'A stranger joined them.',
+            'I order an ale.',
+            'A stranger sits down.',
+            'Who are you?',
+            'Still talking.',
+        ]);
+
+        const scenes = getScenesInOrder(chatMetadata, chat);
+        assert.equal(scenes.length, 2);
+        const [first, second] = scenes;
+        assert.equal(first.status, 'completed');
+        assert.equal(first.folded, true);
+        assert.equal(findMessageIndexByUUID(chat, first.summaryMessageUUID), 0);
+        assert.deepEqual(first.sourceMessageUUIDs.map(uuid => findMessageIndexByUUID(chat, uuid)), [1, 2]);
+        assert.equal(findMessageIndexByUUID(chat, second.summaryMessageUUID), 3);
+        assert.deepEqual(second.sourceMessageUUIDs.map(uuid => findMessageIndexByUUID(chat, uuid)), [4, 5, 6]);
+
+        // Summaries stay in the prompt; sources are hidden; the trailing message is untouched
+        assert.equal(chat[0].extra.scene_fold_role, 'summary');
+        assert.equal(chat[0].extra.scene_fold_scene_id, first.id);
+        assert.equal(chat[0].is_system, false);
+        assert.ok([1, 2, 4, 5, 6].every(i => chat[i].is_system === true));
+        assert.equal(chat[7].is_system, false);
+        assert.equal(chat[7].extra.scene_fold_uuid, undefined);
+    });
+
+    test('converts only the new scenes when run again', () => {
+        const chat = makeRememoryChat();
+        const chatMetadata = {};
+        const uuidv4 = makeUUIDs();
+        convertRememoryScenes(chatMetadata, chat, uuidv4);
+        const before = JSON.stringify(chat);
+
+        const result = convertRememoryScenes(chatMetadata, chat, uuidv4);
+
+        assert.equal(result.converted, 0);
+        assert.equal(JSON.stringify(chat), before);
+    });
+
+    test('reports nothing to convert in a chat without ReMemory scenes', () => {
+        const chatMetadata = {};
+        const result = convertRememoryScenes(chatMetadata, [makeMessage(true, 'Hi')], makeUUIDs());
+        assert.deepEqual(result, { detected: 0, converted: 0 });
+        assert.equal(getScene(chatMetadata, 'uuid-1'), null);
+    });
+});
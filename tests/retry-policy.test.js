@@ -0,0 +1,58 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { classifyGenerationError, getRetryDelay, describeFailure } from '../retry-policy.js';
+
+/** An error the way a backend reports it, with an optional HTTP status. */
+function httpError(message, status) {
+    return Object.assign(new Error(message), status ? { status } : {});
+}
+
+describe('classifyGenerationError', () => {
+    test('retries rate limits and server errors', () => {
+        assert.equal(classifyGenerationError(httpError('Too Many Requests', 429)).kind, 'rate-limit');
+        assert.equal(classifyGenerationError(httpError('Bad Gateway', 502)).kind, 'server');
+        assert.ok(classifyGenerationError(httpError('Too Many Requests', 429)).retryable);
+    });
+
+    test('does not retry an exhausted quota, even when it comes back as a 429', () => {
+        const failure = classifyGenerationError(httpError('You exceeded your current quota, please check your plan and billing details', 429));
+        assert.equal(failure.kind, 'quota');
+        assert.equal(failure.retryable, false);
+        assert.equal(getRetryDelay(failure, 1), null);
+        assert.equal(describeFailure(failure), 'quota exhausted (429)');
+    });
+
+    test('does not retry auth errors or rejected requests', () => {
+        assert.equal(classifyGenerationError(httpError('Unauthorized', 401)).retryable, false);
+        assert.equal(classifyGenerationError(httpError('Invalid request', 400)).retryable, false);
+    });
+
+    test('reads a retry-after hint from the message', () => {
+        assert.equal(classifyGenerationError(httpError('Rate limit reached, try again in 20s', 429)).retryAfterMs, 20000);
+    });
+});
+
+describe('getRetryDelay', () => {
+    const half = () => 0.5;
+
+    test('backs off exponentially up to the kind\'s ceiling', () => {
+        const failure = classifyGenerationError(httpError('Internal Server Error', 500));
+        assert.equal(getRetryDelay(failure, 1, half), 750);
+        assert.equal(getRetryDelay(failure, 2, half), 1500);
+        assert.equal(getRetryDelay(failure, 10, half), 22500);
+    });
+
+    test('follows the backend\'s retry-after hint unless it is too long', () => {
+        const failure = classifyGenerationError(httpError('Too Many Requests', 429));
+        assert.equal(getRetryDelay({ ...failure, retryAfterMs: 3000 }, 1), 3000);
+        assert.equal(getRetryDelay({ ...failure, retryAfterMs: 600000 }, 1), null);
+    });
+
+    test('retries an unrecognized error only once', () => {
+        const failure = classifyGenerationError(new Error('Something odd happened'));
+        assert.equal(failure.kind, 'unknown');
+        assert.equal(getRetryDelay(failure, 1, half), 750);
+        assert.equal(getRetryDelay(failure, 2, half), null);
+    });
+});
@@ -0,0 +1,300 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createScene,
+    createChapter,
+    createSummaryMessage,
+    getScene,
+    updateScene,
+    getSceneFoldData,
+    reconcileScenesAfterDeletion,
+    reconcileDuplicatedMessages,
+    getAutoStartIndex,
+    findMessageIndexByUUID,
+    resizeScene,
+    mergeScenes,
+} from '../scene-data.js';
+import { SCHEMA_VERSION } from '../scene-migrations.js';
+import { makeChat, makeUUIDs } from './fixtures.js';
+
+/**
+ * Fold a scene the way summarizeScene does: insert a summary message before
+ * its sources and hide them.
+ */
+function foldScene(chatMetadata, chat, scene, uuidv4) {
+    const first = findMessageIndexByUUID(chat, scene.sourceMessageUUIDs[0]);
+    const summary = createSummaryMessage(scene, `Summary of ${scene.id}`, uuidv4);
+    chat.splice(first, 0, summary);
+    for (const uuid of scene.sourceMessageUUIDs) {
+        chat[findMessageIndexByUUID(chat, uuid)].is_system = true;
+    }
+    updateScene(chatMetadata, scene.id, {
+        status: 'completed',
+        folded: true,
+        summaryMessageUUID: summary.extra.scene_fold_uuid,
+    });
+    return summary;
+}
+
+describe('createScene', () => {
+    test('gives every message in the range a UUID and tags it as a source', () => {
+        const chat = makeChat(6);
+        const chatMetadata = {};
+        const scene = createScene(chatMetadata, chat, 1, 3, makeUUIDs());
+
+        assert.equal(scene.sourceMessageUUIDs.length, 3);
+        for (let i = 1; i <= 3; i++) {
+            assert.equal(chat[i].extra.scene_fold_uuid, scene.sourceMessageUUIDs[i - 1]);
+            assert.deepEqual(chat[i].extra.scene_fold_scenes, [scene.id]);
+            assert.equal(chat[i].extra.scene_fold_role, 'source');
+        }
+        assert.equal(chat[0].extra.scene_fold_uuid, undefined);
+        assert.equal(chat[4].extra.scene_fold_uuid, undefined);
+    });
+
+    test('stores an unsummarized scene in fresh metadata', () => {
+        const chatMetadata = {};
+        const scene = createScene(chatMetadata, makeChat(4), 0, 1, makeUUIDs(), 'Focus on the duel');
+
+        const data = getSceneFoldData(chatMetadata);
+        assert.equal(data.version, SCHEMA_VERSION);
+        assert.deepEqual(data.queue, []);
+        assert.equal(getScene(chatMetadata, scene.id), scene);
+        assert.equal(scene.status, 'defined');
+        assert.equal(scene.folded, false);
+        assert.equal(scene.summaryMessageUUID, null);
+        assert.equal(scene.customPrompt, 'Focus on the duel');
+        assert.equal(scene.draft, null);
+        assert.deepEqual(scene.attempts, []);
+    });
+
+    test('keeps existing message UUIDs and tags a message shared by two scenes', () => {
+        const chat = makeChat(4);
+        const chatMetadata = {};
+        const uuidv4 = makeUUIDs();
+        const first = createScene(chatMetadata, chat, 0, 2, uuidv4);
+        const uuid = chat[2].extra.scene_fold_uuid;
+        const second = createScene(chatMetadata, chat, 2, 3, uuidv4);
+
+        assert.equal(chat[2].extra.scene_fold_uuid, uuid);
+        assert.equal(second.sourceMessageUUIDs[0], uuid);
+        assert.deepEqual(chat[2].extra.scene_fold_scenes, [first.id, second.id]);
+    });
+
+    test('skips indices past the end of the chat', () => {
+        const scene = createScene({}, makeChat(3), 1, 9, makeUUIDs());
+        assert.equal(scene.sourceMessageUUIDs.length, 2);
+    });
+});
+
+describe('reconcileScenesAfterDeletion', () => {
+    test('drops the UUIDs of deleted source messages', () => {
+        const chat = makeChat(6);
+        const chatMetadata = {};
+        const scene = createScene(chatMetadata, chat, 0, 3, makeUUIDs());
+        const removed = chat[1].extra.scene_fold_uuid;
+        chat.splice(1, 1);
+
+        const result = reconcileScenesAfterDeletion(chatMetadata, chat);
+
+        assert.deepEqual(result, { modifiedScenes: [scene.id], deletedScenes: [], summaryLost: [] });
+        assert.equal(scene.sourceMessageUUIDs.length, 3);
+        assert.ok(!scene.sourceMessageUUIDs.includes(removed));
+    });
+
+    test('deletes a scene whose sources are all gone and untags its summary', () => {
+        const chat = makeChat(6);
+        const chatMetadata = {};
+        const uuidv4 = makeUUIDs();
+        const scene = createScene(chatMetadata, chat, 2, 3, uuidv4);
+        const summary = foldScene(chatMetadata, chat, scene, uuidv4);
+        chat.splice(3, 2); // the two sources, now after the summary at 2
+
+        const result = reconcileScenesAfterDeletion(chatMetadata, chat);
+
+        assert.deepEqual(result.deletedScenes, [scene.id]);
+        assert.equal(getScene(chatMetadata, scene.id), null);
+        assert.equal(summary.extra.scene_fold_role, undefined);
+        assert.equal(summary.extra.scene_fold_scene_id, undefined);
+    });
+
+    test('resets a scene whose summary message was deleted and unhides its sources', () => {
+        const chat = makeChat(6);
+        const chatMetadata = {};
+        const uuidv4 = makeUUIDs();
+        const scene = createScene(chatMetadata, chat, 1, 3, uuidv4);
+        foldScene(chatMetadata, chat, scene, uuidv4);
+        chat.splice(1, 1);
+
+        const result = reconcileScenesAfterDeletion(chatMetadata, chat);
+
+        assert.deepEqual(result.summaryLost, [scene.id]);
+        assert.deepEqual(result.modifiedScenes, [scene.id]);
+        assert.equal(scene.status, 'defined');
+        assert.equal(scene.folded, false);
+        assert.equal(scene.summaryMessageUUID, null);
+        assert.ok(chat.slice(1, 4).every(msg => msg.is_system === false));
+    });
+
+    test('marks a completed chapter stale when a child summary is deleted', () => {
+        const chat = makeChat(8);
+        const chatMetadata = {};
+        const uuidv4 = makeUUIDs();
+        const first = createScene(chatMetadata, chat, 0, 1, uuidv4);
+        foldScene(chatMetadata, chat, first, uuidv4);
+        const second = createScene(chatMetadata, chat, 3, 4, uuidv4);
+        foldScene(chatMetadata, chat, second, uuidv4);
+        const chapter = createChapter(chatMetadata, chat, [first.id, second.id], uuidv4);
+        assert.ok(chapter, 'chapter created');
+        updateScene(chatMetadata, chapter.id, { status: 'completed' });
+
+        // Delete the second scene's summary message
+        chat.splice(findMessageIndexByUUID(chat, second.summaryMessageUUID), 1);
+        const result = reconcileScenesAfterDeletion(chatMetadata, chat);
+
+        assert.ok(result.modifiedScenes.includes(chapter.id));
+        assert.equal(chapter.stale, true);
+        assert.deepEqual(chapter.childSceneIds, [first.id, second.id]);
+    });
+
+    test('leaves an untouched chat alone', () => {
+        const chat = makeChat(4);
+        const chatMetadata = {};
+        createScene(chatMetadata, chat, 0, 3, makeUUIDs());
+
+        const result = reconcileScenesAfterDeletion(chatMetadata, chat);
+        assert.deepEqual(result, { modifiedScenes: [], deletedScenes: [], summaryLost: [] });
+    });
+});
+
+describe('reconcileDuplicatedMessages', () => {
+    test('gives a duplicated source a fresh UUID placed right after the original', () => {
+        const chat = makeChat(5);
+        const chatMetadata = {};
+        const uuidv4 = makeUUIDs();
+        const scene = createScene(chatMetadata, chat, 0, 3, uuidv4);
+        const original = chat[1].extra.scene_fold_uuid;
+        // SillyTavern's duplicate: a structured clone inserted after the message
+        chat.splice(2, 0, structuredClone(chat[1]));
+
+        const fixed = reconcileDuplicatedMessages(chatMetadata, chat, uuidv4);
+
+        assert.equal(fixed, 1);
+        assert.equal(chat[1].extra.scene_fold_uuid, original);
+        const copy = chat[2].extra.scene_fold_uuid;
+        assert.notEqual(copy, original);
+        assert.equal(scene.sourceMessageUUIDs.length, 5);
+        assert.equal(scene.sourceMessageUUIDs.indexOf(copy), scene.sourceMessageUUIDs.indexOf(original) + 1);
+    });
+
+    test('adds the copy to every scene the original belongs to', () => {
+        const chat = makeChat(5);
+        const chatMetadata = {};
+        const uuidv4 = makeUUIDs();
+        const first = createScene(chatMetadata, chat, 0, 2, uuidv4);
+        const second = createScene(chatMetadata, chat, 2, 4, uuidv4);
+        chat.splice(3, 0, structuredClone(chat[2]));
+
+        reconcileDuplicatedMessages(chatMetadata, chat, uuidv4);
+
+        const copy = chat[3].extra.scene_fold_uuid;
+        assert.ok(first.sourceMessageUUIDs.includes(copy));
+        assert.ok(second.sourceMessageUUIDs.includes(copy));
+    });
+
+    test('changes nothing when every UUID is unique', () => {
+        const chat = makeChat(4);
+        const chatMetadata = {};
+        const scene = createScene(chatMetadata, chat, 0, 3, makeUUIDs());
+        const before = [...scene.sourceMessageUUIDs];
+
+        assert.equal(reconcileDuplicatedMessages(chatMetadata, chat, makeUUIDs('other')), 0);
+        assert.deepEqual(scene.sourceMessageUUIDs, before);
+    });
+});
+
+describe('boundary edits on an injected scene', () => {
+    /** Complete a scene in prompt-injection mode, which leaves the chat untouched. */
+    function injectScene(chatMetadata, scene) {
+        updateScene(chatMetadata, scene.id, { status: 'completed', injected: true });
+    }
+
+    test('resizing leaves the visibility of added and removed messages alone', () => {
+        const chat = makeChat(8);
+        const chatMetadata = {};
+        const uuidv4 = makeUUIDs();
+        const scene = createScene(chatMetadata, chat, 0, 3, uuidv4);
+        injectScene(chatMetadata, scene);
+        chat[1].is_system = true; // hidden by the user, not by the scene
+
+        assert.deepEqual(resizeScene(chatMetadata, chat, scene.id, 'end', 2, uuidv4), { error: null, changed: 2 });
+        assert.equal(chat[4].is_system, false);
+        assert.equal(chat[5].is_system, false);
+        assert.equal(scene.stale, true);
+
+        assert.deepEqual(resizeScene(chatMetadata, chat, scene.id, 'start', -2, uuidv4), { error: null, changed: 2 });
+        assert.equal(chat[0].is_system, false);
+        assert.equal(chat[1].is_system, true);
+    });
+
+    test('merging into an injected scene leaves the second scene\'s messages visible', () => {
+        const chat = makeChat(6);
+        const chatMetadata = {};
+        const uuidv4 = makeUUIDs();
+        const first = createScene(chatMetadata, chat, 0, 2, uuidv4);
+        const second = createScene(chatMetadata, chat, 3, 5, uuidv4);
+        injectScene(chatMetadata, first);
+        chat[4].is_system = true;
+
+        assert.deepEqual(mergeScenes(chatMetadata, chat, first.id, second.id), { error: null });
+        assert.equal(getScene(chatMetadata, second.id), null);
+        assert.equal(first.sourceMessageUUIDs.length, 6);
+        assert.equal(first.stale, true);
+        assert.deepEqual(chat.map(msg => msg.is_system), [false, false, false, false, true, false]);
+    });
+
+    test('merging a scene that precedes an injected one leaves its messages alone', () => {
+        const chat = makeChat(6);
+        const chatMetadata = {};
+        const uuidv4 = makeUUIDs();
+        const first = createScene(chatMetadata, chat, 0, 2, uuidv4);
+        const second = createScene(chatMetadata, chat, 3, 5, uuidv4);
+        injectScene(chatMetadata, second);
+        chat[4].is_system = true;
+
+        assert.deepEqual(mergeScenes(chatMetadata, chat, first.id, second.id), { error: null });
+        assert.equal(chat[4].is_system, true);
+    });
+});
+
+describe('getAutoStartIndex', () => {
+    test('starts at the beginning of a chat without scenes', () => {
+        assert.equal(getAutoStartIndex({}, makeChat(5)), 0);
+    });
+
+    test('starts after the last message of any scene, summarized or not', () => {
+        const chat = makeChat(10);
+        const chatMetadata = {};
+        createScene(chatMetadata, chat, 0, 2, makeUUIDs('a'));
+        createScene(chatMetadata, chat, 3, 5, makeUUIDs('b'));
+        assert.equal(getAutoStartIndex(chatMetadata, chat), 6);
+    });
+
+    test('follows the scene when a summary message shifts the indices', () => {
+        const chat = makeChat(10);
+        const chatMetadata = {};
+        const uuidv4 = makeUUIDs();
+        const scene = createScene(chatMetadata, chat, 0, 3, uuidv4);
+        foldScene(chatMetadata, chat, scene, uuidv4);
+        assert.equal(getAutoStartIndex(chatMetadata, chat), 5);
+    });
+
+    test('ignores sources deleted from the chat', () => {
+        const chat = makeChat(6);
+        const chatMetadata = {};
+        createScene(chatMetadata, chat, 0, 4, makeUUIDs());
+        chat.splice(3, 2);
+        assert.equal(getAutoStartIndex(chatMetadata, chat), 3);
+    });
+});
@@ -0,0 +1,222 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SummarizationQueue } from '../summarization-queue.js';
+import { createScene, getScene, updateScene, getSceneFoldData } from '../scene-data.js';
+import { makeChat, makeContext, makeUUIDs, deferred } from './fixtures.js';
+
+/**
+ * A fake chat with `count` two-message scenes, and a queue over it. The
+ * worker marks the scene summarizing, runs `body`, then completes it, the way
+ * summarizeScene does.
+ * @param {number} count
+ * @param {object} [options]
+ * @param {(sceneId: string, signal: AbortSignal, hooks: object) => Promise<void>} [options.body]
+ * @param {number} [options.concurrency]
+ */
+function setup(count, { body = async () => {}, concurrency = 1 } = {}) {
+    const chat = makeChat(count * 2);
+    const context = makeContext(chat);
+    const uuidv4 = makeUUIDs();
+    const ids = Array.from({ length: count }, (_, i) => createScene(context.chatMetadata, chat, i * 2, i * 2 + 1, uuidv4).id);
+
+    const events = [];
+    const starts = new Map(ids.map(id => [id, deferred()]));
+    let batchEnded = deferred();
+    const queue = new SummarizationQueue({
+        async worker(sceneId, signal, hooks) {
+            events.push(`start ${sceneId}`);
+            starts.get(sceneId).resolve();
+            updateScene(context.chatMetadata, sceneId, { status: 'summarizing' });
+            await body(sceneId, signal, hooks);
+            updateScene(context.chatMetadata, sceneId, { status: 'completed' });
+            events.push(`done ${sceneId}`);
+        },
+        getContext: () => context,
+        getLimits: () => ({ concurrency, requestsPerMinute: 0 }),
+        onBatchStart: async () => events.push('batch start'),
+        onBatchEnd: async () => {
+            events.push('batch end');
+            batchEnded.resolve();
+            batchEnded = deferred();
+        },
+    });
+
+    return {
+        context,
+        ids,
+        events,
+        queue,
+        status: id => getScene(context.chatMetadata, id).status,
+        started: id => starts.get(id).promise,
+        // The queue settles its own state right after onBatchEnd returns
+        drained: () => batchEnded.promise.then(() => new Promise(resolve => setImmediate(resolve))),
+    };
+}
+
+/** Reject with AbortError once the signal fires, like an aborted generateRaw. */
+function untilAborted(signal) {
+    return new Promise((_, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')), { once: true });
+    });
+}
+
+describe('SummarizationQueue', () => {
+    test('summarizes scenes one at a time in the order they were added', async () => {
+        const { ids, events, queue, status, drained } = setup(3);
+
+        queue.addAll(ids);
+        assert.ok(queue.isProcessing);
+        await drained();
+
+        assert.deepEqual(events, [
+            'batch start',
+            `start ${ids[0]}`, `done ${ids[0]}`,
+            `start ${ids[1]}`, `done ${ids[1]}`,
+            `start ${ids[2]}`, `done ${ids[2]}`,
+            'batch end',
+        ]);
+        assert.ok(ids.every(id => status(id) === 'completed'));
+        assert.equal(queue.isProcessing, false);
+    });
+
+    test('marks added scenes queued and mirrors the order into the chat metadata', () => {
+        const gate = deferred();
+        const { context, ids, queue, status } = setup(3, { body: () => gate.promise });
+
+        queue.addAll(ids);
+
+        assert.deepEqual(queue.pendingIds, ids);
+        assert.ok(ids.every(id => status(id) === 'queued'));
+        assert.deepEqual(getSceneFoldData(context.chatMetadata).queue, ids);
+        assert.ok(context.saves > 0);
+        queue.cancelAll();
+        gate.resolve();
+    });
+
+    test('ignores a scene that is already queued', async () => {
+        const { ids, events, queue, drained } = setup(1);
+
+        queue.add(ids[0]);
+        queue.add(ids[0]);
+        await drained();
+
+        assert.equal(events.filter(e => e.startsWith('start')).length, 1);
+    });
+
+    test('counts batch progress as scenes finish', async () => {
+        const gates = [deferred(), deferred(), deferred()];
+        const setupResult = setup(3, { body: sceneId => gates[setupResult.ids.indexOf(sceneId)].promise });
+        const { ids, queue, started, drained } = setupResult;
+
+        queue.addAll(ids);
+        await started(ids[0]);
+        assert.deepEqual(queue.progress, { current: 1, total: 3, activeId: ids[0], activeCount: 1, pendingCount: 2 });
+
+        gates[0].resolve();
+        await started(ids[1]);
+        assert.equal(queue.progress.current, 2);
+        assert.equal(queue.progress.activeId, ids[1]);
+
+        gates[1].resolve();
+        gates[2].resolve();
+        await drained();
+        assert.deepEqual(queue.progress, { current: 1, total: 0, activeId: null, activeCount: 0, pendingCount: 0 });
+    });
+
+    test('cancelling a pending scene drops it without running it', async () => {
+        const gate = deferred();
+        const { context, ids, events, queue, status, started, drained } = setup(3, { body: () => gate.promise });
+
+        queue.addAll(ids);
+        await started(ids[0]);
+        queue.cancel(ids[1]);
+
+        assert.equal(status(ids[1]), 'defined');
+        assert.deepEqual(queue.pendingIds, [ids[2]]);
+        assert.deepEqual(getSceneFoldData(context.chatMetadata).queue, [ids[0], ids[2]]);
+        assert.equal(queue.progress.current, 2); // the cancelled scene counts as done
+
+        gate.resolve();
+        await drained();
+        assert.ok(!events.includes(`start ${ids[1]}`));
+        assert.equal(status(ids[1]), 'defined');
+    });
+
+    test('cancelling the active scene aborts it, resets it and moves on', async () => {
+        const { ids, events, queue, status, started, drained } = setup(2, {
+            body: (sceneId, signal) => (sceneId === ids[0] ? untilAborted(signal) : Promise.resolve()),
+        });
+
+        queue.addAll(ids);
+        await started(ids[0]);
+        queue.cancel(ids[0]);
+        await drained();
+
+        assert.equal(status(ids[0]), 'defined');
+        assert.equal(status(ids[1]), 'completed');
+        assert.ok(!events.includes(`done ${ids[0]}`));
+    });
+
+    test('cancelAll aborts the active scene and returns pending ones to defined', async () => {
+        const { context, ids, events, queue, status, started, drained } = setup(3, {
+            body: (_, signal) => untilAborted(signal),
+        });
+
+        queue.addAll(ids);
+        await started(ids[0]);
+        queue.cancelAll();
+
+        assert.deepEqual(queue.pendingIds, []);
+        assert.equal(queue.progress.total, 0);
+        await drained();
+
+        assert.ok(ids.every(id => status(id) === 'defined'));
+        assert.deepEqual(events.filter(e => e.startsWith('start')), [`start ${ids[0]}`]);
+        assert.deepEqual(getSceneFoldData(context.chatMetadata).queue, []);
+        assert.equal(queue.isProcessing, false);
+    });
+
+    test('a scene failing with an error does not stop the batch', async () => {
+        const { ids, queue, status, drained } = setup(2, {
+            body: async sceneId => {
+                if (sceneId === ids[0]) throw new Error('LLM returned a blank summary');
+            },
+        });
+
+        queue.addAll(ids);
+        await drained();
+
+        // The worker owns error statuses; the queue only moves on
+        assert.equal(status(ids[0]), 'summarizing');
+        assert.equal(status(ids[1]), 'completed');
+    });
+
+    test('concurrent scenes take their turns in queue order', async () => {
+        const gates = [deferred(), deferred()];
+        const inserts = [];
+        const setupResult = setup(2, {
+            concurrency: 2,
+            body: async (sceneId, _signal, hooks) => {
+                await gates[setupResult.ids.indexOf(sceneId)].promise;
+                await hooks.waitTurn();
+                inserts.push(sceneId);
+                hooks.releaseTurn();
+            },
+        });
+        const { ids, queue, started, drained } = setupResult;
+
+        queue.addAll(ids);
+        await Promise.all(ids.map(started));
+        assert.deepEqual(queue.activeSceneIds, ids);
+
+        // The second scene's generation finishes first, but it inserts second
+        gates[1].resolve();
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.deepEqual(inserts, []);
+        gates[0].resolve();
+        await drained();
+
+        assert.deepEqual(inserts, ids);
+    });
+});